@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * TEXTY V4 — Command-line interface
+ * Runs the same engine as the web UI over stdin or files.
+ */
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { TextAnalyzer, TransformRecipe, CaseConverter, TextFormatter } = require('../js/text-processor.js');
+
+const CASE_TYPES   = Object.keys(CaseConverter.TYPES);
+const TITLE_STYLES = Object.keys(CaseConverter.TITLE_STYLES);
+
+// Flag → transform. Transforms run in the order they appear on the command line.
+const TRANSFORM_FLAGS = {
+    '--strip':              { op: 'stripFormatting' },
+    '--join-lines':         { op: 'joinLines' },
+    '--sentences-per-line': { op: 'sentencesPerLine' },
+    '--trim':               { op: 'trimLines' },
+    '--dedupe':             { op: 'removeDuplicateLines' },
+    '--sort':               { op: 'sortLinesAZ' },
+    '--remove-blank':       { op: 'removeBlankLines' },
+    '--unwrap':             { op: 'unwrap' },
+    '--clean-chars':        { op: 'cleanCharacters' },
+};
+
+const HELP = `Usage: texty [options] [file ...]
+
+Reads the given files (or stdin when none, or "-") and writes the result to stdout.
+Transforms are applied in the order given.
+
+Transforms:
+  --case <type>           Convert case: ${CASE_TYPES.slice(0, 8).join(', ')},
+                          ${CASE_TYPES.slice(8).join(', ')}
+  --title-style <style>   Style guide for the next --case title: ${TITLE_STYLES.join(', ')}
+                          (default ${CaseConverter.DEFAULT_TITLE_STYLE})
+  --proper-nouns <file>   Names sentence case keeps as written, one per line
+  --strip                 Strip HTML and collapse whitespace
+  --join-lines            Join hard-wrapped lines into paragraphs
+  --sentences-per-line    Put each sentence on its own line
+  --trim                  Trim whitespace from every line
+  --dedupe                Remove duplicate lines (exact match, blank lines kept)
+  --sort                  Sort lines A → Z (case-insensitive, blank lines last)
+  --remove-blank          Remove blank lines
+  --wrap <columns>        Hard-wrap paragraphs, keeping "> " and "// " prefixes (see --justify)
+  --justify               Justify the next --wrap
+  --unwrap                Join wrapped paragraphs, keeping their prefixes
+  --smarten <lang>        Curly quotes in the style of <lang> (en, de, fr, …), dashes, ellipses
+  --plain-ascii           Straight quotes, -- and ... instead of typographic characters
+  --nfkc                  Normalise the next --smarten/--plain-ascii with NFKC instead of NFC
+  --clean-chars           Remove zero-width, bidi and control characters, plain spaces for odd
+                          ones, Latin letters for Cyrillic/Greek look-alikes inside Latin words
+  --replace <find> <with> Replace every match (see --match-case, --whole-word, --regex)
+  --recipe <file>         Run a recipe exported from the web UI (first recipe, or --recipe-name)
+
+Replace options (apply to the next --replace):
+  --match-case, --whole-word, --regex
+
+Output:
+  --stats                 Print TextAnalyzer stats as JSON instead of the text
+  --locale <tag>          Language for --stats (e.g. de, ja); detected when omitted
+  -o, --output <file>     Write to a file instead of stdout
+  -h, --help              Show this help
+  -v, --version           Show the version
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const opts = {
+        steps: [], files: [], stats: false, locale: undefined, output: null, recipeName: null, properNouns: [],
+    };
+    let replaceOpts = {};
+    let titleStyle  = null;
+    let justify     = false;
+    let normalize   = 'NFC';
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg  = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (TRANSFORM_FLAGS[arg]) {
+            opts.steps.push({ ...TRANSFORM_FLAGS[arg] });
+        } else if (arg === '--case') {
+            const caseType = next();
+            if (!CASE_TYPES.includes(caseType)) {
+                throw new UsageError(`Unknown case "${caseType}" (expected ${CASE_TYPES.join(', ')})`);
+            }
+            opts.steps.push(TransformRecipe.normalizeStep({ op: 'case', caseType, style: titleStyle }));
+            titleStyle = null;
+        } else if (arg === '--title-style') {
+            titleStyle = next();
+            if (!TITLE_STYLES.includes(titleStyle)) {
+                throw new UsageError(`Unknown title style "${titleStyle}" (expected ${TITLE_STYLES.join(', ')})`);
+            }
+        } else if (arg === '--match-case' || arg === '--whole-word' || arg === '--regex') {
+            const key = { '--match-case': 'matchCase', '--whole-word': 'wholeWord', '--regex': 'regex' }[arg];
+            replaceOpts[key] = true;
+        } else if (arg === '--replace') {
+            const find    = next();
+            const replace = next();
+            const step    = TransformRecipe.normalizeStep({ op: 'replace', find, replace, ...replaceOpts });
+            if (!step) throw new UsageError('--replace needs a non-empty search text');
+            opts.steps.push(step);
+            replaceOpts = {};
+        } else if (arg === '--nfkc') {
+            normalize = 'NFKC';
+        } else if (arg === '--smarten' || arg === '--plain-ascii') {
+            const mode   = arg === '--smarten' ? 'smart' : 'plain';
+            const locale = mode === 'smart' ? next() : 'en';
+            if (!(locale in TextFormatter.QUOTE_STYLES)) {
+                throw new UsageError(`No quote style for "${locale}" (expected ${Object.keys(TextFormatter.QUOTE_STYLES).join(', ')})`);
+            }
+            opts.steps.push(TransformRecipe.normalizeStep({ op: 'typography', mode, locale, normalize }));
+            normalize = 'NFC';
+        } else if (arg === '--justify') {
+            justify = true;
+        } else if (arg === '--wrap') {
+            const width = Number(next());
+            if (!Number.isInteger(width) || width < 10 || width > 1000) {
+                throw new UsageError('--wrap needs a column count between 10 and 1000');
+            }
+            opts.steps.push(TransformRecipe.normalizeStep({ op: 'reflow', width, justify }));
+            justify = false;
+        } else if (arg === '--recipe') {
+            // Placeholder resolved after all args are read, so --recipe-name may come later
+            opts.steps.push({ recipeFile: next() });
+        } else if (arg === '--proper-nouns') {
+            opts.properNouns.push(...fs.readFileSync(next(), 'utf8').split(/\r?\n/).filter(line => line.trim()));
+        } else if (arg === '--recipe-name') {
+            opts.recipeName = next();
+        } else if (arg === '--stats') {
+            opts.stats = true;
+        } else if (arg === '--locale') {
+            opts.locale = next();
+        } else if (arg === '-o' || arg === '--output') {
+            opts.output = next();
+        } else if (arg === '-h' || arg === '--help') {
+            opts.help = true;
+        } else if (arg === '-v' || arg === '--version') {
+            opts.version = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            opts.files.push(arg);
+        }
+    }
+
+    return opts;
+}
+
+function loadRecipeSteps(file, name) {
+    const recipes = TransformRecipe.parse(fs.readFileSync(file, 'utf8'));
+    const recipe  = name ? recipes.find(r => r.name === name) : recipes[0];
+    if (!recipe) throw new UsageError(`No recipe named "${name}" in ${file}`);
+    return recipe.steps;
+}
+
+function readInput(files) {
+    if (!files.length || (files.length === 1 && files[0] === '-')) {
+        return fs.readFileSync(0, 'utf8');
+    }
+    return files.map(f => fs.readFileSync(f === '-' ? 0 : f, 'utf8')).join('\n');
+}
+
+function main(argv) {
+    const opts = parseArgs(argv);
+
+    if (opts.help)    { process.stdout.write(HELP); return 0; }
+    if (opts.version) {
+        const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+        process.stdout.write(`${pkg.version}\n`);
+        return 0;
+    }
+
+    const steps = opts.steps.flatMap(step =>
+        step.recipeFile ? loadRecipeSteps(step.recipeFile, opts.recipeName) : [step]
+    );
+
+    let text = readInput(opts.files).replace(/^\uFEFF/, '');
+    const warnings = [];
+    text = TransformRecipe.run(text, steps, { properNouns: opts.properNouns, warnings });
+    new Set(warnings).forEach(warning => process.stderr.write(`texty: warning: ${warning}\n`));
+
+    const out = opts.stats
+        ? JSON.stringify(TextAnalyzer.analyze(text, null, { locale: opts.locale }), null, 2) + '\n'
+        : text;
+
+    if (opts.output) fs.writeFileSync(opts.output, out);
+    else             process.stdout.write(out);
+
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    if (err instanceof UsageError) {
+        process.stderr.write(`texty: ${err.message}\nTry "texty --help".\n`);
+        process.exitCode = 2;
+    } else {
+        process.stderr.write(`texty: ${err.code === 'ENOENT' ? `no such file ${err.path}` : err.message}\n`);
+        process.exitCode = 1;
+    }
+}
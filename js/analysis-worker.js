@@ -0,0 +1,34 @@
+/**
+ * TEXTY V4 — Analysis Worker
+ * Runs TextAnalyzer.analyze off the main thread.
+ *
+ * Protocol: the app posts { id, text, locale, stopWords }; the worker replies { id, result }.
+ * Requests that arrive while one is queued replace it, so only the newest
+ * text is ever analysed. Per-paragraph results are cached between requests,
+ * so typing in one paragraph only re-analyses that paragraph.
+ */
+importScripts('dale-chall-words.js', 'text-processor.js');
+
+const paragraphCache = new Map();
+let pending   = null;
+let scheduled = false;
+
+self.addEventListener('message', (e) => {
+    pending = e.data;
+    if (scheduled) return;
+
+    // Yield once so any messages already queued behind this one can supersede it
+    scheduled = true;
+    setTimeout(() => {
+        scheduled = false;
+        const { id, text, locale, stopWords } = pending;
+        pending = null;
+
+        try {
+            const result = TextAnalyzer.analyze(text, paragraphCache, { locale: locale || undefined, stopWords });
+            self.postMessage({ id, result });
+        } catch (err) {
+            self.postMessage({ id, error: err.message });
+        }
+    }, 0);
+});
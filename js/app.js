@@ -10,23 +10,87 @@ class TextyApp {
             theme:            localStorage.getItem('texty-theme') || systemTheme,
             lastAnalyzedText: '',
             lastAnalysisResult: null,
-            undoSnapshot:     null,      // text before last transform
             findMatches:      [],        // [{start, end}, ...]
             findCurrentIndex: -1,
             findPanelOpen:    false,
+            findKeyword:      null,      // { label, pattern } while Find shows a clicked keyword
             activeTab:        'stats',
+            inspector:        null,      // CharacterInspector.scan() while the Hidden Characters tab is open
+            inspectorMarks:   [],        // [{start, end}, ...] highlighted, shifted between scans
+            inspectorText:    '',
+            locale:           localStorage.getItem('texty-locale') || '',    // '' = browser default
+            pasteMode:        localStorage.getItem('texty-paste-mode') || 'plain',   // 'plain' | 'markdown'
+            titleStyle:       localStorage.getItem('texty-title-style') || CaseConverter.DEFAULT_TITLE_STYLE,
+            properNouns:      this.loadProperNouns(),   // kept as written by Sentence case
+            learnProperNouns: localStorage.getItem('texty-learn-proper-nouns') === 'true',
+            sortOptions:      this.loadSortOptions(),   // last settings used in the Sort dialog
+            dedupeOptions:    this.loadDedupeOptions(), // last settings used in the Duplicates dialog
+            lineTools:        this.loadLineTools(),     // last form values of the Line Tools dialog
+            typography:       this.loadTypography(),    // { mode, locale ('' = document language), normalize }
             // Writing Limit Tracker
             limitValue:       null,
             limitType:        'chars',
             activePreset:     null,
+            // Recipes
+            recipes:          [],        // [{ name, steps }, ...]
+            recipesPanelOpen: false,
+            recordingSteps:   null,      // array while recording, otherwise null
+            // Compare
+            comparePanelOpen: false,
+            compareReversed:  false,     // false: pasted text → editor; true: editor → pasted text
+            // Keywords
+            keywordSize:      1,         // 1 = words, 2/3 = phrases
+            keywordSort:      { key: 'count', desc: true },
+            stopWords:        this.loadStopWords(),   // { language: [word, …] } overriding the built-in lists
+            // Writing issues
+            issuesPanelOpen:  false,
+            issueTypes:       this.loadIssueTypes(),   // categories shown as highlights
+            issues:           [],        // WritingIssues.find() results for issuesText
+            issuesText:       '',
+            // Markdown export preview
+            mdExportBlocks:   [],        // DocumentStructure blocks being edited
+            // Documents
+            documents:        [],        // DocumentStore metadata, most recently edited first
+            activeDocId:      null,
+            docRevision:      0,         // revision of the active document shown in the editor
+            docBaseText:      '',        // text as last loaded or saved, to detect edits from other tabs
+            docDirty:         false,
+            docsPanelOpen:    false,
+            // Versions
+            snapshotMinutes:  parseInt(localStorage.getItem('texty-snapshot-interval') ?? '10') || 0,
+            versions:         [],        // metadata for the active document, newest first
+            selectedVersion:  null,
+            selectedVersionText: null,
         };
 
-        this.AUTOSAVE_INTERVAL = 30_000;
+        // IndexedDB writes are cheap — keep the window for lost edits short
+        this.AUTOSAVE_INTERVAL = 2_000;
+
+        // Undo/redo — bounded so 100 steps stay small; room for a whole-text rewrite of a max-length document
+        this.history = new EditHistory({ maxEntries: 100, maxChars: 4_000_000 });
+
+        // Analysis worker — a request running longer than this is cancelled when newer text arrives
+        this.ANALYSIS_CANCEL_AFTER = 2_000;
 
         this.autoSaveTimer  = null;
         this.analysisTimer  = null;
         this.rafId          = null;
         this.toastTimer     = null;
+        this.docsClockTimer = null;
+        this.compareTimer   = null;
+        this.issuesTimer    = null;
+        this.dedupeTimer    = null;
+        this.inspectorTimer = null;
+        this.highlightResizeObserver = null;
+
+        this.store          = null;      // DocumentStore, once IndexedDB is open
+        this.docSaveQueue   = Promise.resolve();
+
+        this.analysisWorker      = null;
+        this.analysisRequestId   = 0;
+        this.analysisPendingText = null;
+        this.analysisBusySince   = null;
+        this.compareAnalyses     = new Map();   // text → { settings, result } for the Compare summary
 
         this.init();
     }
@@ -37,14 +101,15 @@ class TextyApp {
     init() {
         try {
             this.cacheElements();
+            this.initAnalysisWorker();
             this.bindEvents();
             this.setTheme(this.state.theme);
+            this.setPasteMode(this.state.pasteMode);
+            if (this.elements.localeSelect) this.elements.localeSelect.value = this.state.locale;
+            this.setTitleStyle(this.state.titleStyle);
             this.setCurrentYear();
-            this.restoreAutoSave();
-
-            if (this.elements.textInput?.value) {
-                this.updateAnalysis();
-            }
+            this.loadRecipes();
+            this.initDocuments();
 
             window.addEventListener('error', (e) => {
                 console.error('Global error:', e.error);
@@ -55,6 +120,11 @@ class TextyApp {
                 this.performAutoSave();
                 this.cleanup();
             });
+
+            // Pages may be discarded without beforeunload once hidden
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.performAutoSave();
+            });
         } catch (err) {
             console.error('Initialization error:', err);
         }
@@ -70,15 +140,62 @@ class TextyApp {
             stripFormatBtn:       $('stripFormatBtn'),
             removeDupesBtn:       $('removeDupesBtn'),
             findReplaceToggleBtn: $('findReplaceToggleBtn'),
+            pasteModeBtn:         $('pasteModeBtn'),
 
             // Toolbar — Lines group
             sentLineBtn:          $('sentLineBtn'),
             joinLinesBtn:         $('joinLinesBtn'),
             sortAZBtn:            $('sortAZBtn'),
+            sortModal:            $('sortModal'),
+            sortModalClose:       $('sortModalClose'),
+            sortMode:             $('sortMode'),
+            sortDescending:       $('sortDescending'),
+            sortColumn:           $('sortColumn'),
+            sortDelimiter:        $('sortDelimiter'),
+            sortLocale:           $('sortLocale'),
+            sortCaseSensitive:    $('sortCaseSensitive'),
+            sortUnique:           $('sortUnique'),
+            sortHeader:           $('sortHeader'),
+            sortBlocks:           $('sortBlocks'),
+            sortScope:            $('sortScope'),
+            sortPreview:          $('sortPreview'),
+            lineToolsModal:       $('lineToolsModal'),
+            lineToolsModalClose:  $('lineToolsModalClose'),
+            lineToolsAction:      $('lineToolsAction'),
+            lineToolsScope:       $('lineToolsScope'),
+            lineToolsPreview:     $('lineToolsPreview'),
+            typographyModal:      $('typographyModal'),
+            typographyModalClose: $('typographyModalClose'),
+            typographyMode:       $('typographyMode'),
+            typographyLocale:     $('typographyLocale'),
+            typographyNormalize:  $('typographyNormalize'),
+            typographyScope:      $('typographyScope'),
+            typographyPreview:    $('typographyPreview'),
+            dedupeModal:          $('dedupeModal'),
+            dedupeModalClose:     $('dedupeModalClose'),
+            dedupeWhitespace:     $('dedupeWhitespace'),
+            dedupeSimilarity:     $('dedupeSimilarity'),
+            dedupeMetric:         $('dedupeMetric'),
+            dedupeKeep:           $('dedupeKeep'),
+            dedupeIgnoreCase:     $('dedupeIgnoreCase'),
+            dedupeIgnorePunctuation: $('dedupeIgnorePunctuation'),
+            dedupeKeepBlank:      $('dedupeKeepBlank'),
+            dedupeSummary:        $('dedupeSummary'),
+            dedupeTableBody:      $('dedupeTableBody'),
+            dedupeScope:          $('dedupeScope'),
+            dedupeApplyBtn:       $('dedupeApplyBtn'),
+            dedupeOnlyBtn:        $('dedupeOnlyBtn'),
             removeBlankLinesBtn:  $('removeBlankLinesBtn'),
 
             // Toolbar — Case group
             caseButtons:          document.querySelectorAll('[data-case]'),
+            codeCaseSelect:       $('codeCaseSelect'),
+            titleStyleSelect:     $('titleStyleSelect'),
+            properNounsModal:     $('properNounsModal'),
+            properNounsModalClose: $('properNounsModalClose'),
+            properNounsInput:     $('properNounsInput'),
+            learnProperNounsOpt:  $('learnProperNounsOpt'),
+            caseTitleBtn:         $('caseTitleBtn'),
 
             // Toolbar — Clean group
             trimLinesBtn:         $('trimLinesBtn'),
@@ -97,23 +214,97 @@ class TextyApp {
             replaceAllBtn:        $('replaceAllBtn'),
             findCloseBtn:         $('findCloseBtn'),
 
+            // Recipes panel
+            recipesToggleBtn:     $('recipesToggleBtn'),
+            recipesPanel:         $('recipesPanel'),
+            recipeNameInput:      $('recipeNameInput'),
+            recipeRecordBtn:      $('recipeRecordBtn'),
+            recipeImportBtn:      $('recipeImportBtn'),
+            recipeExportBtn:      $('recipeExportBtn'),
+            recipeFileInput:      $('recipeFileInput'),
+            recipeCloseBtn:       $('recipeCloseBtn'),
+            recipeRecording:      $('recipeRecording'),
+            recipeRecordingSteps: $('recipeRecordingSteps'),
+            recipesList:          $('recipesList'),
+
+            // Compare panel
+            compareToggleBtn:         $('compareToggleBtn'),
+            comparePanel:             $('comparePanel'),
+            compareInput:             $('compareInput'),
+            compareInputLabel:        $('compareInputLabel'),
+            compareView:              $('compareView'),
+            compareViewLabel:         $('compareViewLabel'),
+            compareSummary:           $('compareSummary'),
+            compareGranularity:       $('compareGranularity'),
+            compareIgnoreCase:        $('compareIgnoreCase'),
+            compareIgnoreWhitespace:  $('compareIgnoreWhitespace'),
+            compareIgnorePunctuation: $('compareIgnorePunctuation'),
+
+            // Writing issues
+            editorWrap:           $('editorWrap'),
+            editorHighlights:     $('editorHighlights'),
+            issuesToggleBtn:      $('issuesToggleBtn'),
+            issuesSidebar:        $('issuesSidebar'),
+            issuesList:           $('issuesList'),
+            issuesCurrent:        $('issuesCurrent'),
+
+            // Documents sidebar
+            docsToggle:           $('docsToggle'),
+            docsSidebar:          $('docsSidebar'),
+            docsList:             $('docsList'),
+
+            // Versions modal
+            versionsBtn:            $('versionsBtn'),
+            versionsModal:          $('versionsModal'),
+            versionsModalClose:     $('versionsModalClose'),
+            versionLabelInput:      $('versionLabelInput'),
+            snapshotIntervalSelect: $('snapshotIntervalSelect'),
+            versionsList:           $('versionsList'),
+            diffSummary:            $('diffSummary'),
+            diffView:               $('diffView'),
+            deleteVersionBtn:       $('deleteVersionBtn'),
+            restoreVersionBtn:      $('restoreVersionBtn'),
+
             // Action bar
+            importBtn:            $('importBtn'),
+            importFileInput:      $('importFileInput'),
             copyTextBtn:          $('copyTextBtn'),
             clearTextBtn:         $('clearTextBtn'),
             exportTextBtn:        $('exportTextBtn'),
             exportMdBtn:          $('exportMdBtn'),
+            exportFormatSelect:   $('exportFormatSelect'),
             undoBtn:              $('undoBtn'),
+            redoBtn:              $('redoBtn'),
+            historySelect:        $('historySelect'),
 
             // Analytics — Stats
             wordCount:            $('wordCount'),
             uniqueWords:          $('uniqueWords'),
             charCount:            $('charCount'),
+            charNoSpacesCount:    $('charNoSpacesCount'),
+            byteCount:            $('byteCount'),
+            localeSelect:         $('localeSelect'),
+            localeAutoOption:     $('localeAutoOption'),
             sentenceCount:        $('sentenceCount'),
             paragraphCount:       $('paragraphCount'),
             avgWordLength:        $('avgWordLength'),
             readingTime:          $('readingTime'),
             readabilityScore:     $('readabilityScore'),
+            readabilityLabel:     $('readabilityLabel'),
+            statReadability:      $('statReadability'),
+            readabilityPanel:     $('readabilityPanel'),
+            readabilityList:      $('readabilityList'),
+            readabilityNote:      $('readabilityNote'),
             keywordsList:         $('keywordsList'),
+            keywordSizeSelect:    $('keywordSizeSelect'),
+            keywordsModal:        $('keywordsModal'),
+            keywordsModalClose:   $('keywordsModalClose'),
+            keywordsTableSize:    $('keywordsTableSize'),
+            keywordsTableHead:    $('keywordsTableHead'),
+            keywordsTableBody:    $('keywordsTableBody'),
+            keywordsTableSummary: $('keywordsTableSummary'),
+            stopwordsLanguage:    $('stopwordsLanguage'),
+            stopwordsInput:       $('stopwordsInput'),
 
             // Analytics — Tabs
             statsTabBtn:          $('statsTabBtn'),
@@ -123,6 +314,13 @@ class TextyApp {
             formattingBadge:      $('formattingBadge'),
             formattingEmpty:      $('formattingEmpty'),
             formattingList:       $('formattingList'),
+            inspectorTabBtn:      $('inspectorTabBtn'),
+            inspectorPanel:       $('inspectorPanel'),
+            inspectorBadge:       $('inspectorBadge'),
+            inspectorSummary:     $('inspectorSummary'),
+            inspectorEmpty:       $('inspectorEmpty'),
+            inspectorList:        $('inspectorList'),
+            inspectorFixAllBtn:   $('inspectorFixAllBtn'),
 
             // Theme
             themeToggle:          $('themeToggle'),
@@ -130,6 +328,15 @@ class TextyApp {
             // Toast
             toast:                $('toast'),
 
+            // Markdown export modal
+            exportMdModal:        $('exportMdModal'),
+            exportMdModalClose:   $('exportMdModalClose'),
+            mdFrontMatterOpt:     $('mdFrontMatterOpt'),
+            mdStructureList:      $('mdStructureList'),
+            mdPreview:            $('mdPreview'),
+            mdDownloadBtn:        $('mdDownloadBtn'),
+            mdCancelBtn:          $('mdCancelBtn'),
+
             // Shortcuts modal
             shortcutsModal:       $('shortcutsModal'),
             shortcutsModalClose:  $('shortcutsModalClose'),
@@ -154,17 +361,24 @@ class TextyApp {
         // ── Textarea: input (debounced analysis) ──
         el.textInput?.addEventListener('input', () => {
             const len = el.textInput.value.length;
-            const delay = len > 10000 ? 500 : len > 5000 ? 350 : 250;
+            // Off-thread analysis only needs to coalesce keystrokes; inline analysis backs off on long texts
+            const delay = this.analysisWorker ? 150 : len > 10000 ? 500 : len > 5000 ? 350 : 250;
             clearTimeout(this.analysisTimer);
             this.analysisTimer = setTimeout(() => {
                 this.updateAnalysis();
                 this.analysisTimer = null;
             }, delay);
-            this.scheduleAutoSave();
+            this.markDocumentDirty();
             if (this.state.findPanelOpen) this.updateFindResults();
+            if (this.state.comparePanelOpen) this.scheduleCompare();
+            if (this.state.issuesPanelOpen) this.updateIssues();
+            if (this.state.activeTab === 'inspector') this.updateInspector();
         });
 
-        // ── Textarea: paste (clean HTML, detect formatting) ──
+        // ── Textarea: keep the highlight layer under the text ──
+        el.textInput?.addEventListener('scroll', () => this.syncHighlightScroll());
+
+        // ── Textarea: paste (clean HTML or convert to Markdown, detect formatting) ──
         el.textInput?.addEventListener('paste', (e) => {
             e.preventDefault();
             const cd        = e.clipboardData || window.clipboardData;
@@ -179,8 +393,11 @@ class TextyApp {
                 this.clearFormattingDisplay();
             }
 
-            const clean = TextFormatter.stripFormatting(html || plainText);
-            
+            const clean = this.state.pasteMode === 'markdown' && html
+                ? MarkdownConverter.fromHtml(html)
+                : TextFormatter.stripFormatting(html || plainText);
+            this.flagHiddenCharacters(clean);
+
             if (!document.execCommand('insertText', false, clean)) {
                 // Fallback for browsers that do not support insertText natively
                 const start = el.textInput.selectionStart;
@@ -190,25 +407,99 @@ class TextyApp {
             }
         });
 
+        // ── Textarea: drop a file to import it (plain text drags keep native behaviour) ──
+        el.textInput?.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            el.textInput.classList.add('drag-over');
+        });
+        el.textInput?.addEventListener('dragleave', () => el.textInput.classList.remove('drag-over'));
+        el.textInput?.addEventListener('drop', (e) => {
+            el.textInput.classList.remove('drag-over');
+            const file = e.dataTransfer?.files?.[0];
+            if (!file) return;
+            e.preventDefault();
+            this.importFile(file);
+        });
+
         // ── Toolbar: Case buttons ──
         el.caseButtons?.forEach(btn => {
             btn.addEventListener('click', () => this.convertCase(btn.dataset.case));
         });
+        el.titleStyleSelect?.addEventListener('change', () => this.setTitleStyle(el.titleStyleSelect.value));
+
+        // ── Sentence case dictionary ──
+        this.bindBtn('properNounsBtn',      () => this.openProperNouns());
+        this.bindBtn('properNounsCloseBtn', () => this.closeProperNouns());
+        this.bindBtn('saveProperNounsBtn',  () => this.saveProperNouns());
+        this.bindBtn('learnProperNounsBtn', () => this.addProperNounsFromText());
+        el.learnProperNounsOpt?.addEventListener('change', () => {
+            this.state.learnProperNouns = el.learnProperNounsOpt.checked;
+            localStorage.setItem('texty-learn-proper-nouns', String(this.state.learnProperNouns));
+        });
+        el.properNounsModalClose?.addEventListener('click', () => this.closeProperNouns());
+        el.properNounsModal?.addEventListener('click', (e) => {
+            if (e.target === el.properNounsModal) this.closeProperNouns();
+        });
+        el.codeCaseSelect?.addEventListener('change', () => {
+            if (el.codeCaseSelect.value) this.convertCase(el.codeCaseSelect.value);
+            el.codeCaseSelect.value = '';
+        });
 
         // ── Toolbar: Lines buttons ──
         this.bindBtn('sentLineBtn',          () => this.sentencesPerLine());
         this.bindBtn('joinLinesBtn',         () => this.joinLines());
         this.bindBtn('sortAZBtn',            () => this.sortLinesAZ());
+        this.bindBtn('sortOptionsBtn',       () => this.openSortDialog());
+        this.bindBtn('sortCancelBtn',        () => this.closeSortDialog());
+        this.bindBtn('sortApplyBtn',         () => this.applySortDialog());
+        el.sortModalClose?.addEventListener('click', () => this.closeSortDialog());
+        el.sortModal?.addEventListener('click', (e) => {
+            if (e.target === el.sortModal) this.closeSortDialog();
+        });
+        el.sortModal?.addEventListener('change', () => this.updateSortPreview());
+        el.sortColumn?.addEventListener('input', () => this.updateSortPreview());
         this.bindBtn('removeBlankLinesBtn',  () => this.removeBlankLines());
+        this.bindBtn('lineToolsBtn',         () => this.openLineTools());
+        this.bindBtn('lineToolsCancelBtn',   () => this.closeLineTools());
+        this.bindBtn('lineToolsApplyBtn',    () => this.applyLineTools());
+        el.lineToolsModalClose?.addEventListener('click', () => this.closeLineTools());
+        el.lineToolsModal?.addEventListener('click', (e) => {
+            if (e.target === el.lineToolsModal) this.closeLineTools();
+        });
+        el.lineToolsModal?.addEventListener('input', () => this.updateLineToolsPreview());
+        el.lineToolsModal?.addEventListener('change', () => this.updateLineToolsPreview());
 
         // ── Toolbar: Clean buttons ──
         this.bindBtn('stripFormatBtn',       () => this.stripFormatting());
         this.bindBtn('trimLinesBtn',         () => this.trimLines());
+        this.bindBtn('typographyBtn',        () => this.openTypography());
+        this.bindBtn('typographyCancelBtn',  () => this.closeTypography());
+        this.bindBtn('typographyApplyBtn',   () => this.applyTypography());
+        el.typographyModalClose?.addEventListener('click', () => this.closeTypography());
+        el.typographyModal?.addEventListener('click', (e) => {
+            if (e.target === el.typographyModal) this.closeTypography();
+        });
+        el.typographyModal?.addEventListener('change', () => this.updateTypographyPreview());
         this.bindBtn('removeDupesBtn',       () => this.removeDuplicateLines());
+        this.bindBtn('dedupeOptionsBtn',     () => this.openDedupeDialog());
+        this.bindBtn('dedupeCancelBtn',      () => this.closeDedupeDialog());
+        this.bindBtn('dedupeApplyBtn',       () => this.applyDedupeDialog(false));
+        this.bindBtn('dedupeOnlyBtn',        () => this.applyDedupeDialog(true));
+        el.dedupeModalClose?.addEventListener('click', () => this.closeDedupeDialog());
+        el.dedupeModal?.addEventListener('click', (e) => {
+            if (e.target === el.dedupeModal) this.closeDedupeDialog();
+        });
+        el.dedupeModal?.addEventListener('change', () => this.scheduleDedupeReport());
         this.bindBtn('findReplaceToggleBtn', () => this.toggleFindReplace());
+        this.bindBtn('pasteModeBtn',         () => this.togglePasteMode());
 
         // ── Find & Replace ──
-        el.findInput?.addEventListener('input', () => this.updateFindResults());
+        el.findInput?.addEventListener('input', () => {
+            this.state.findKeyword = null;
+            this.updateFindResults();
+        });
         el.matchCaseOpt?.addEventListener('change', () => this.updateFindResults());
         el.wholeWordOpt?.addEventListener('change', () => this.updateFindResults());
         el.regexOpt?.addEventListener('change',     () => this.updateFindResults());
@@ -218,19 +509,89 @@ class TextyApp {
         this.bindBtn('replaceAllBtn', () => this.replaceAll());
         this.bindBtn('findCloseBtn',  () => this.closeFindReplace());
 
+        // ── Recipes ──
+        this.bindBtn('recipesToggleBtn', () => this.toggleRecipesPanel());
+        this.bindBtn('recipeRecordBtn',  () => this.toggleRecording());
+        this.bindBtn('recipeExportBtn',  () => this.exportRecipes());
+        this.bindBtn('recipeImportBtn',  () => el.recipeFileInput?.click());
+        this.bindBtn('recipeCloseBtn',   () => this.closeRecipesPanel());
+        el.recipeFileInput?.addEventListener('change', () => this.importRecipes());
+
+        // ── Compare ──
+        this.bindBtn('compareToggleBtn', () => this.toggleComparePanel());
+        this.bindBtn('compareSwapBtn',   () => this.swapCompare());
+        this.bindBtn('compareDiffBtn',   () => this.exportCompareDiff());
+        this.bindBtn('compareReportBtn', () => this.exportCompareReport());
+        this.bindBtn('compareCloseBtn',  () => this.closeComparePanel());
+        el.compareInput?.addEventListener('input', () => this.scheduleCompare());
+        [el.compareGranularity, el.compareIgnoreCase, el.compareIgnoreWhitespace, el.compareIgnorePunctuation]
+            .forEach(opt => opt?.addEventListener('change', () => this.renderCompare()));
+
+        // ── Writing issues ──
+        this.bindBtn('issuesToggleBtn', () => this.toggleIssuesPanel());
+        this.bindBtn('issuesCloseBtn',  () => this.closeIssuesPanel());
+
+        // ── Documents ──
+        this.bindBtn('docsToggle',   () => this.toggleDocsPanel());
+        this.bindBtn('docsCloseBtn', () => this.closeDocsPanel());
+        this.bindBtn('newDocBtn',    () => this.createDocument());
+
         // ── Action bar ──
+        this.bindBtn('importBtn',     () => el.importFileInput?.click());
+        el.importFileInput?.addEventListener('change', () => {
+            const file = el.importFileInput.files?.[0];
+            el.importFileInput.value = ''; // allow importing the same file again
+            this.importFile(file);
+        });
         this.bindBtn('copyTextBtn',   () => this.copyText());
         this.bindBtn('clearTextBtn',  () => this.clearText());
         this.bindBtn('exportTextBtn', () => this.exportAs('txt'));
         this.bindBtn('exportMdBtn',   () => this.exportAs('md'));
+        el.exportFormatSelect?.addEventListener('change', () => {
+            const format = el.exportFormatSelect.value;
+            el.exportFormatSelect.value = '';
+            if (format) this.exportAs(format);
+        });
         this.bindBtn('undoBtn',       () => this.undoLastChange());
+        this.bindBtn('redoBtn',       () => this.redoLastChange());
+        el.historySelect?.addEventListener('change', () => this.jumpToHistory());
 
         // ── Analytics tabs ──
         el.statsTabBtn?.addEventListener('click',      () => this.switchTab('stats'));
+        el.inspectorTabBtn?.addEventListener('click',  () => this.switchTab('inspector'));
+        this.bindBtn('inspectorFixAllBtn', () => this.fixHiddenCharacters());
         el.formattingTabBtn?.addEventListener('click', () => this.switchTab('formatting'));
 
+        // ── Counting language ──
+        el.localeSelect?.addEventListener('change', () => this.setLocale(el.localeSelect.value));
+
+        // ── Keywords ──
+        el.keywordSizeSelect?.addEventListener('change', () => this.setKeywordSize(el.keywordSizeSelect.value));
+        el.keywordsTableSize?.addEventListener('change', () => this.setKeywordSize(el.keywordsTableSize.value));
+        el.keywordsTableHead?.addEventListener('click', (e) => {
+            const key = e.target.closest('[data-sort]')?.dataset.sort;
+            if (key) this.sortKeywordsTable(key);
+        });
+        this.bindBtn('keywordsTableBtn',  () => this.openKeywordsTable());
+        this.bindBtn('keywordsCloseBtn',  () => this.closeKeywordsTable());
+        this.bindBtn('keywordsCsvBtn',    () => this.exportKeywordsCsv());
+        this.bindBtn('stopwordsSaveBtn',  () => this.saveStopWords());
+        this.bindBtn('stopwordsResetBtn', () => this.resetStopWords());
+        el.keywordsModalClose?.addEventListener('click', () => this.closeKeywordsTable());
+        el.keywordsModal?.addEventListener('click', (e) => {
+            if (e.target === el.keywordsModal) this.closeKeywordsTable();
+        });
+
+        // ── Readability stat expands into the breakdown ──
+        el.statReadability?.addEventListener('click', () => this.toggleReadabilityPanel());
+        el.statReadability?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            this.toggleReadabilityPanel();
+        });
+
         // ── Clickable stat items (copy value) ──
-        document.querySelectorAll('.stat-item').forEach(item => {
+        document.querySelectorAll('.stat-item:not(#statReadability)').forEach(item => {
             item.addEventListener('click', () => {
                 const valueEl = item.querySelector('.stat-value');
                 const labelEl = item.querySelector('.stat-label');
@@ -246,6 +607,36 @@ class TextyApp {
         // ── Theme toggle ──
         this.bindBtn('themeToggle', () => this.toggleTheme());
 
+        // ── Markdown export modal ──
+        this.bindBtn('mdDownloadBtn', () => this.downloadMarkdown());
+        this.bindBtn('mdCancelBtn',   () => this.closeMarkdownExport());
+        el.exportMdModalClose?.addEventListener('click', () => this.closeMarkdownExport());
+        el.exportMdModal?.addEventListener('click', (e) => {
+            if (e.target === el.exportMdModal) this.closeMarkdownExport();
+        });
+        el.mdFrontMatterOpt?.addEventListener('change', () => {
+            localStorage.setItem('texty-md-frontmatter', el.mdFrontMatterOpt.checked ? '1' : '0');
+            this.updateMarkdownPreview();
+        });
+
+        // ── Versions modal ──
+        this.bindBtn('versionsBtn',       () => this.openVersions());
+        this.bindBtn('versionsCloseBtn',  () => this.closeVersions());
+        this.bindBtn('saveVersionBtn',    () => this.saveManualVersion());
+        this.bindBtn('restoreVersionBtn', () => this.restoreVersion());
+        this.bindBtn('deleteVersionBtn',  () => this.deleteVersion());
+        el.versionsModalClose?.addEventListener('click', () => this.closeVersions());
+        el.versionsModal?.addEventListener('click', (e) => {
+            if (e.target === el.versionsModal) this.closeVersions();
+        });
+        el.versionLabelInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') { e.preventDefault(); this.saveManualVersion(); }
+        });
+        el.snapshotIntervalSelect?.addEventListener('change', () => {
+            this.state.snapshotMinutes = parseInt(el.snapshotIntervalSelect.value) || 0;
+            localStorage.setItem('texty-snapshot-interval', String(this.state.snapshotMinutes));
+        });
+
         // ── Shortcuts modal ──
         el.shortcutsHintBtn?.addEventListener('click',   () => this.openShortcutsModal());
         el.shortcutsModalClose?.addEventListener('click', () => this.closeShortcutsModal());
@@ -254,9 +645,9 @@ class TextyApp {
         });
 
         // ── Writing Limit Tracker ──
-        el.limitInput?.addEventListener('input', () => this.handleCustomLimit());
-        el.limitTypeSelect?.addEventListener('change', () => this.handleCustomLimit());
-        el.limitClearBtn?.addEventListener('click', () => this.clearLimit());
+        el.limitInput?.addEventListener('input', () => { this.handleCustomLimit(); this.markDocumentDirty(); });
+        el.limitTypeSelect?.addEventListener('change', () => { this.handleCustomLimit(); this.markDocumentDirty(); });
+        el.limitClearBtn?.addEventListener('click', () => { this.clearLimit(); this.markDocumentDirty(); });
         document.querySelectorAll('.preset-btn').forEach(btn => {
             btn.addEventListener('click', () =>
                 this.setPreset(parseInt(btn.dataset.preset), btn.dataset.type, btn)
@@ -302,27 +693,54 @@ class TextyApp {
         el.innerHTML = theme === 'dark' ? sun : moon;
     }
 
+    // ─────────────────────────────────────────────
+    //  PASTE MODE
+    // ─────────────────────────────────────────────
+    setPasteMode(mode) {
+        this.state.pasteMode = mode === 'markdown' ? 'markdown' : 'plain';
+        localStorage.setItem('texty-paste-mode', this.state.pasteMode);
+
+        const btn = this.elements.pasteModeBtn;
+        if (!btn) return;
+        const isMd = this.state.pasteMode === 'markdown';
+        btn.classList.toggle('panel-open', isMd);
+        btn.setAttribute('aria-pressed', String(isMd));
+        btn.dataset.tooltip = isMd ? 'Paste as Markdown: on' : 'Paste as Markdown: off';
+    }
+
+    togglePasteMode() {
+        this.setPasteMode(this.state.pasteMode === 'markdown' ? 'plain' : 'markdown');
+        this.showToast(this.state.pasteMode === 'markdown'
+            ? 'Rich pastes will be converted to Markdown'
+            : 'Rich pastes will be stripped to plain text');
+    }
+
     // ─────────────────────────────────────────────
     //  ANALYTICS TABS
     // ─────────────────────────────────────────────
     switchTab(tab) {
+        const el = this.elements;
         this.state.activeTab = tab;
-        const { statsTabBtn, formattingTabBtn, statsPanel, formattingPanel } = this.elements;
-
-        if (tab === 'stats') {
-            statsTabBtn?.classList.add('active');
-            formattingTabBtn?.classList.remove('active');
-            statsPanel?.classList.remove('hidden');
-            formattingPanel?.classList.add('hidden');
-            statsTabBtn?.setAttribute('aria-selected', 'true');
-            formattingTabBtn?.setAttribute('aria-selected', 'false');
-        } else {
-            formattingTabBtn?.classList.add('active');
-            statsTabBtn?.classList.remove('active');
-            formattingPanel?.classList.remove('hidden');
-            statsPanel?.classList.add('hidden');
-            formattingTabBtn?.setAttribute('aria-selected', 'true');
-            statsTabBtn?.setAttribute('aria-selected', 'false');
+
+        const tabs = {
+            stats:      [el.statsTabBtn,      el.statsPanel],
+            formatting: [el.formattingTabBtn, el.formattingPanel],
+            inspector:  [el.inspectorTabBtn,  el.inspectorPanel],
+        };
+        Object.entries(tabs).forEach(([key, [btn, panel]]) => {
+            btn?.classList.toggle('active', key === tab);
+            btn?.setAttribute('aria-selected', String(key === tab));
+            panel?.classList.toggle('hidden', key !== tab);
+        });
+
+        if (tab === 'inspector') {
+            if (el.inspectorBadge) el.inspectorBadge.hidden = true;
+            this.refreshInspector();
+        } else if (this.state.inspector) {
+            clearTimeout(this.inspectorTimer);
+            this.state.inspector      = null;
+            this.state.inspectorMarks = [];
+            this.renderHighlights();
         }
     }
 
@@ -332,10 +750,111 @@ class TextyApp {
     updateAnalysis() {
         const text = this.elements.textInput?.value || '';
 
-        // Memoize — skip if unchanged
-        if (text === this.state.lastAnalyzedText && this.state.lastAnalysisResult) return;
+        // Memoize — skip if unchanged (and no newer request is still in flight)
+        if (text === this.state.lastAnalyzedText && this.state.lastAnalysisResult &&
+            this.analysisPendingText === null) return;
+
+        if (this.analysisWorker) {
+            this.requestAnalysis(text);
+        } else {
+            this.renderAnalysis(text, this.analyzeText(text));
+        }
+    }
+
+    analyzeText(text) {
+        return TextAnalyzer.analyze(text, null, {
+            locale: this.state.locale || undefined, stopWords: this.state.stopWords
+        });
+    }
+
+    /** Changes the language used to segment words, sentences and characters. */
+    setLocale(locale) {
+        this.state.locale = locale;
+        localStorage.setItem('texty-locale', locale);
+        if (this.elements.localeSelect) this.elements.localeSelect.value = locale;
 
-        const analysis = TextAnalyzer.analyze(text);
+        this.reanalyze();
+    }
+
+    /** Same text, different counts: bypass the memo and any in-flight request. */
+    reanalyze() {
+        this.state.lastAnalysisResult = null;
+        this.analysisPendingText      = null;
+        this.updateAnalysis();
+    }
+
+    /**
+     * Starts the analysis worker. Falls back to inline analysis when workers are
+     * unavailable (old browsers, or the page opened from file://).
+     */
+    initAnalysisWorker() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.analysisWorker = new Worker('js/analysis-worker.js');
+        } catch (err) {
+            console.warn('Analysis worker unavailable, analysing inline:', err);
+            this.analysisWorker = null;
+            return;
+        }
+
+        this.analysisWorker.addEventListener('message', (e) => this.handleAnalysisMessage(e.data));
+        this.analysisWorker.addEventListener('error', (e) => {
+            console.warn('Analysis worker failed, analysing inline:', e.message);
+            this.stopAnalysisWorker();
+            this.updateAnalysis();
+        });
+    }
+
+    stopAnalysisWorker() {
+        this.analysisWorker?.terminate();
+        this.analysisWorker      = null;
+        this.analysisPendingText = null;
+        this.analysisBusySince   = null;
+    }
+
+    requestAnalysis(text) {
+        if (text === this.analysisPendingText) return;
+
+        // A huge analysis is still running — cancel it rather than queue behind it
+        if (this.analysisBusySince && Date.now() - this.analysisBusySince > this.ANALYSIS_CANCEL_AFTER) {
+            this.stopAnalysisWorker();
+            this.initAnalysisWorker();
+            if (!this.analysisWorker) {
+                this.renderAnalysis(text, this.analyzeText(text));
+                return;
+            }
+        }
+
+        this.analysisRequestId++;
+        this.analysisPendingText = text;
+        this.analysisBusySince ??= Date.now();
+        this.analysisWorker.postMessage({
+            id: this.analysisRequestId, text, locale: this.state.locale, stopWords: this.state.stopWords
+        });
+    }
+
+    handleAnalysisMessage({ id, result, error }) {
+        // Superseded by a newer request — drop it; the worker is busy with the newer text
+        if (id !== this.analysisRequestId) {
+            this.analysisBusySince = Date.now();
+            return;
+        }
+
+        const text = this.analysisPendingText;
+        this.analysisPendingText = null;
+        this.analysisBusySince   = null;
+
+        if (error) {
+            console.error('Analysis failed in worker:', error);
+            this.renderAnalysis(text, this.analyzeText(text));
+            return;
+        }
+
+        this.renderAnalysis(text, result);
+    }
+
+    renderAnalysis(text, analysis) {
         this.state.lastAnalyzedText   = text;
         this.state.lastAnalysisResult = analysis;
 
@@ -346,13 +865,15 @@ class TextyApp {
             if (e.wordCount)        e.wordCount.textContent        = TextUtils.formatNumber(analysis.words);
             if (e.uniqueWords)      e.uniqueWords.textContent      = TextUtils.formatNumber(analysis.uniqueWords);
             if (e.charCount)        e.charCount.textContent        = TextUtils.formatNumber(analysis.characters);
+            if (e.charNoSpacesCount) e.charNoSpacesCount.textContent = TextUtils.formatNumber(analysis.charactersNoSpaces);
+            if (e.byteCount)        e.byteCount.textContent        = TextUtils.formatNumber(analysis.bytes);
             if (e.sentenceCount)    e.sentenceCount.textContent    = TextUtils.formatNumber(analysis.sentences);
             if (e.paragraphCount)   e.paragraphCount.textContent   = TextUtils.formatNumber(analysis.paragraphs);
             if (e.avgWordLength)    e.avgWordLength.textContent    = analysis.avgWordLength;
             if (e.readingTime)      e.readingTime.textContent      = analysis.readingTime;
-            if (e.readabilityScore) e.readabilityScore.textContent = analysis.fleschScore;
-
-            this.updateKeywords(analysis.keywords);
+            this.updateLanguage(analysis.language);
+            this.updateReadability(analysis);
+            this.updateKeywords(analysis);
             this.updateLimitTracker();
 
             // Dynamic page title
@@ -364,26 +885,107 @@ class TextyApp {
         });
     }
 
-    updateKeywords(keywords) {
+    /** Display name for a language code, taken from the language picker. */
+    languageName(code) {
+        const option = code && this.elements.localeSelect?.querySelector(`option[value="${code}"]`);
+        return option ? option.textContent : (code || '').toUpperCase();
+    }
+
+    updateLanguage(language) {
+        const { localeAutoOption } = this.elements;
+        if (!localeAutoOption) return;
+        localeAutoOption.textContent = language.detected && language.code
+            ? `Auto-detect (${this.languageName(language.code)})`
+            : 'Auto-detect';
+    }
+
+    updateReadability({ readability, language, words }) {
+        const { readabilityScore, readabilityLabel, readabilityList, readabilityNote } = this.elements;
+        if (readabilityScore) readabilityScore.textContent = readability ? readability.flesch.score : '\u2014';
+        if (readabilityLabel) readabilityLabel.textContent = readability ? readability.flesch.label : '';
+        if (readabilityNote) {
+            readabilityNote.textContent = language.code === 'en' || !language.code
+                ? 'Grade levels are US school grades. Scores on a few sentences are rough.'
+                : 'Grade-level tests are calibrated for English, so only this language\u2019s own formulas are shown.';
+        }
+        if (!readabilityList) return;
+
+        if (!readability) {
+            readabilityList.textContent = '';
+            readabilityList.appendChild(Object.assign(document.createElement('span'), {
+                className:   'no-keywords',
+                textContent: words
+                    ? `No readability formula for ${this.languageName(language.code)} yet.`
+                    : 'Start typing to see readability scores\u2026'
+            }));
+            return;
+        }
+
+        const frag = document.createDocumentFragment();
+        TextAnalyzer.readabilityTests(language.code || 'en').forEach(({ key, name, description }) => {
+            const { score, label } = readability[key];
+            const row = Object.assign(document.createElement('div'), { className: 'readability-row' });
+            row.append(
+                Object.assign(document.createElement('span'), {
+                    className: 'readability-name', textContent: name, tabIndex: 0
+                }),
+                Object.assign(document.createElement('span'), {
+                    className: 'readability-score', textContent: score ?? '\u2014'
+                }),
+                Object.assign(document.createElement('span'), {
+                    className: 'readability-label', textContent: label
+                })
+            );
+            row.firstChild.dataset.tooltip = description;
+            frag.appendChild(row);
+        });
+
+        readabilityList.textContent = '';
+        readabilityList.appendChild(frag);
+    }
+
+    toggleReadabilityPanel() {
+        const { readabilityPanel, statReadability } = this.elements;
+        if (!readabilityPanel) return;
+        const open = readabilityPanel.hidden;
+        readabilityPanel.hidden = !open;
+        statReadability?.setAttribute('aria-expanded', String(open));
+        statReadability?.classList.toggle('panel-open', open);
+    }
+
+    updateKeywords({ keywordStats, language }) {
         const el = this.elements.keywordsList;
         if (!el) return;
+        const rows = this.keywordRows(keywordStats).filter(k => k.count >= 2).slice(0, 7);
+
+        if (this.isKeywordsTableOpen()) {
+            this.renderKeywordsTable();
+            // The detected language changed: show its stopwords instead
+            if (this.elements.stopwordsInput?.dataset.language !== (language.code || 'en')) this.fillStopWords();
+        }
 
-        if (!keywords.length) {
-            el.innerHTML = '<span class="no-keywords">Start typing to see keywords\u2026</span>';
+        if (!rows.length) {
+            el.innerHTML = keywordStats.words.length
+                ? '<span class="no-keywords">Nothing repeats yet.</span>'
+                : '<span class="no-keywords">Start typing to see keywords\u2026</span>';
             return;
         }
 
         const frag = document.createDocumentFragment();
-        keywords.forEach(word => {
-            const span = document.createElement('span');
-            span.className   = 'keyword-tag';
-            span.textContent = word.toUpperCase();
-            span.title       = `Click to copy "${word}"`;
-            span.addEventListener('click', () => {
-                TextUtils.copyToClipboard(word)
-                    .then(() => this.showToast(`"${word}" copied`));
+        rows.forEach(row => {
+            const tag = Object.assign(document.createElement('button'), {
+                type:      'button',
+                className: 'keyword-tag',
+                title:     `Highlight every occurrence of "${row.term}"`,
             });
-            frag.appendChild(span);
+            tag.append(
+                row.term.toUpperCase(),
+                Object.assign(document.createElement('span'), {
+                    className: 'keyword-count', textContent: `\u00d7${row.count} \u00b7 ${row.density}%`
+                })
+            );
+            tag.addEventListener('click', () => this.highlightKeyword(row));
+            frag.appendChild(tag);
         });
 
         el.textContent = '';
@@ -460,6 +1062,139 @@ class TextyApp {
         if (formattingBadge) formattingBadge.hidden = true;
     }
 
+    // ─────────────────────────────────────────────
+    //  HIDDEN CHARACTERS (Hidden Characters tab)
+    // ─────────────────────────────────────────────
+
+    /** Raises the tab badge when pasted text brings in invisible, bidi, control or look-alike characters. */
+    flagHiddenCharacters(pasted) {
+        const badge = this.elements.inspectorBadge;
+        if (!badge || this.state.activeTab === 'inspector') return;
+        const { alerts } = CharacterInspector.scan(pasted);
+        if (!alerts) return;
+        badge.hidden = false;
+        badge.textContent = alerts > 99 ? '99+' : String(alerts);
+        badge.title = `${alerts} hidden or look-alike character${alerts !== 1 ? 's' : ''} pasted`;
+    }
+
+    /** Called whenever the editor text changes; like updateIssues, the rescan waits for a pause. */
+    updateInspector() {
+        const text = this.elements.textInput?.value ?? '';
+        this.state.inspectorMarks = WritingIssues.shift(this.state.inspectorMarks, this.state.inspectorText, text);
+        this.state.inspectorText  = text;
+        this.renderHighlights();
+
+        clearTimeout(this.inspectorTimer);
+        this.inspectorTimer = setTimeout(() => this.refreshInspector(), text.length > 50_000 ? 600 : 250);
+    }
+
+    refreshInspector() {
+        clearTimeout(this.inspectorTimer);
+        const el   = this.elements;
+        const text = el.textInput?.value ?? '';
+        const scan = CharacterInspector.scan(text);
+        this.state.inspector      = scan;
+        this.state.inspectorText  = text;
+        this.state.inspectorMarks = scan.items.flatMap(item =>
+            item.positions.map(at => ({ start: at, end: at + item.char.length })));
+        this.renderHighlights();
+
+        if (el.inspectorSummary) {
+            el.inspectorSummary.textContent = scan.total
+                ? `${scan.total} character${scan.total !== 1 ? 's' : ''} · ${scan.items.length} kind${scan.items.length !== 1 ? 's' : ''}`
+                : '';
+        }
+        if (el.inspectorFixAllBtn) el.inspectorFixAllBtn.hidden = !scan.total;
+        if (el.inspectorEmpty)     el.inspectorEmpty.style.display = scan.total ? 'none' : '';
+
+        const list = el.inspectorList;
+        if (!list) return;
+
+        // Line and column of every position listed, in one pass over the text
+        const MAX_LINKS = 12;
+        const shown = scan.items.flatMap(item => item.positions.slice(0, MAX_LINKS)).sort((a, b) => a - b);
+        const where = new Map();
+        let line = 1;
+        let lineStart = 0;
+        let nextBreak = text.indexOf('\n');
+        shown.forEach(at => {
+            while (nextBreak !== -1 && nextBreak < at) {
+                line++;
+                lineStart = nextBreak + 1;
+                nextBreak = text.indexOf('\n', lineStart);
+            }
+            where.set(at, [line, at - lineStart + 1]);
+        });
+
+        list.textContent = '';
+        const frag = document.createDocumentFragment();
+        scan.items.forEach(item => frag.appendChild(this.inspectorRow(item, where, MAX_LINKS)));
+        list.appendChild(frag);
+    }
+
+    inspectorRow(item, where, maxLinks) {
+        const row  = Object.assign(document.createElement('li'), { className: 'inspector-row' });
+        const code = Object.assign(document.createElement('span'), { className: 'inspector-code', textContent: item.code });
+        const name = Object.assign(document.createElement('span'), { className: 'inspector-name', textContent: item.name });
+        name.appendChild(Object.assign(document.createElement('span'), {
+            className: 'formatting-tag', textContent: `${CharacterInspector.CATEGORIES[item.category]} \u00d7${item.count}`,
+        }));
+
+        const actions = Object.assign(document.createElement('div'), { className: 'inspector-actions' });
+        const button  = (label, title, fn) => {
+            const btn = Object.assign(document.createElement('button'), {
+                type: 'button', className: 'btn btn-sm btn-outline', textContent: label, title,
+            });
+            btn.addEventListener('click', fn);
+            actions.appendChild(btn);
+        };
+        button('Remove', `Delete every ${item.code}`, () => this.fixHiddenCharacters([item.char], true));
+        if (item.replacement) {
+            const shown = item.replacement.trim() ? `"${item.replacement}"` : item.replacement === ' ' ? 'space' : 'line break';
+            button(`→ ${shown}`, `Replace every ${item.code} with ${shown}`, () => this.fixHiddenCharacters([item.char]));
+        }
+
+        // Positions as line:column links that select the character in the editor
+        const places = Object.assign(document.createElement('div'), { className: 'inspector-positions' });
+        places.append('At ');
+        item.positions.slice(0, maxLinks).forEach((at, i) => {
+            if (i) places.append(', ');
+            const [line, col] = where.get(at);
+            const link = Object.assign(document.createElement('button'), { type: 'button', textContent: `${line}:${col}` });
+            link.title = `Line ${line}, column ${col}`;
+            link.addEventListener('click', () => this.selectRange(at, at + item.char.length));
+            places.append(link);
+        });
+        if (item.positions.length > maxLinks) places.append(` and ${item.positions.length - maxLinks} more`);
+
+        row.append(code, name, actions, places);
+        return row;
+    }
+
+    selectRange(start, end) {
+        const ta = this.elements.textInput;
+        if (!ta) return;
+        ta.focus();
+        ta.setSelectionRange(start, end);
+    }
+
+    /**
+     * Replaces (or removes) hidden characters across the whole document — the list
+     * covers all of it, so any selection is collapsed first. `chars` limits it to some.
+     */
+    fixHiddenCharacters(chars = null, remove = false) {
+        const ta = this.elements.textInput;
+        if (!ta) return;
+        ta.setSelectionRange(ta.selectionStart, ta.selectionStart);
+
+        const step = { op: 'cleanCharacters' };
+        if (!chars && !remove) this.captureStep(step);
+        const label = remove ? 'Remove Hidden Characters' : TransformRecipe.describe(step);
+        const { applied } = this.applyTransform(t => CharacterInspector.clean(t, { chars, remove }), false, label, true);
+        this.refreshInspector();
+        if (applied) this.showToast(chars ? `${chars.map(c => CharacterInspector.codeLabel(c)).join(', ')} ${remove ? 'removed' : 'replaced'}` : 'Hidden characters fixed');
+    }
+
     // ─────────────────────────────────────────────
     //  SELECTION-AWARE TRANSFORM HELPER
     // ─────────────────────────────────────────────
@@ -488,13 +1223,16 @@ class TextyApp {
 
     /**
      * Applies a transform function to either the current selection or the full text.
-     * Saves an undo snapshot before applying. Writes the result back to the textarea,
+     * Records a history step before applying. Writes the result back to the textarea,
      * restores the cursor/selection, then triggers analysis and autosave.
      *
      * @param {function(string): string} fn  — pure transform: receives text, returns new text
+     * @param {boolean} isSpacing            — pad a selection with blank lines (paragraph transforms)
+     * @param {string}  label                — history entry name, e.g. "Sort A → Z"
+     * @param {boolean} snapshot             — save a version first (transforms that lose information)
      * @returns {{ applied: boolean, wasSelection: boolean }}
      */
-    applyTransform(fn, isSpacing = false) {
+    applyTransform(fn, isSpacing = false, label = 'Transform', snapshot = false) {
         const ctx = this.getSelectionContext();
         if (!ctx) return { applied: false, wasSelection: false };
 
@@ -521,8 +1259,6 @@ class TextyApp {
         // Nothing changed — skip snapshot and DOM write
         if (result === ctx.target && !padStart && !padEnd) return { applied: false, wasSelection: ctx.hasSelection };
 
-        this.saveUndoSnapshot();
-
         const el = this.elements.textInput;
         el.setRangeText(result, ctx.start, ctx.end);
 
@@ -531,6 +1267,10 @@ class TextyApp {
         const newEnd   = newStart + transformed.length;
         el.setSelectionRange(ctx.hasSelection ? newStart : newEnd, newEnd);
 
+        const stepLabel = ctx.hasSelection ? `${label} on selection` : label;
+        this.recordHistory(ctx.fullText, stepLabel);
+        if (snapshot) this.snapshotVersion(ctx.fullText, `Before ${stepLabel}`);
+
         el.dispatchEvent(new Event('input', { bubbles: true }));
 
         return { applied: true, wasSelection: ctx.hasSelection };
@@ -540,162 +1280,768 @@ class TextyApp {
     //  TEXT TRANSFORMS — Format
     // ─────────────────────────────────────────────
     stripFormatting() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.stripFormatting(t));
+        this.captureStep({ op: 'stripFormatting' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.stripFormatting(t), false, 'Strip Formatting', true);
         if (applied) this.showToast(wasSelection ? 'Formatting stripped from selection' : 'Formatting stripped');
     }
 
     removeDuplicateLines() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.removeDuplicateLines(t));
+        this.captureStep({ op: 'removeDuplicateLines' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.removeDuplicateLines(t), false, 'Remove Duplicates', true);
         if (applied) this.showToast(wasSelection ? 'Duplicates removed from selection' : 'Duplicate lines removed');
         else         this.showToast('No duplicate lines found');
     }
 
     convertCase(caseType) {
-        const { applied, wasSelection } = this.applyTransform(t => CaseConverter.convert(t, caseType));
-        if (applied) this.showToast(wasSelection ? `Selection → ${caseType} case` : `Converted to ${caseType} case`);
+        const step = { op: 'case', caseType };
+        if (caseType === 'title') step.style = this.state.titleStyle;
+        if (caseType === 'sentence' && this.state.learnProperNouns) step.learn = true;
+        const label   = TransformRecipe.OPERATIONS.case.label(step);
+        const options = { ...step, properNouns: this.state.properNouns };
+        this.captureStep(step);
+        const { applied, wasSelection } = this.applyTransform(t => CaseConverter.convert(t, caseType, options), false, label, true);
+        if (applied) this.showToast(wasSelection ? `Selection → ${label}` : `Converted to ${label}`);
+    }
+
+    /** The style guide Title Case follows; remembered between visits. */
+    setTitleStyle(style) {
+        if (!CaseConverter.TITLE_STYLES[style]) style = CaseConverter.DEFAULT_TITLE_STYLE;
+        this.state.titleStyle = style;
+        localStorage.setItem('texty-title-style', style);
+        const { titleStyleSelect, caseTitleBtn } = this.elements;
+        if (titleStyleSelect) titleStyleSelect.value = style;
+        if (caseTitleBtn) caseTitleBtn.dataset.tooltip = `Title Case (${CaseConverter.TITLE_STYLES[style].label})`;
+    }
+
+    loadProperNouns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('texty-proper-nouns'));
+            return Array.isArray(saved) ? saved.filter(w => typeof w === 'string') : [];
+        } catch {
+            return [];
+        }
+    }
+
+    openProperNouns() {
+        const { properNounsModal, properNounsInput, learnProperNounsOpt } = this.elements;
+        if (properNounsInput) properNounsInput.value = this.state.properNouns.join('\n');
+        if (learnProperNounsOpt) learnProperNounsOpt.checked = this.state.learnProperNouns;
+        properNounsModal?.classList.add('open');
+        properNounsModal?.setAttribute('aria-hidden', 'false');
+        properNounsInput?.focus();
+    }
+
+    closeProperNouns() {
+        this.elements.properNounsModal?.classList.remove('open');
+        this.elements.properNounsModal?.setAttribute('aria-hidden', 'true');
+    }
+
+    /** One term per line; duplicates (ignoring case) are dropped, the first spelling wins. */
+    parseProperNouns(value) {
+        const seen = new Set();
+        return value.split(/\n/).map(w => w.trim().replace(/\s+/g, ' ')).filter(w => {
+            const key = w.toLowerCase();
+            if (!w || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    saveProperNouns() {
+        const input = this.elements.properNounsInput;
+        if (!input) return;
+        this.state.properNouns = this.parseProperNouns(input.value);
+        localStorage.setItem('texty-proper-nouns', JSON.stringify(this.state.properNouns));
+        this.closeProperNouns();
+        this.showToast(`Dictionary saved (${this.state.properNouns.length} term${this.state.properNouns.length !== 1 ? 's' : ''})`);
+    }
+
+    /** Suggests names from the editor text; they are only kept once saved. */
+    addProperNounsFromText() {
+        const input = this.elements.properNounsInput;
+        if (!input) return;
+        const before  = this.parseProperNouns(input.value);
+        const learned = CaseConverter.learnProperNouns(this.elements.textInput?.value || '');
+        const merged  = this.parseProperNouns([...before, ...learned].join('\n'));
+        const added   = merged.length - before.length;
+        input.value = merged.join('\n');
+        this.showToast(added ? `Added ${added} name${added !== 1 ? 's' : ''} — Save to keep them` : 'No new names found in the text');
     }
 
     // ─────────────────────────────────────────────
     //  TEXT TRANSFORMS — Lines
     // ─────────────────────────────────────────────
     sentencesPerLine() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.sentencesPerLine(t), true);
+        this.captureStep({ op: 'sentencesPerLine' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.sentencesPerLine(t), true, 'Sentences → Lines');
         if (applied) this.showToast(wasSelection ? 'Sentences split & separated' : 'Sentences split to lines');
         else         this.showToast('No sentence breaks detected');
     }
 
     joinLines() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.joinLines(t), true);
+        this.captureStep({ op: 'joinLines' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.joinLines(t), true, 'Join Lines', true);
         if (applied) this.showToast(wasSelection ? 'Lines joined & separated' : 'Lines joined into paragraphs');
         else         this.showToast('No hard line breaks to join');
     }
 
     trimLines() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.trimLines(t));
+        this.captureStep({ op: 'trimLines' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.trimLines(t), false, 'Trim Lines');
         if (applied) this.showToast(wasSelection ? 'Lines trimmed in selection' : 'Lines trimmed');
         else         this.showToast('Lines already trimmed');
     }
 
     sortLinesAZ() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.sortLinesAZ(t));
+        this.captureStep({ op: 'sortLinesAZ' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.sortLinesAZ(t), false, 'Sort A → Z', true);
         if (applied) this.showToast(wasSelection ? 'Selection sorted A → Z' : 'Lines sorted A → Z');
         else         this.showToast('Nothing to sort');
     }
 
     removeBlankLines() {
-        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.removeBlankLines(t));
+        this.captureStep({ op: 'removeBlankLines' });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.removeBlankLines(t), false, 'Remove Blank Lines', true);
         if (applied) this.showToast(wasSelection ? 'Blank lines removed from selection' : 'Blank lines removed');
         else         this.showToast('No blank lines found');
     }
 
     // ─────────────────────────────────────────────
-    //  UNDO
+    //  SORT DIALOG
     // ─────────────────────────────────────────────
-    saveUndoSnapshot() {
-        this.state.undoSnapshot = this.elements.textInput?.value ?? null;
-        if (this.elements.undoBtn) this.elements.undoBtn.disabled = false;
+    loadSortOptions() {
+        try {
+            return TextFormatter.sortOptions(JSON.parse(localStorage.getItem('texty-sort-options')) || {});
+        } catch {
+            return TextFormatter.sortOptions();
+        }
     }
 
-    undoLastChange() {
-        if (this.state.undoSnapshot === null || !this.elements.textInput) return;
+    openSortDialog() {
+        const el   = this.elements;
+        const opts = this.state.sortOptions;
+        if (el.sortMode)          el.sortMode.value          = opts.mode;
+        if (el.sortDescending)    el.sortDescending.value    = String(opts.descending);
+        if (el.sortColumn)        el.sortColumn.value        = String(opts.column);
+        if (el.sortDelimiter)     el.sortDelimiter.value     = opts.delimiter;
+        if (el.sortLocale)        el.sortLocale.value        = opts.locale;
+        if (el.sortCaseSensitive) el.sortCaseSensitive.checked = opts.caseSensitive;
+        if (el.sortUnique)        el.sortUnique.checked      = opts.unique;
+        if (el.sortHeader)        el.sortHeader.checked      = opts.header;
+        if (el.sortBlocks)        el.sortBlocks.checked      = opts.blocks;
 
-        this.elements.textInput.value = this.state.undoSnapshot;
-        this.state.undoSnapshot = null;
+        const ctx = this.getSelectionContext();
+        if (el.sortScope) el.sortScope.textContent = ctx?.hasSelection
+            ? 'Sorting the selected lines only.'
+            : 'Sorting the whole document. Select lines first to sort just those.';
+
+        this.updateSortPreview();
+        el.sortModal?.classList.add('open');
+        el.sortModal?.setAttribute('aria-hidden', 'false');
+        el.sortMode?.focus();
+    }
 
-        if (this.elements.undoBtn) this.elements.undoBtn.disabled = true;
+    closeSortDialog() {
+        this.elements.sortModal?.classList.remove('open');
+        this.elements.sortModal?.setAttribute('aria-hidden', 'true');
+    }
 
-        this.updateAnalysis();
-        this.performAutoSave(); // Persist restored text immediately
-        this.showToast('Last change undone');
+    isSortDialogOpen() {
+        return !!this.elements.sortModal?.classList.contains('open');
     }
 
-    // ─────────────────────────────────────────────
-    //  FIND & REPLACE
-    // ─────────────────────────────────────────────
-    toggleFindReplace() {
-        this.state.findPanelOpen ? this.closeFindReplace() : this.openFindReplace();
+    readSortDialog() {
+        const el = this.elements;
+        return TextFormatter.sortOptions({
+            mode:          el.sortMode?.value,
+            descending:    el.sortDescending?.value === 'true',
+            column:        parseInt(el.sortColumn?.value, 10) || 0,
+            delimiter:     el.sortDelimiter?.value,
+            locale:        el.sortLocale?.value,
+            caseSensitive: !!el.sortCaseSensitive?.checked,
+            unique:        !!el.sortUnique?.checked,
+            header:        !!el.sortHeader?.checked,
+            blocks:        !!el.sortBlocks?.checked,
+        });
     }
 
-    openFindReplace() {
-        this.state.findPanelOpen = true;
-        this.elements.findReplacePanel?.classList.add('open');
-        this.elements.findReplacePanel?.setAttribute('aria-hidden', 'false');
-        this.elements.findReplaceToggleBtn?.classList.add('panel-open');
-        this.elements.findInput?.focus();
-        this.updateFindResults();
+    // Shows the first lines of the result; shuffles are not previewed since they would differ on apply
+    updateSortPreview() {
+        const el   = this.elements;
+        const opts = this.readSortDialog();
+        const ordered = opts.mode !== 'reverse' && opts.mode !== 'shuffle';
+        if (el.sortDescending) el.sortDescending.disabled = !ordered;
+        if (el.sortLocale)     el.sortLocale.disabled     = opts.mode !== 'alpha' && opts.mode !== 'natural';
+        if (el.sortDelimiter)  el.sortDelimiter.disabled  = !ordered || opts.column === 0;
+        if (!el.sortPreview) return;
+
+        const ctx = this.getSelectionContext();
+        if (opts.mode === 'shuffle' || !ctx?.target) {
+            el.sortPreview.textContent = '';
+            el.sortPreview.hidden = true;
+            return;
+        }
+        // Sort a bounded sample: enough to judge the order without stalling on huge documents
+        const sample = ctx.target.length > 200_000 ? ctx.target.slice(0, 200_000) : ctx.target;
+        const lines  = TextFormatter.sortLines(sample, opts).split('\n');
+        el.sortPreview.textContent = lines.slice(0, 12).join('\n') + (lines.length > 12 ? '\n…' : '');
+        el.sortPreview.hidden = false;
     }
 
-    closeFindReplace() {
-        this.state.findPanelOpen    = false;
-        this.state.findMatches      = [];
-        this.state.findCurrentIndex = -1;
-        this.elements.findReplacePanel?.classList.remove('open');
-        this.elements.findReplacePanel?.setAttribute('aria-hidden', 'true');
-        this.elements.findReplaceToggleBtn?.classList.remove('panel-open');
-        this.updateFindCount();
-        this.elements.textInput?.focus();
+    applySortDialog() {
+        const opts = this.readSortDialog();
+        this.state.sortOptions = opts;
+        localStorage.setItem('texty-sort-options', JSON.stringify(opts));
+        this.closeSortDialog();
+
+        const label = TextFormatter.describeSort(opts);
+        this.captureStep({ op: 'sortLines', options: opts });
+        const { applied, wasSelection } = this.applyTransform(t => TextFormatter.sortLines(t, opts), false, label, true);
+        if (applied) this.showToast(wasSelection ? `Selection: ${label}` : label);
+        else         this.showToast('Lines already in that order');
     }
 
-    buildFindRegex(flags = 'g') {
-        const findText = this.elements.findInput?.value || '';
-        if (!findText) return null;
+    // ─────────────────────────────────────────────
+    //  LINE TOOLS DIALOG
+    // ─────────────────────────────────────────────
+
+    // Form field id → key in the saved settings
+    lineToolFields() {
+        return {
+            lineToolsAction:     'action',
+            lineNumberStart:     'start',
+            lineNumberPadding:   'padding',
+            lineNumberSeparator: 'separator',
+            lineBulletStyle:     'style',
+            linePrefix:          'prefix',
+            lineSuffix:          'suffix',
+            lineWrapPair:        'pair',
+            lineWrapEscape:      'escape',
+            lineJoinDelimiter:   'delimiter',
+            lineReflowWidth:     'width',
+            lineReflowJustify:   'justify',
+        };
+    }
 
+    loadLineTools() {
         try {
-            const matchCase = this.elements.matchCaseOpt?.checked;
-            const wholeWord = this.elements.wholeWordOpt?.checked;
-            const isRegex   = this.elements.regexOpt?.checked;
-            let pattern = isRegex ? findText : findText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            if (wholeWord) pattern = `\\b${pattern}\\b`;
-            return new RegExp(pattern, flags + (matchCase ? '' : 'i'));
+            const saved = JSON.parse(localStorage.getItem('texty-line-tools'));
+            return saved && typeof saved === 'object' ? saved : {};
         } catch {
-            return null;
+            return {};
         }
     }
 
-    updateFindResults() {
-        const findInput = this.elements.findInput;
-        const findText  = findInput?.value || '';
+    openLineTools() {
+        const saved = this.state.lineTools;
+        Object.entries(this.lineToolFields()).forEach(([id, key]) => {
+            const field = document.getElementById(id);
+            if (!field || typeof saved[key] !== 'string') return;
+            // Selects ignore values they have no option for
+            if (field.tagName !== 'SELECT' || [...field.options].some(o => o.value === saved[key])) {
+                field.value = saved[key];
+            }
+        });
 
-        if (!findText) {
-            this.state.findMatches      = [];
-            this.state.findCurrentIndex = -1;
-            findInput?.classList.remove('find-error');
-            this.updateFindCount();
-            return;
-        }
+        const ctx = this.getSelectionContext();
+        if (this.elements.lineToolsScope) this.elements.lineToolsScope.textContent = ctx?.hasSelection
+            ? 'Applies to the selected lines only.'
+            : 'Applies to the whole document. Select lines first to change just those.';
+
+        this.updateLineToolsPreview();
+        this.elements.lineToolsModal?.classList.add('open');
+        this.elements.lineToolsModal?.setAttribute('aria-hidden', 'false');
+        this.elements.lineToolsAction?.focus();
+    }
 
-        const regex = this.buildFindRegex('g');
+    closeLineTools() {
+        this.elements.lineToolsModal?.classList.remove('open');
+        this.elements.lineToolsModal?.setAttribute('aria-hidden', 'true');
+    }
 
-        if (!regex) {
-            // Invalid (e.g. broken regex)
-            findInput?.classList.add('find-error');
-            this.state.findMatches      = [];
-            this.state.findCurrentIndex = -1;
-            this.updateFindCount();
-            return;
-        }
+    isLineToolsOpen() {
+        return !!this.elements.lineToolsModal?.classList.contains('open');
+    }
 
-        findInput?.classList.remove('find-error');
+    readLineToolsForm() {
+        const values = {};
+        Object.entries(this.lineToolFields()).forEach(([id, key]) => {
+            const field = document.getElementById(id);
+            if (field) values[key] = field.value;
+        });
+        return values;
+    }
 
-        const text    = this.elements.textInput?.value || '';
-        const matches = [];
-        let m;
-        regex.lastIndex = 0;
+    /** The form as a recipe step, checked the same way as an imported recipe. */
+    lineToolsStep(values) {
+        const unescape = value => (value || '').replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+        const [open, close] = TextFormatter.WRAP_PAIRS[values.pair] || ['"', '"'];
+        const step = {
+            numberLines:       { start: parseInt(values.start, 10) || 0, padding: values.padding, separator: unescape(values.separator) },
+            removeLineNumbers: {},
+            setBullets:        { style: values.style },
+            affixLines:        { prefix: values.prefix, suffix: values.suffix },
+            wrapLines:         { open, close, escape: values.escape },
+            joinWith:          { delimiter: unescape(values.delimiter) },
+            reflow:            { width: parseInt(values.width, 10), justify: values.justify === 'true' },
+            unwrap:            {},
+        }[values.action];
+        return step ? TransformRecipe.normalizeStep({ op: values.action, ...step }) : null;
+    }
 
-        while ((m = regex.exec(text)) !== null) {
-            matches.push({ start: m.index, end: m.index + m[0].length });
-            if (m[0].length === 0) regex.lastIndex++; // guard against zero-length matches
-        }
+    updateLineToolsPreview() {
+        const el     = this.elements;
+        const values = this.readLineToolsForm();
+        el.lineToolsModal?.querySelectorAll('[data-action]').forEach(group => {
+            group.hidden = group.dataset.action !== values.action;
+        });
+        if (!el.lineToolsPreview) return;
 
-        this.state.findMatches = matches;
-        if (this.state.findCurrentIndex >= matches.length) {
-            this.state.findCurrentIndex = matches.length - 1;
+        const ctx  = this.getSelectionContext();
+        const step = this.lineToolsStep(values);
+        if (!ctx?.target || !step) {
+            el.lineToolsPreview.hidden = true;
+            return;
         }
-        this.updateFindCount();
+        // Preview the first lines only; every tool works line by line (joining shows the start)
+        const sample = ctx.target.split('\n').slice(0, 12).join('\n');
+        el.lineToolsPreview.textContent = TransformRecipe.run(sample, [step]);
+        el.lineToolsPreview.hidden = false;
     }
 
-    updateFindCount() {
-        const el    = this.elements.findResultsCount;
+    applyLineTools() {
+        const values = this.readLineToolsForm();
+        const step   = this.lineToolsStep(values);
+        if (!step) return;
+        this.state.lineTools = values;
+        localStorage.setItem('texty-line-tools', JSON.stringify(values));
+        this.closeLineTools();
+
+        const label = TransformRecipe.describe(step);
+        this.captureStep(step);
+        const { applied, wasSelection } = this.applyTransform(t => TransformRecipe.run(t, [step]), false, label, true);
+        if (applied) this.showToast(wasSelection ? `Selection: ${label}` : label);
+        else         this.showToast('Nothing to change');
+    }
+
+    // ─────────────────────────────────────────────
+    //  TYPOGRAPHY DIALOG
+    // ─────────────────────────────────────────────
+    loadTypography() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('texty-typography')) || {};
+        } catch { /* fall back to defaults */ }
+        const opts = TextFormatter.typographyOptions(saved);
+        // No saved quote style (or '') follows the document language, resolved when applied
+        return { ...opts, locale: saved.locale ? opts.locale : '' };
+    }
+
+    openTypography() {
+        const el   = this.elements;
+        const opts = this.state.typography;
+        if (el.typographyMode)      el.typographyMode.value      = opts.mode;
+        if (el.typographyLocale)    el.typographyLocale.value    = opts.locale;
+        if (el.typographyNormalize) el.typographyNormalize.value = opts.normalize;
+
+        const ctx = this.getSelectionContext();
+        if (el.typographyScope) el.typographyScope.textContent = ctx?.hasSelection
+            ? 'Applies to the selection only.'
+            : 'Applies to the whole document.';
+
+        this.updateTypographyPreview();
+        el.typographyModal?.classList.add('open');
+        el.typographyModal?.setAttribute('aria-hidden', 'false');
+        el.typographyMode?.focus();
+    }
+
+    closeTypography() {
+        this.elements.typographyModal?.classList.remove('open');
+        this.elements.typographyModal?.setAttribute('aria-hidden', 'true');
+    }
+
+    isTypographyOpen() {
+        return !!this.elements.typographyModal?.classList.contains('open');
+    }
+
+    /** The form as a recipe step, with "Document language" resolved to the detected one. */
+    typographyStep() {
+        const el     = this.elements;
+        const locale = el.typographyLocale?.value || this.stopWordsLanguage();
+        return TransformRecipe.normalizeStep({
+            op:        'typography',
+            mode:      el.typographyMode?.value,
+            locale,
+            normalize: el.typographyNormalize?.value,
+        });
+    }
+
+    updateTypographyPreview() {
+        const el = this.elements;
+        if (el.typographyLocale) el.typographyLocale.disabled = el.typographyMode?.value === 'plain';
+        if (!el.typographyPreview) return;
+
+        const ctx = this.getSelectionContext();
+        if (!ctx?.target) {
+            el.typographyPreview.hidden = true;
+            return;
+        }
+        const sample = ctx.target.split('\n').slice(0, 12).join('\n');
+        el.typographyPreview.textContent = TransformRecipe.run(sample, [this.typographyStep()]);
+        el.typographyPreview.hidden = false;
+    }
+
+    applyTypography() {
+        const el = this.elements;
+        this.state.typography = {
+            mode:      el.typographyMode?.value === 'plain' ? 'plain' : 'smart',
+            locale:    el.typographyLocale?.value || '',
+            normalize: el.typographyNormalize?.value || 'NFC',
+        };
+        localStorage.setItem('texty-typography', JSON.stringify(this.state.typography));
+        this.closeTypography();
+
+        const step  = this.typographyStep();
+        const label = TransformRecipe.describe(step);
+        this.captureStep(step);
+        const { applied, wasSelection } = this.applyTransform(t => TransformRecipe.run(t, [step]), false, label, true);
+        if (applied) this.showToast(wasSelection ? `Selection: ${label}` : label);
+        else         this.showToast('Punctuation already clean');
+    }
+
+    // ─────────────────────────────────────────────
+    //  DUPLICATES DIALOG
+    // ─────────────────────────────────────────────
+    loadDedupeOptions() {
+        try {
+            return TextFormatter.dedupeOptions(JSON.parse(localStorage.getItem('texty-dedupe-options')) || {});
+        } catch {
+            return TextFormatter.dedupeOptions();
+        }
+    }
+
+    openDedupeDialog() {
+        const el   = this.elements;
+        const opts = this.state.dedupeOptions;
+        if (el.dedupeWhitespace)        el.dedupeWhitespace.value          = opts.whitespace;
+        if (el.dedupeSimilarity)        el.dedupeSimilarity.value          = String(opts.similarity);
+        if (el.dedupeMetric)            el.dedupeMetric.value              = opts.metric;
+        if (el.dedupeKeep)              el.dedupeKeep.value                = opts.keep;
+        if (el.dedupeIgnoreCase)        el.dedupeIgnoreCase.checked        = opts.ignoreCase;
+        if (el.dedupeIgnorePunctuation) el.dedupeIgnorePunctuation.checked = opts.ignorePunctuation;
+        if (el.dedupeKeepBlank)         el.dedupeKeepBlank.checked         = opts.keepBlank;
+
+        const ctx = this.getSelectionContext();
+        if (el.dedupeScope) el.dedupeScope.textContent = ctx?.hasSelection
+            ? 'Checking the selected lines only.'
+            : 'Checking the whole document.';
+
+        this.updateDedupeReport();
+        el.dedupeModal?.classList.add('open');
+        el.dedupeModal?.setAttribute('aria-hidden', 'false');
+        el.dedupeWhitespace?.focus();
+    }
+
+    closeDedupeDialog() {
+        clearTimeout(this.dedupeTimer);
+        this.elements.dedupeModal?.classList.remove('open');
+        this.elements.dedupeModal?.setAttribute('aria-hidden', 'true');
+    }
+
+    isDedupeDialogOpen() {
+        return !!this.elements.dedupeModal?.classList.contains('open');
+    }
+
+    readDedupeDialog() {
+        const el = this.elements;
+        return TextFormatter.dedupeOptions({
+            whitespace:        el.dedupeWhitespace?.value,
+            similarity:        parseFloat(el.dedupeSimilarity?.value),
+            metric:            el.dedupeMetric?.value,
+            keep:              el.dedupeKeep?.value,
+            ignoreCase:        !!el.dedupeIgnoreCase?.checked,
+            ignorePunctuation: !!el.dedupeIgnorePunctuation?.checked,
+            keepBlank:         !!el.dedupeKeepBlank?.checked,
+        });
+    }
+
+    /** Near-match grouping can take a moment on long texts, so option changes wait for a pause. */
+    scheduleDedupeReport() {
+        const el = this.elements;
+        if (el.dedupeMetric) el.dedupeMetric.disabled = this.readDedupeDialog().similarity === 1;
+        const length = el.textInput?.value.length ?? 0;
+        clearTimeout(this.dedupeTimer);
+        this.dedupeTimer = setTimeout(() => this.updateDedupeReport(), length > 50_000 ? 600 : 250);
+    }
+
+    /** Lists every duplicated line with its count and (document) line numbers before anything is removed. */
+    updateDedupeReport() {
+        clearTimeout(this.dedupeTimer);
+        const el   = this.elements;
+        const opts = this.readDedupeDialog();
+        if (el.dedupeMetric) el.dedupeMetric.disabled = opts.similarity === 1;
+
+        const ctx = this.getSelectionContext();
+        if (!ctx) return;
+        const report = TextFormatter.findDuplicates(ctx.target, opts);
+        // Report lines as the editor numbers them, even when checking a selection
+        const offset = ctx.fullText.slice(0, ctx.start).split('\n').length - 1;
+
+        if (el.dedupeSummary) {
+            const { groups, removed } = report;
+            el.dedupeSummary.textContent = (removed
+                ? `${removed} line${removed !== 1 ? 's' : ''} to remove · ${groups.length} repeated line${groups.length !== 1 ? 's' : ''}`
+                : 'No duplicate lines found')
+                + (report.fuzzySkipped ? ` · ${TextFormatter.NEAR_MATCHES_SKIPPED}` : '');
+        }
+        if (el.dedupeApplyBtn) el.dedupeApplyBtn.disabled = !report.removed;
+        if (el.dedupeOnlyBtn)  el.dedupeOnlyBtn.disabled  = !report.removed;
+
+        const body = el.dedupeTableBody;
+        if (!body) return;
+        body.replaceChildren();
+        const MAX_ROWS = 500;
+        report.groups.slice(0, MAX_ROWS).forEach(group => {
+            const tr = document.createElement('tr');
+            const text    = document.createElement('td');
+            const count   = document.createElement('td');
+            const numbers = document.createElement('td');
+            text.textContent = group.text || '(blank)';
+            if (group.variants.length > 1) text.title = group.variants.join('\n');
+            count.textContent   = `×${group.count}`;
+            numbers.textContent = group.lines
+                .map(n => n === group.kept ? `${n + offset} (kept)` : String(n + offset))
+                .join(', ');
+            tr.append(text, count, numbers);
+            body.appendChild(tr);
+        });
+        if (report.groups.length > MAX_ROWS) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            td.textContent = `…and ${report.groups.length - MAX_ROWS} more`;
+            tr.appendChild(td);
+            body.appendChild(tr);
+        }
+    }
+
+    applyDedupeDialog(only) {
+        const opts = this.readDedupeDialog();
+        this.state.dedupeOptions = opts;
+        localStorage.setItem('texty-dedupe-options', JSON.stringify(opts));
+        this.closeDedupeDialog();
+
+        const step  = { ...opts, only };
+        const label = TextFormatter.describeDedupe(step);
+        this.captureStep({ op: 'removeDuplicateLines', options: step });
+        let skipped = false;
+        const { applied, wasSelection } = this.applyTransform((t) => {
+            skipped = TextFormatter.nearMatchesSkipped(t, step);
+            return TextFormatter.removeDuplicateLines(t, step);
+        }, false, label, true);
+
+        let message;
+        if (!applied)   message = 'No duplicate lines found';
+        else if (only)  message = wasSelection ? 'Selection reduced to its duplicated lines' : 'Kept duplicated lines only';
+        else            message = wasSelection ? 'Duplicates removed from selection' : 'Duplicate lines removed';
+        this.showToast(skipped ? `${message} · ${TextFormatter.NEAR_MATCHES_SKIPPED}` : message);
+    }
+
+    // ─────────────────────────────────────────────
+    //  UNDO / REDO HISTORY
+    // ─────────────────────────────────────────────
+
+    /**
+     * Records the step from `before` to the textarea's current value.
+     * Call after the textarea has been written.
+     */
+    recordHistory(before, label) {
+        const el = this.elements.textInput;
+        if (!el) return;
+        this.history.record(before, el.value, label, { start: el.selectionStart, end: el.selectionEnd });
+        this.updateHistoryControls();
+    }
+
+    undoLastChange() {
+        const el = this.elements.textInput;
+        if (!el || !this.history.canUndo) return;
+
+        const step = this.history.undo(el.value);
+        if (step) {
+            this.restoreHistoryStep(step);
+            this.showToast(`Undone: ${step.label}`);
+        }
+        this.updateHistoryControls();
+    }
+
+    redoLastChange() {
+        const el = this.elements.textInput;
+        if (!el || !this.history.canRedo) return;
+
+        const step = this.history.redo(el.value);
+        if (step) {
+            this.restoreHistoryStep(step);
+            this.showToast(`Redone: ${step.label}`);
+        } else {
+            this.showToast('Nothing to redo — text changed since undo');
+        }
+        this.updateHistoryControls();
+    }
+
+    jumpToHistory() {
+        const select = this.elements.historySelect;
+        const el     = this.elements.textInput;
+        if (!select || !el) return;
+
+        const steps = parseInt(select.value);
+        if (steps) {
+            const step = this.history.jump(el.value, steps);
+            if (step) {
+                this.restoreHistoryStep(step);
+                this.showToast(steps > 0
+                    ? `Went back ${steps} step${steps !== 1 ? 's' : ''}`
+                    : `Went forward ${-steps} step${steps !== -1 ? 's' : ''}`);
+            }
+        }
+        this.updateHistoryControls();
+    }
+
+    restoreHistoryStep(step) {
+        const el = this.elements.textInput;
+        el.value = step.text;
+        el.focus();
+        el.setSelectionRange(step.selection.start, step.selection.end);
+
+        this.updateAnalysis();
+        this.state.docDirty = true;
+        this.performAutoSave(); // Persist restored text immediately
+        if (this.state.findPanelOpen) this.updateFindResults();
+        if (this.state.comparePanelOpen) this.scheduleCompare();
+        if (this.state.issuesPanelOpen) this.updateIssues();
+        if (this.state.activeTab === 'inspector') this.updateInspector();
+    }
+
+    updateHistoryControls() {
+        const { undoBtn, redoBtn, historySelect } = this.elements;
+        if (undoBtn) undoBtn.disabled = !this.history.canUndo;
+        if (redoBtn) redoBtn.disabled = !this.history.canRedo;
+        if (!historySelect) return;
+
+        const entries = this.history.entries();
+        historySelect.disabled = entries.length === 0;
+        historySelect.textContent = '';
+
+        const frag = document.createDocumentFragment();
+        entries.forEach(entry => {
+            const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const opt  = new Option(`${entry.offset === 0 ? '● ' : ''}${entry.label} · ${time}`, entry.offset);
+            opt.selected = entry.offset === 0;
+            frag.appendChild(opt);
+        });
+        if (entries.length) {
+            const oldest = this.history.undoStack.length;
+            frag.appendChild(new Option(oldest ? 'Start' : '● Start', oldest));
+        } else {
+            frag.appendChild(new Option('No history', 0));
+        }
+        historySelect.appendChild(frag);
+    }
+
+    // ─────────────────────────────────────────────
+    //  FIND & REPLACE
+    // ─────────────────────────────────────────────
+    toggleFindReplace() {
+        this.state.findPanelOpen ? this.closeFindReplace() : this.openFindReplace();
+    }
+
+    openFindReplace() {
+        this.state.findPanelOpen = true;
+        this.elements.findReplacePanel?.classList.add('open');
+        this.elements.findReplacePanel?.setAttribute('aria-hidden', 'false');
+        this.elements.findReplaceToggleBtn?.classList.add('panel-open');
+        this.elements.findInput?.focus();
+        this.updateFindResults();
+    }
+
+    closeFindReplace() {
+        this.state.findPanelOpen    = false;
+        this.state.findMatches      = [];
+        this.state.findCurrentIndex = -1;
+        this.elements.findReplacePanel?.classList.remove('open');
+        this.elements.findReplacePanel?.setAttribute('aria-hidden', 'true');
+        this.elements.findReplaceToggleBtn?.classList.remove('panel-open');
+        this.updateFindCount();
+        this.renderHighlights();
+        this.elements.textInput?.focus();
+    }
+
+    getFindOptions() {
+        return {
+            matchCase: !!this.elements.matchCaseOpt?.checked,
+            wholeWord: !!this.elements.wholeWordOpt?.checked,
+            regex:     !!this.elements.regexOpt?.checked,
+        };
+    }
+
+    /** The clicked keyword Find is showing, until the search text is edited. */
+    activeFindKeyword() {
+        const keyword = this.state.findKeyword;
+        return keyword && keyword.label === this.elements.findInput?.value ? keyword : null;
+    }
+
+    buildFindRegex(flags = 'g') {
+        const keyword = this.activeFindKeyword();
+        if (keyword) return new RegExp(keyword.pattern, flags + 'i');
+        return TextUtils.buildSearchRegex(this.elements.findInput?.value || '', this.getFindOptions(), flags);
+    }
+
+    updateFindResults() {
+        const findInput = this.elements.findInput;
+        const findText  = findInput?.value || '';
+
+        if (!findText) {
+            this.state.findMatches      = [];
+            this.state.findCurrentIndex = -1;
+            findInput?.classList.remove('find-error');
+            this.updateFindCount();
+            this.renderHighlights();
+            return;
+        }
+
+        const regex = this.buildFindRegex('g');
+
+        if (!regex) {
+            // Invalid (e.g. broken regex)
+            findInput?.classList.add('find-error');
+            this.state.findMatches      = [];
+            this.state.findCurrentIndex = -1;
+            this.updateFindCount();
+            this.renderHighlights();
+            return;
+        }
+
+        findInput?.classList.remove('find-error');
+
+        const text    = this.elements.textInput?.value || '';
+        const matches = [];
+        let m;
+        regex.lastIndex = 0;
+
+        while ((m = regex.exec(text)) !== null) {
+            matches.push({ start: m.index, end: m.index + m[0].length });
+            if (m[0].length === 0) regex.lastIndex++; // guard against zero-length matches
+        }
+
+        this.state.findMatches = matches;
+        if (this.state.findCurrentIndex >= matches.length) {
+            this.state.findCurrentIndex = matches.length - 1;
+        }
+        this.updateFindCount();
+        this.renderHighlights();
+    }
+
+    updateFindCount() {
+        const el    = this.elements.findResultsCount;
         if (!el) return;
         const count = this.state.findMatches.length;
         const idx   = this.state.findCurrentIndex;
@@ -746,8 +2092,8 @@ class TextyApp {
         const text        = this.elements.textInput.value;
         const afterPos    = match.start + replaceText.length; // position after replacement
 
-        this.saveUndoSnapshot();
         this.elements.textInput.setRangeText(replaceText, match.start, match.end, 'end');
+        this.recordHistory(text, 'Replace');
         this.elements.textInput.dispatchEvent(new Event('input', { bubbles: true }));
 
         this.updateFindResults(); // recompute in updated text
@@ -777,18 +2123,26 @@ class TextyApp {
 
         const replaceText = this.elements.replaceInput?.value || '';
         const count       = findMatches.length;
-        const isRegex     = this.elements.regexOpt?.checked;
+        const keyword     = this.activeFindKeyword();
+        const isRegex     = !keyword && this.elements.regexOpt?.checked;
+
+        this.captureStep(keyword
+            ? { op: 'replace', find: keyword.pattern, replace: replaceText.replace(/\$/g, '$$$$'), regex: true }
+            : { op: 'replace', find: this.elements.findInput.value, replace: replaceText, ...this.getFindOptions() });
 
-        this.saveUndoSnapshot();
+        const before = this.elements.textInput.value;
         this.elements.textInput.value = isRegex
-            ? this.elements.textInput.value.replace(regex, replaceText)
-            : this.elements.textInput.value.replace(regex, () => replaceText);
+            ? before.replace(regex, replaceText)
+            : before.replace(regex, () => replaceText);
+        this.recordHistory(before, `Replace All (${count})`);
+        this.snapshotVersion(before, `Before Replace All (${count})`);
 
         this.elements.textInput.dispatchEvent(new Event('input', { bubbles: true }));
 
         this.state.findMatches      = [];
         this.state.findCurrentIndex = -1;
         this.updateFindCount();
+        this.renderHighlights();
         this.showToast(`Replaced ${count} match${count !== 1 ? 'es' : ''}`);
     }
 
@@ -806,15 +2160,67 @@ class TextyApp {
         }
     }
 
+    // ─────────────────────────────────────────────
+    //  FILE IMPORT
+    // ─────────────────────────────────────────────
+    async importFile(file) {
+        if (!file) return;
+
+        if (!FileImporter.kindOf(file.name, file.type)) {
+            this.showToast(`Can't import ${file.name} — use .txt, .md, .html, .docx, .srt or .csv`);
+            return;
+        }
+
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const { text, html, encoding } = await FileImporter.import(file.name, bytes, file.type);
+
+            // Same formatting report as a rich paste
+            if (html) this.displayFormatting(FormattingExtractor.extractFormatting(html));
+            else      this.clearFormattingDisplay();
+
+            const inserted = this.insertAtSelection(text, `Import ${file.name}`);
+            const note     = encoding === 'windows-1252' ? ' (Windows-1252)' : '';
+            this.showToast(inserted < text.length
+                ? `Imported ${file.name} — truncated to fit the length limit`
+                : `Imported ${file.name}${note}`);
+        } catch (err) {
+            console.error('Import failed:', err);
+            this.showToast(`Import failed: ${err.message}`);
+        }
+    }
+
+    /**
+     * Replaces the selection (or inserts at the cursor) with `text`, honouring the
+     * textarea's maxlength, as one undoable step. Returns the number of characters inserted.
+     */
+    insertAtSelection(text, label) {
+        const el = this.elements.textInput;
+        if (!el) return 0;
+
+        const before = el.value;
+        const start  = el.selectionStart;
+        const end    = el.selectionEnd;
+        const room   = el.maxLength > 0 ? el.maxLength - (before.length - (end - start)) : Infinity;
+        const insert = text.length > room ? text.slice(0, Math.max(0, room)) : text;
+
+        el.focus();
+        el.setRangeText(insert, start, end, 'end');
+        this.recordHistory(before, label);
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+
+        return insert.length;
+    }
+
     clearText() {
         if (!this.elements.textInput) return;
-        if (this.elements.textInput.value) this.saveUndoSnapshot();
+        const before = this.elements.textInput.value;
         this.elements.textInput.value = '';
+        this.recordHistory(before, 'Clear text');
+        this.snapshotVersion(before, 'Before Clear text');
         this.updateAnalysis();
         this.elements.textInput.dispatchEvent(new Event('input', { bubbles: true }));
         this.clearFormattingDisplay();
-        localStorage.removeItem('texty-autosave');
-        localStorage.removeItem('texty-autosave-time');
         this.showToast('Cleared');
     }
 
@@ -822,29 +2228,30 @@ class TextyApp {
         const text = this.elements.textInput?.value;
         if (!text) { this.showToast('Nothing to export'); return; }
 
-        try {
-            let content = text;
-            const ext   = format === 'md' ? 'md' : 'txt';
-
-            if (format === 'md') {
-                // Wrap paragraphs in a clean markdown structure
-                content = text
-                    .split(/\n\s*\n/)
-                    .map(p => p.trim())
-                    .filter(Boolean)
-                    .join('\n\n');
-            }
+        // Markdown goes through the structure preview first
+        if (format === 'md') { this.openMarkdownExport(); return; }
 
-            const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-            const url  = URL.createObjectURL(blob);
-            const ts   = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-            const a    = Object.assign(document.createElement('a'), {
-                href: url, download: `texty-export-${ts}.${ext}`, style: 'display:none'
-            });
+        try {
+            const ext      = ['html', 'rtf', 'docx'].includes(format) ? format : 'txt';
+            const filename = `texty-export-${this.fileTimestamp()}.${ext}`;
 
-            document.body.appendChild(a);
-            a.click();
-            setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+            if (ext === 'txt') {
+                this.downloadFile(text, filename, 'text/plain;charset=utf-8');
+            } else {
+                const blocks = DocumentStructure.parse(text);
+                const title  = DocumentStructure.title(blocks) || 'Texty export';
+
+                if (ext === 'html') {
+                    this.downloadFile(DocumentExporter.toHtml(blocks, { title, lang: document.documentElement.lang }),
+                        filename, 'text/html;charset=utf-8');
+                } else if (ext === 'rtf') {
+                    this.downloadFile(DocumentExporter.toRtf(blocks), filename, 'application/rtf');
+                } else {
+                    this.downloadFile(new Blob([DocumentExporter.toDocx(blocks, { title })], {
+                        type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+                    }), filename);
+                }
+            }
 
             this.showToast(`Exported as .${ext}`);
         } catch (err) {
@@ -854,57 +2261,1549 @@ class TextyApp {
     }
 
     // ─────────────────────────────────────────────
-    //  AUTO-SAVE
+    //  MARKDOWN EXPORT PREVIEW
     // ─────────────────────────────────────────────
-    scheduleAutoSave() {
-        clearTimeout(this.autoSaveTimer);
-        this.autoSaveTimer = setTimeout(() => this.performAutoSave(), this.AUTOSAVE_INTERVAL);
+    openMarkdownExport() {
+        const text = this.elements.textInput?.value || '';
+        this.state.mdExportBlocks = DocumentStructure.parse(text);
+
+        if (this.elements.mdFrontMatterOpt) {
+            this.elements.mdFrontMatterOpt.checked = localStorage.getItem('texty-md-frontmatter') === '1';
+        }
+
+        this.renderMarkdownStructure();
+        this.updateMarkdownPreview();
+        this.elements.exportMdModal?.classList.add('open');
+        this.elements.exportMdModal?.setAttribute('aria-hidden', 'false');
     }
 
-    performAutoSave() {
-        const text = this.elements.textInput?.value ?? '';
-        try {
-            if (text.length) {
-                localStorage.setItem('texty-autosave', text);
-                localStorage.setItem('texty-autosave-time', Date.now().toString());
-            } else {
-                // Text is empty — clear the persisted session
-                localStorage.removeItem('texty-autosave');
-                localStorage.removeItem('texty-autosave-time');
-            }
-        } catch { /* storage full or blocked — silent */ }
+    closeMarkdownExport() {
+        this.elements.exportMdModal?.classList.remove('open');
+        this.elements.exportMdModal?.setAttribute('aria-hidden', 'true');
+        this.state.mdExportBlocks = [];
     }
 
-    restoreAutoSave() {
-        try {
-            const saved     = localStorage.getItem('texty-autosave');
-            const savedTime = localStorage.getItem('texty-autosave-time');
-            if (saved && savedTime) {
-                const hoursSince = (Date.now() - parseInt(savedTime)) / 3_600_000;
-                if (hoursSince < 24 && !this.elements.textInput?.value) {
-                    this.elements.textInput.value = saved;
-                    this.showToast('Previous session restored');
-                }
-            }
-        } catch { /* silent */ }
+    renderMarkdownStructure() {
+        const list = this.elements.mdStructureList;
+        if (!list) return;
+
+        const labels = { h1: 'Heading 1', h2: 'Heading 2', h3: 'Heading 3', p: 'Paragraph', ul: 'Bullet list', ol: 'Numbered list' };
+        const frag   = document.createDocumentFragment();
+
+        this.state.mdExportBlocks.forEach((block, i) => {
+            const row = document.createElement('div');
+            row.className = 'structure-row';
+
+            const select = document.createElement('select');
+            select.className = 'limit-type-select';
+            DocumentStructure.KINDS.forEach(kind => select.appendChild(new Option(labels[kind], kind, false, kind === block.kind)));
+            select.addEventListener('change', () => {
+                this.state.mdExportBlocks[i] = DocumentStructure.convert(this.state.mdExportBlocks[i], select.value);
+                this.updateMarkdownPreview();
+            });
+
+            const snippet = document.createElement('span');
+            snippet.className   = 'structure-snippet';
+            snippet.textContent = block.lines.map(l => l.text).join(' \u00B7 ');
+            snippet.title       = snippet.textContent;
+
+            row.append(select, snippet);
+            frag.appendChild(row);
+        });
+
+        list.textContent = '';
+        list.appendChild(frag);
     }
 
-    // ─────────────────────────────────────────────
-    //  SHORTCUTS MODAL
-    // ─────────────────────────────────────────────
-    openShortcutsModal() {
-        this.elements.shortcutsModal?.classList.add('open');
-        this.elements.shortcutsModal?.setAttribute('aria-hidden', 'false');
+    buildMarkdown() {
+        const blocks = this.state.mdExportBlocks;
+        let md = MarkdownConverter.fromBlocks(blocks) + '\n';
+
+        if (this.elements.mdFrontMatterOpt?.checked) {
+            const analysis = this.analyzeText(this.elements.textInput?.value || '');
+            md = MarkdownConverter.frontMatter({
+                title:        DocumentStructure.title(blocks),
+                date:         new Date().toISOString().slice(0, 10),
+                words:        analysis.words,
+                reading_time: `${analysis.readingTime} min`,
+                readability:  analysis.fleschScore,
+            }) + md;
+        }
+
+        return md;
     }
 
-    closeShortcutsModal() {
-        this.elements.shortcutsModal?.classList.remove('open');
-        this.elements.shortcutsModal?.setAttribute('aria-hidden', 'true');
+    updateMarkdownPreview() {
+        if (this.elements.mdPreview) this.elements.mdPreview.value = this.buildMarkdown();
     }
 
+    downloadMarkdown() {
+        // The preview is editable — export what the user sees
+        const content = this.elements.mdPreview?.value ?? this.buildMarkdown();
+        this.downloadFile(content, `texty-export-${this.fileTimestamp()}.md`, 'text/markdown;charset=utf-8');
+        this.closeMarkdownExport();
+        this.showToast('Exported as .md');
+    }
+
+    fileTimestamp() {
+        return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url  = URL.createObjectURL(blob);
+        const a    = Object.assign(document.createElement('a'), {
+            href: url, download: filename, style: 'display:none'
+        });
+
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 100);
+    }
+
+    // ─────────────────────────────────────────────
+    //  COMPARE (editor text vs. a pasted second text)
+    // ─────────────────────────────────────────────
+    toggleComparePanel() {
+        this.state.comparePanelOpen ? this.closeComparePanel() : this.openComparePanel();
+    }
+
+    openComparePanel() {
+        this.state.comparePanelOpen = true;
+        this.elements.comparePanel?.classList.add('open');
+        this.elements.comparePanel?.setAttribute('aria-hidden', 'false');
+        this.elements.compareToggleBtn?.classList.add('panel-open');
+        this.renderCompare();
+        this.elements.compareInput?.focus();
+    }
+
+    closeComparePanel() {
+        this.state.comparePanelOpen = false;
+        clearTimeout(this.compareTimer);
+        this.compareAnalyses.clear();
+        this.elements.comparePanel?.classList.remove('open');
+        this.elements.comparePanel?.setAttribute('aria-hidden', 'true');
+        this.elements.compareToggleBtn?.classList.remove('panel-open');
+    }
+
+    scheduleCompare() {
+        clearTimeout(this.compareTimer);
+        this.compareTimer = setTimeout(() => this.renderCompare(), 250);
+    }
+
+    getCompareOptions() {
+        const el = this.elements;
+        return {
+            granularity:       el.compareGranularity?.value || 'word',
+            ignoreCase:        !!el.compareIgnoreCase?.checked,
+            ignoreWhitespace:  !!el.compareIgnoreWhitespace?.checked,
+            ignorePunctuation: !!el.compareIgnorePunctuation?.checked,
+        };
+    }
+
+    // The pasted text is the original unless swapped
+    getCompareTexts() {
+        const pasted = this.elements.compareInput?.value ?? '';
+        const editor = this.elements.textInput?.value ?? '';
+        return this.state.compareReversed
+            ? { from: editor, to: pasted, fromLabel: 'editor', toLabel: 'compared' }
+            : { from: pasted, to: editor, fromLabel: 'compared', toLabel: 'editor' };
+    }
+
+    swapCompare() {
+        this.state.compareReversed = !this.state.compareReversed;
+        const reversed = this.state.compareReversed;
+        if (this.elements.compareInputLabel) this.elements.compareInputLabel.textContent = reversed ? 'Changed' : 'Original';
+        if (this.elements.compareViewLabel) {
+            this.elements.compareViewLabel.textContent = reversed ? 'Changes from the editor text' : 'Changes in the editor text';
+        }
+        this.renderCompare();
+    }
+
+    /**
+     * Editor text reuses the last analysis when it is current. Anything else is analysed
+     * once per text with the editor's locale and stopword lists, so typing in one box
+     * doesn't re-analyse the other.
+     */
+    analyzeForCompare(text) {
+        if (text === this.state.lastAnalyzedText && this.state.lastAnalysisResult) return this.state.lastAnalysisResult;
+
+        const settings = JSON.stringify([this.state.locale, this.state.stopWords]);
+        const cached   = this.compareAnalyses.get(text);
+        if (cached?.settings === settings) return cached.result;
+
+        const result = this.analyzeText(text);
+        this.compareAnalyses.delete(text);
+        this.compareAnalyses.set(text, { settings, result });
+        // One entry per side is all the summary needs
+        if (this.compareAnalyses.size > 2) this.compareAnalyses.delete(this.compareAnalyses.keys().next().value);
+        return result;
+    }
+
+    /**
+     * Summary rows [label, value]: words added/removed (moved text excluded),
+     * moved passages, and the Flesch score of each side.
+     */
+    compareSummaryRows(from, to, ops) {
+        const { wordsAdded, wordsRemoved } = TextDiff.stats(ops.filter(op => !op.move));
+        const moves  = ops.reduce((max, op) => Math.max(max, op.move || 0), 0);
+        const before = this.analyzeForCompare(from).fleschScore;
+        const after  = this.analyzeForCompare(to).fleschScore;
+        const delta  = after - before;
+
+        return [
+            ['Words added',   TextUtils.formatNumber(wordsAdded)],
+            ['Words removed', TextUtils.formatNumber(wordsRemoved)],
+            ['Moved passages', TextUtils.formatNumber(moves)],
+            ['Flesch score',  `${before} → ${after} (${delta > 0 ? '+' : delta < 0 ? '−' : '±'}${Math.abs(delta)})`],
+        ];
+    }
+
+    computeCompare() {
+        const { from, to, fromLabel, toLabel } = this.getCompareTexts();
+        const ops = TextDiff.detectMoves(TextDiff.diff(from, to, this.getCompareOptions()));
+        return { from, to, fromLabel, toLabel, ops };
+    }
+
+    renderCompare() {
+        const { compareView: view, compareSummary: summary } = this.elements;
+        if (!view || !this.state.comparePanelOpen) return;
+        clearTimeout(this.compareTimer);
+        view.textContent = '';
+
+        if (!this.elements.compareInput?.value) {
+            if (summary) summary.textContent = 'Paste a second text to see what changed.';
+            return;
+        }
+
+        const { from, to, ops } = this.computeCompare();
+        const frag = document.createDocumentFragment();
+        ops.forEach((op) => {
+            if (op.type === 'equal') { frag.appendChild(document.createTextNode(op.text)); return; }
+            const mark = Object.assign(document.createElement(op.type === 'insert' ? 'ins' : 'del'), {
+                className:   op.move ? 'diff-move' : `diff-${op.type}`,
+                textContent: op.text,
+            });
+            if (op.move) mark.title = `Moved (${op.move}) — ${op.type === 'delete' ? 'was here' : 'now here'}`;
+            frag.appendChild(mark);
+        });
+        view.appendChild(frag);
+
+        if (summary) {
+            const changed = ops.some(op => op.type !== 'equal');
+            summary.textContent = changed
+                ? this.compareSummaryRows(from, to, ops).map(([label, value]) => `${label}: ${value}`).join(' · ')
+                : 'No differences.';
+        }
+    }
+
+    exportCompareDiff() {
+        const { from, to, fromLabel, toLabel } = this.getCompareTexts();
+        const { granularity, ...ignore } = this.getCompareOptions();
+        const diff = TextDiff.unified(from, to, { fromLabel, toLabel, ...ignore });
+        if (!diff) { this.showToast('No line differences to export'); return; }
+        this.downloadFile(diff, `texty-compare-${this.fileTimestamp()}.diff`, 'text/x-diff;charset=utf-8');
+        this.showToast('Exported .diff');
+    }
+
+    exportCompareReport() {
+        if (!this.elements.compareInput?.value) { this.showToast('Paste a second text first'); return; }
+
+        const { from, to, fromLabel, toLabel, ops } = this.computeCompare();
+        const opts    = this.getCompareOptions();
+        const ignored = [opts.ignoreCase && 'case', opts.ignoreWhitespace && 'whitespace', opts.ignorePunctuation && 'punctuation']
+            .filter(Boolean);
+        const html = DocumentExporter.diffReport(ops, {
+            title:   `Comparison: ${fromLabel} → ${toLabel}`,
+            summary: [
+                ...this.compareSummaryRows(from, to, ops),
+                ['Compared by', { char: 'characters', word: 'words', line: 'lines' }[opts.granularity]],
+                ['Ignoring',    ignored.join(', ') || 'nothing'],
+            ],
+        });
+        this.downloadFile(html, `texty-compare-${this.fileTimestamp()}.html`, 'text/html;charset=utf-8');
+        this.showToast('Exported HTML report');
+    }
+
+    // ─────────────────────────────────────────────
+    //  KEYWORDS (frequency table, stopwords)
+    // ─────────────────────────────────────────────
+    keywordRows(stats = this.state.lastAnalysisResult?.keywordStats) {
+        if (!stats) return [];
+        return [stats.words, stats.phrases2, stats.phrases3][this.state.keywordSize - 1] || [];
+    }
+
+    setKeywordSize(size) {
+        this.state.keywordSize = parseInt(size) || 1;
+        const { keywordSizeSelect, keywordsTableSize } = this.elements;
+        if (keywordSizeSelect) keywordSizeSelect.value = String(this.state.keywordSize);
+        if (keywordsTableSize) keywordsTableSize.value = String(this.state.keywordSize);
+        if (this.state.lastAnalysisResult) this.updateKeywords(this.state.lastAnalysisResult);
+    }
+
+    /** Shows every form of a keyword ("run", "runs", "running") as Find & Replace matches. */
+    highlightKeyword({ term, forms }) {
+        if (this.isKeywordsTableOpen()) this.closeKeywordsTable();
+        this.state.findKeyword = { label: term, pattern: KeywordAnalyzer.pattern(forms) };
+        if (this.elements.findInput) this.elements.findInput.value = term;
+        this.state.findCurrentIndex = -1;
+        this.openFindReplace();
+        if (this.state.findMatches.length) this.findNext();
+    }
+
+    isKeywordsTableOpen() {
+        return !!this.elements.keywordsModal?.classList.contains('open');
+    }
+
+    openKeywordsTable() {
+        this.elements.keywordsModal?.classList.add('open');
+        this.elements.keywordsModal?.setAttribute('aria-hidden', 'false');
+        this.fillStopWords();
+        this.renderKeywordsTable();
+    }
+
+    closeKeywordsTable() {
+        this.elements.keywordsModal?.classList.remove('open');
+        this.elements.keywordsModal?.setAttribute('aria-hidden', 'true');
+        if (this.elements.keywordsTableBody) this.elements.keywordsTableBody.textContent = '';
+    }
+
+    sortKeywordsTable(key) {
+        const sort = this.state.keywordSort;
+        // Counts read best largest first, words and positions in order
+        this.state.keywordSort = sort.key === key
+            ? { key, desc: !sort.desc }
+            : { key, desc: key === 'count' || key === 'density' };
+        this.renderKeywordsTable();
+    }
+
+    sortedKeywordRows() {
+        const { key, desc } = this.state.keywordSort;
+        const dir = desc ? -1 : 1;
+        return [...this.keywordRows()].sort((a, b) =>
+            dir * (key === 'term' ? a.term.localeCompare(b.term) : a[key] - b[key]) || a.first - b.first);
+    }
+
+    renderKeywordsTable() {
+        const { keywordsTableHead, keywordsTableBody, keywordsTableSummary } = this.elements;
+        if (!keywordsTableBody) return;
+        const LIMIT = 500;
+        const rows  = this.sortedKeywordRows();
+        const { key, desc } = this.state.keywordSort;
+
+        keywordsTableHead?.querySelectorAll('[data-sort]').forEach(btn => {
+            btn.closest('th').setAttribute('aria-sort',
+                btn.dataset.sort !== key ? 'none' : desc ? 'descending' : 'ascending');
+        });
+        if (keywordsTableSummary) {
+            const total = TextUtils.formatNumber(rows.length);
+            keywordsTableSummary.textContent = rows.length > LIMIT
+                ? `Showing ${LIMIT} of ${total} — export CSV for all of them`
+                : `${total} ${this.state.keywordSize > 1 ? 'repeated phrases' : 'distinct words'}`;
+        }
+
+        const frag = document.createDocumentFragment();
+        rows.slice(0, LIMIT).forEach(row => {
+            const tr   = document.createElement('tr');
+            const term = Object.assign(document.createElement('button'), {
+                type: 'button', className: 'keywords-term', textContent: row.term,
+                title: row.forms.length > 1 ? `Highlight: ${row.forms.join(', ')}` : 'Highlight every occurrence'
+            });
+            term.addEventListener('click', () => this.highlightKeyword(row));
+            const cells = [
+                TextUtils.formatNumber(row.count),
+                `${row.density.toFixed(2)}%`,
+                TextUtils.formatNumber(row.first + 1),
+            ];
+            tr.appendChild(document.createElement('td')).appendChild(term);
+            cells.forEach(text => tr.appendChild(Object.assign(document.createElement('td'), { textContent: text })));
+            frag.appendChild(tr);
+        });
+
+        keywordsTableBody.textContent = '';
+        keywordsTableBody.appendChild(frag);
+    }
+
+    exportKeywordsCsv() {
+        const rows = this.sortedKeywordRows();
+        if (!rows.length) { this.showToast('No keywords to export'); return; }
+        const name = ['words', '2-word-phrases', '3-word-phrases'][this.state.keywordSize - 1];
+        // The BOM makes Excel read the file as UTF-8
+        this.downloadFile('\uFEFF' + KeywordAnalyzer.toCsv(rows),
+            `texty-${name}-${this.fileTimestamp()}.csv`, 'text/csv;charset=utf-8');
+        this.showToast(`Exported ${TextUtils.formatNumber(rows.length)} rows`);
+    }
+
+    loadStopWords() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('texty-stopwords'));
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /** Stopwords are kept per language; the editor shows the document's. */
+    stopWordsLanguage() {
+        return this.state.lastAnalysisResult?.language.code || 'en';
+    }
+
+    fillStopWords() {
+        const { stopwordsInput, stopwordsLanguage } = this.elements;
+        const lang = this.stopWordsLanguage();
+        if (stopwordsLanguage) stopwordsLanguage.textContent = this.languageName(lang);
+        if (stopwordsInput) {
+            stopwordsInput.value = (this.state.stopWords[lang] || [...Languages.stopWords(lang)]).join(' ');
+            stopwordsInput.dataset.language = lang;
+        }
+    }
+
+    saveStopWords() {
+        const input = this.elements.stopwordsInput;
+        if (!input) return;
+        const lang  = input.dataset.language || this.stopWordsLanguage();
+        const words = [...new Set(input.value.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+        this.state.stopWords = { ...this.state.stopWords, [lang]: words };
+        localStorage.setItem('texty-stopwords', JSON.stringify(this.state.stopWords));
+        this.reanalyze();
+        this.showToast(`Saved ${words.length} stopwords for ${this.languageName(lang)}`);
+    }
+
+    resetStopWords() {
+        const lang = this.elements.stopwordsInput?.dataset.language || this.stopWordsLanguage();
+        const { [lang]: _removed, ...rest } = this.state.stopWords;
+        this.state.stopWords = rest;
+        localStorage.setItem('texty-stopwords', JSON.stringify(rest));
+        this.fillStopWords();
+        this.reanalyze();
+        this.showToast(`${this.languageName(lang)} stopwords reset`);
+    }
+
+    // ─────────────────────────────────────────────
+    //  WRITING ISSUES (Hemingway-style highlights)
+    // ─────────────────────────────────────────────
+    loadIssueTypes() {
+        const all = WritingIssues.TYPES.map(t => t.key);
+        try {
+            const saved = JSON.parse(localStorage.getItem('texty-issue-types'));
+            return new Set(Array.isArray(saved) ? saved.filter(key => all.includes(key)) : all);
+        } catch {
+            return new Set(all);
+        }
+    }
+
+    toggleIssuesPanel() {
+        this.state.issuesPanelOpen ? this.closeIssuesPanel() : this.openIssuesPanel();
+    }
+
+    openIssuesPanel() {
+        const { issuesSidebar, issuesToggleBtn } = this.elements;
+        this.state.issuesPanelOpen = true;
+        issuesSidebar?.classList.add('open');
+        issuesSidebar?.setAttribute('aria-hidden', 'false');
+        issuesToggleBtn?.classList.add('panel-open');
+        this.refreshIssues();
+    }
+
+    closeIssuesPanel() {
+        const { issuesSidebar, issuesToggleBtn, issuesCurrent } = this.elements;
+        this.state.issuesPanelOpen = false;
+        this.state.issues = [];
+        clearTimeout(this.issuesTimer);
+        issuesSidebar?.classList.remove('open');
+        issuesSidebar?.setAttribute('aria-hidden', 'true');
+        issuesToggleBtn?.classList.remove('panel-open');
+        if (issuesCurrent) issuesCurrent.textContent = '';
+        this.renderHighlights();
+    }
+
+    /**
+     * Called whenever the editor text changes. Existing highlights are shifted
+     * onto the new text straight away so they never drift while typing; the full
+     * rescan waits until typing pauses.
+     */
+    updateIssues() {
+        const text = this.elements.textInput?.value ?? '';
+        this.state.issues     = WritingIssues.shift(this.state.issues, this.state.issuesText, text);
+        this.state.issuesText = text;
+        this.renderHighlights();
+
+        clearTimeout(this.issuesTimer);
+        this.issuesTimer = setTimeout(() => this.refreshIssues(), text.length > 50_000 ? 600 : 250);
+    }
+
+    refreshIssues() {
+        clearTimeout(this.issuesTimer);
+        const text = this.elements.textInput?.value ?? '';
+        this.state.issues     = WritingIssues.find(text);
+        this.state.issuesText = text;
+        this.renderHighlights();
+        this.renderIssuesList();
+    }
+
+    visibleIssues(type = null) {
+        const types = this.state.issueTypes;
+        return this.state.issues.filter(i => type ? i.type === type : types.has(i.type));
+    }
+
+    /** The layer shows writing issues while their panel is open, and Find matches. */
+    highlightsActive() {
+        return this.state.issuesPanelOpen || this.state.findMatches.length > 0 || this.state.inspectorMarks.length > 0;
+    }
+
+    /** Rebuilds the mirror text, wrapping each highlighted run in <mark class="hl-…">. */
+    renderHighlights() {
+        const { editorHighlights: layer, editorWrap, textInput } = this.elements;
+        if (!layer) return;
+        const active = this.highlightsActive();
+        editorWrap?.classList.toggle('highlighting', active);
+        if (!active) {
+            this.highlightResizeObserver?.disconnect();
+            this.highlightResizeObserver = null;
+            layer.textContent = '';
+            return;
+        }
+
+        // The textarea is user-resizable; keep the layer the same size
+        if (window.ResizeObserver && textInput && !this.highlightResizeObserver) {
+            this.highlightResizeObserver = new ResizeObserver(() => this.syncHighlightLayout());
+            this.highlightResizeObserver.observe(textInput);
+        }
+
+        const text   = textInput?.value ?? '';
+        const events = [];
+        if (this.state.issuesPanelOpen) {
+            this.visibleIssues().forEach(i => events.push([i.start, 1, i.type], [i.end, -1, i.type]));
+        }
+        this.state.findMatches.forEach(m => events.push([m.start, 1, 'find'], [m.end, -1, 'find']));
+        this.state.inspectorMarks.forEach(m => events.push([m.start, 1, 'char'], [m.end, -1, 'char']));
+        events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        const frag  = document.createDocumentFragment();
+        const open  = new Map();
+        let pos = 0;
+        const flush = (to) => {
+            if (to <= pos) return;
+            const chunk = text.slice(pos, to);
+            const types = [...open].filter(([, n]) => n > 0).map(([type]) => `hl-${type}`);
+            if (types.length) {
+                const mark = Object.assign(document.createElement('mark'), {
+                    className: types.join(' '), textContent: chunk
+                });
+                mark.dataset.at = pos;
+                frag.appendChild(mark);
+            } else {
+                frag.appendChild(document.createTextNode(chunk));
+            }
+            pos = to;
+        };
+        for (const [at, delta, type] of events) {
+            flush(at);
+            open.set(type, (open.get(type) || 0) + delta);
+        }
+        flush(text.length);
+        // A trailing newline only takes up a line in the textarea
+        frag.appendChild(document.createTextNode(text.endsWith('\n') ? ' ' : ''));
+
+        layer.textContent = '';
+        layer.appendChild(frag);
+        this.syncHighlightLayout();
+    }
+
+    /** Matches the layer to the textarea's content box (which excludes its scrollbar). */
+    syncHighlightLayout() {
+        const { editorHighlights: layer, textInput: ta } = this.elements;
+        if (!layer || !ta || !this.highlightsActive()) return;
+        Object.assign(layer.style, {
+            top:    `${ta.offsetTop + ta.clientTop}px`,
+            left:   `${ta.offsetLeft + ta.clientLeft}px`,
+            width:  `${ta.clientWidth}px`,
+            height: `${ta.clientHeight}px`,
+        });
+        this.syncHighlightScroll();
+    }
+
+    syncHighlightScroll() {
+        const { editorHighlights: layer, textInput: ta } = this.elements;
+        if (!layer || !ta || !this.highlightsActive()) return;
+        layer.scrollTop  = ta.scrollTop;
+        layer.scrollLeft = ta.scrollLeft;
+    }
+
+    renderIssuesList() {
+        const list = this.elements.issuesList;
+        if (!list || !this.state.issuesPanelOpen) return;
+        const counts = WritingIssues.count(this.state.issues);
+
+        list.textContent = '';
+        WritingIssues.TYPES.forEach(({ key, label, description }) => {
+            const row   = Object.assign(document.createElement('li'), { className: 'issue-row', title: description });
+            const check = Object.assign(document.createElement('input'), {
+                type: 'checkbox', checked: this.state.issueTypes.has(key)
+            });
+            check.addEventListener('change', () => this.setIssueTypeVisible(key, check.checked));
+
+            const name = document.createElement('label');
+            name.className = 'issue-name';
+            name.append(
+                check,
+                Object.assign(document.createElement('span'), { className: `issue-swatch hl-${key}` }),
+                label
+            );
+
+            const count = Object.assign(document.createElement('span'), {
+                className: 'issue-count', textContent: counts[key]
+            });
+
+            const jump = (dir, glyph, text) => {
+                const btn = Object.assign(document.createElement('button'), {
+                    className: 'btn btn-sm btn-outline', textContent: glyph,
+                    disabled: !counts[key], title: `${text} (${label.toLowerCase()})`
+                });
+                btn.setAttribute('aria-label', `${text}: ${label}`);
+                btn.addEventListener('click', () => this.jumpToIssue(key, dir));
+                return btn;
+            };
+
+            const actions = Object.assign(document.createElement('div'), { className: 'issue-actions' });
+            actions.append(jump(-1, '↑', 'Previous'), jump(1, '↓', 'Next'));
+            row.append(name, count, actions);
+            list.appendChild(row);
+        });
+    }
+
+    setIssueTypeVisible(key, visible) {
+        const types = this.state.issueTypes;
+        visible ? types.add(key) : types.delete(key);
+        try { localStorage.setItem('texty-issue-types', JSON.stringify([...types])); } catch { /* silent */ }
+        this.renderHighlights();
+    }
+
+    /** Selects the next (dir 1) or previous (dir -1) issue of `type` relative to the caret. */
+    jumpToIssue(type, dir) {
+        const { textInput: ta, editorHighlights: layer, issuesCurrent } = this.elements;
+        const issues = this.visibleIssues(type);
+        if (!ta || !issues.length) return;
+
+        const caret = dir > 0 ? ta.selectionEnd : ta.selectionStart;
+        let index = dir > 0
+            ? issues.findIndex(i => i.start >= caret)
+            : issues.map(i => i.end <= caret).lastIndexOf(true);
+        if (index === -1) index = dir > 0 ? 0 : issues.length - 1;
+        const issue = issues[index];
+
+        // Hidden categories have no mark to scroll to until they are switched back on
+        if (!this.state.issueTypes.has(type)) {
+            this.setIssueTypeVisible(type, true);
+            this.renderIssuesList();
+        }
+
+        ta.focus();
+        ta.setSelectionRange(issue.start, issue.end);
+        const mark = layer?.querySelector(`mark[data-at="${issue.start}"]`);
+        if (mark) ta.scrollTop = Math.max(0, mark.offsetTop - ta.clientHeight / 3);
+
+        if (issuesCurrent) {
+            const { label } = WritingIssues.TYPES.find(t => t.key === type);
+            const text      = this.state.issuesText.slice(issue.start, issue.end);
+            const snippet   = text.length > 60 ? `${text.slice(0, 59)}…` : text;
+            issuesCurrent.textContent = `${label} ${index + 1} of ${issues.length}: “${snippet}”` +
+                (issue.suggestion ? ` → try “${issue.suggestion}”` : '');
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  RECIPES (recorded transform chains)
+    // ─────────────────────────────────────────────
+    toggleRecipesPanel() {
+        this.state.recipesPanelOpen ? this.closeRecipesPanel() : this.openRecipesPanel();
+    }
+
+    openRecipesPanel() {
+        this.state.recipesPanelOpen = true;
+        this.elements.recipesPanel?.classList.add('open');
+        this.elements.recipesPanel?.setAttribute('aria-hidden', 'false');
+        this.elements.recipesToggleBtn?.classList.add('panel-open');
+        this.renderRecipes();
+    }
+
+    closeRecipesPanel() {
+        this.state.recipesPanelOpen = false;
+        this.elements.recipesPanel?.classList.remove('open');
+        this.elements.recipesPanel?.setAttribute('aria-hidden', 'true');
+        // Keep the toggle lit while a recording is still running
+        this.elements.recipesToggleBtn?.classList.toggle('panel-open', !!this.state.recordingSteps);
+    }
+
+    loadRecipes() {
+        try {
+            const saved = localStorage.getItem('texty-recipes');
+            this.state.recipes = saved ? TransformRecipe.parse(saved) : [];
+        } catch {
+            this.state.recipes = [];
+        }
+    }
+
+    saveRecipes() {
+        try {
+            localStorage.setItem('texty-recipes', TransformRecipe.serialize(this.state.recipes));
+        } catch {
+            this.showToast('Could not save recipes — storage full or blocked');
+        }
+    }
+
+    // Called by every recordable toolbar operation
+    captureStep(step) {
+        if (!this.state.recordingSteps) return;
+        this.state.recordingSteps.push(step);
+        this.renderRecordingSteps();
+    }
+
+    toggleRecording() {
+        if (this.state.recordingSteps) {
+            this.stopRecording();
+        } else {
+            this.state.recordingSteps = [];
+            this.elements.recipeRecordBtn?.classList.add('recording');
+            if (this.elements.recipeRecordBtn) this.elements.recipeRecordBtn.textContent = '\u25A0 Stop & Save';
+            this.elements.recipesToggleBtn?.classList.add('panel-open');
+            this.renderRecordingSteps();
+            this.showToast('Recording — use the toolbar as usual');
+        }
+    }
+
+    stopRecording() {
+        const steps = this.state.recordingSteps || [];
+        this.state.recordingSteps = null;
+        this.elements.recipeRecordBtn?.classList.remove('recording');
+        if (this.elements.recipeRecordBtn) this.elements.recipeRecordBtn.textContent = '\u25CF Record';
+        this.elements.recipesToggleBtn?.classList.toggle('panel-open', this.state.recipesPanelOpen);
+        this.renderRecordingSteps();
+
+        if (!steps.length) {
+            this.showToast('Nothing recorded');
+            return;
+        }
+
+        const nameInput = this.elements.recipeNameInput;
+        const name = nameInput?.value.trim() || `Recipe ${this.state.recipes.length + 1}`;
+        this.upsertRecipe({ name, steps });
+        if (nameInput) nameInput.value = '';
+        this.saveRecipes();
+        this.renderRecipes();
+        this.showToast(`Recipe "${name}" saved (${steps.length} step${steps.length !== 1 ? 's' : ''})`);
+    }
+
+    // Replaces a recipe with the same name, otherwise appends
+    upsertRecipe(recipe) {
+        const idx = this.state.recipes.findIndex(r => r.name === recipe.name);
+        if (idx !== -1) this.state.recipes[idx] = recipe;
+        else            this.state.recipes.push(recipe);
+    }
+
+    runRecipe(index) {
+        const recipe = this.state.recipes[index];
+        if (!recipe) return;
+
+        const warnings = [];
+        const { applied, wasSelection } = this.applyTransform(
+            t => TransformRecipe.run(t, recipe.steps, { properNouns: this.state.properNouns, warnings }),
+            TransformRecipe.isSpacing(recipe.steps),
+            `Recipe: ${recipe.name}`,
+            true
+        );
+        const message = applied
+            ? (wasSelection ? `"${recipe.name}" applied to selection` : `"${recipe.name}" applied`)
+            : `"${recipe.name}" made no changes`;
+        this.showToast([message, ...new Set(warnings)].join(' · '));
+    }
+
+    deleteRecipe(index) {
+        const [removed] = this.state.recipes.splice(index, 1);
+        if (!removed) return;
+        this.saveRecipes();
+        this.renderRecipes();
+        this.showToast(`Recipe "${removed.name}" deleted`);
+    }
+
+    exportRecipes() {
+        if (!this.state.recipes.length) { this.showToast('No recipes to export'); return; }
+        this.downloadFile(
+            TransformRecipe.serialize(this.state.recipes),
+            `texty-recipes-${this.fileTimestamp()}.json`,
+            'application/json;charset=utf-8'
+        );
+        this.showToast(`Exported ${this.state.recipes.length} recipe${this.state.recipes.length !== 1 ? 's' : ''}`);
+    }
+
+    async importRecipes() {
+        const input = this.elements.recipeFileInput;
+        const file  = input?.files?.[0];
+        if (!file) return;
+
+        try {
+            const imported = TransformRecipe.parse(await file.text());
+            imported.forEach(r => this.upsertRecipe(r));
+            this.saveRecipes();
+            this.renderRecipes();
+            this.showToast(`Imported ${imported.length} recipe${imported.length !== 1 ? 's' : ''}`);
+        } catch (err) {
+            console.error('Recipe import failed:', err);
+            this.showToast('Not a valid recipe file');
+        } finally {
+            input.value = ''; // allow re-importing the same file
+        }
+    }
+
+    renderRecordingSteps() {
+        const { recipeRecording, recipeRecordingSteps } = this.elements;
+        if (!recipeRecording) return;
+
+        const steps = this.state.recordingSteps;
+        recipeRecording.hidden = !steps;
+        if (!steps || !recipeRecordingSteps) return;
+
+        recipeRecordingSteps.textContent = steps.length
+            ? steps.map(s => TransformRecipe.describe(s)).join(' \u2192 ')
+            : 'Waiting for the first operation\u2026';
+    }
+
+    renderRecipes() {
+        const list = this.elements.recipesList;
+        if (!list) return;
+
+        list.textContent = '';
+
+        if (!this.state.recipes.length) {
+            list.innerHTML = '<span class="no-keywords">No recipes yet. Press Record, run some transforms, then Stop &amp; Save.</span>';
+            return;
+        }
+
+        const frag = document.createDocumentFragment();
+        this.state.recipes.forEach((recipe, i) => {
+            const row = document.createElement('div');
+            row.className = 'recipe-row';
+
+            const info = document.createElement('div');
+            info.className = 'recipe-info';
+
+            const name = document.createElement('span');
+            name.className   = 'recipe-name';
+            name.textContent = recipe.name;
+
+            const steps = document.createElement('span');
+            steps.className   = 'recipe-steps';
+            steps.textContent = recipe.steps.map(s => TransformRecipe.describe(s)).join(' \u2192 ');
+
+            info.append(name, steps);
+            row.appendChild(info);
+
+            if (i < 9) {
+                const key = document.createElement('kbd');
+                key.textContent = `Ctrl+Alt+${i + 1}`;
+                row.appendChild(key);
+            }
+
+            const run = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-primary', textContent: 'Run'
+            });
+            run.addEventListener('click', () => this.runRecipe(i));
+
+            const del = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-outline', textContent: '\u2715', title: `Delete "${recipe.name}"`
+            });
+            del.addEventListener('click', () => this.deleteRecipe(i));
+
+            row.append(run, del);
+            frag.appendChild(row);
+        });
+
+        list.appendChild(frag);
+    }
+
+    // ─────────────────────────────────────────────
+    //  AUTO-SAVE
+    // ─────────────────────────────────────────────
+    markDocumentDirty() {
+        this.state.docDirty = true;
+        this.scheduleAutoSave();
+    }
+
+    scheduleAutoSave() {
+        clearTimeout(this.autoSaveTimer);
+        this.autoSaveTimer = setTimeout(() => this.performAutoSave(), this.AUTOSAVE_INTERVAL);
+    }
+
+    performAutoSave() {
+        clearTimeout(this.autoSaveTimer);
+        if (this.store) {
+            this.saveActiveDocument();
+            return;
+        }
+
+        // No IndexedDB — keep the single-slot localStorage session
+        const text = this.elements.textInput?.value ?? '';
+        try {
+            if (text.length) {
+                localStorage.setItem('texty-autosave', text);
+                localStorage.setItem('texty-autosave-time', Date.now().toString());
+            } else {
+                // Text is empty — clear the persisted session
+                localStorage.removeItem('texty-autosave');
+                localStorage.removeItem('texty-autosave-time');
+            }
+        } catch { /* storage full or blocked — silent */ }
+    }
+
+    restoreAutoSave() {
+        try {
+            const saved = localStorage.getItem('texty-autosave');
+            if (saved && !this.elements.textInput?.value) {
+                this.elements.textInput.value = saved;
+                this.showToast('Previous session restored');
+            }
+        } catch { /* silent */ }
+    }
+
+    // ─────────────────────────────────────────────
+    //  DOCUMENTS (IndexedDB, one editor per tab)
+    // ─────────────────────────────────────────────
+    async initDocuments() {
+        try {
+            this.store = await DocumentStore.open();
+        } catch (err) {
+            console.warn('Documents unavailable, using the single autosave slot:', err);
+            if (this.elements.docsToggle)  this.elements.docsToggle.hidden  = true;
+            if (this.elements.versionsBtn) this.elements.versionsBtn.hidden = true;
+            this.restoreAutoSave();
+            this.history.clear(this.elements.textInput?.value ?? '');
+            this.updateHistoryControls();
+            if (this.elements.textInput?.value) this.updateAnalysis();
+            return;
+        }
+
+        try {
+            this.store.onRemoteChange(msg => this.handleRemoteDocumentChange(msg));
+            await this.migrateLegacyAutoSave();
+
+            await this.refreshDocuments();
+            if (!this.state.documents.length) {
+                await this.store.create();
+                await this.refreshDocuments();
+            }
+
+            const lastId = localStorage.getItem('texty-active-doc');
+            const target = this.state.documents.find(d => d.id === lastId) || this.state.documents[0];
+            this.loadDocument(await this.store.get(target.id));
+        } catch (err) {
+            console.error('Could not load documents:', err);
+            this.showToast('Could not load your documents');
+        }
+    }
+
+    // The pre-documents autosave becomes a regular document, once
+    async migrateLegacyAutoSave() {
+        const saved = localStorage.getItem('texty-autosave');
+        if (!saved) return;
+
+        const doc = await this.store.create({ text: saved, title: DocumentStore.deriveTitle(saved) });
+        localStorage.removeItem('texty-autosave');
+        localStorage.removeItem('texty-autosave-time');
+        localStorage.setItem('texty-active-doc', doc.id);
+        this.showToast('Previous session restored');
+    }
+
+    async refreshDocuments() {
+        if (!this.store) return;
+        this.state.documents = await this.store.list();
+        this.renderDocuments();
+    }
+
+    /**
+     * Shows `doc` in the editor: text, cursor and limit tracker. Undo history starts over.
+     */
+    loadDocument(doc) {
+        const el = this.elements.textInput;
+        if (!doc || !el) return;
+
+        clearTimeout(this.autoSaveTimer);
+        Object.assign(this.state, {
+            activeDocId: doc.id,
+            docRevision: doc.revision,
+            docBaseText: doc.text,
+            docDirty:    false,
+        });
+        localStorage.setItem('texty-active-doc', doc.id);
+
+        el.value = doc.text;
+        const { start = 0, end = start } = doc.cursor || {};
+        el.setSelectionRange(Math.min(start, doc.text.length), Math.min(end, doc.text.length));
+        this.applyDocumentLimit(doc.limit);
+
+        this.history.clear(doc.text);
+        this.updateHistoryControls();
+        this.clearFormattingDisplay();
+        this.updateAnalysis();
+        if (this.state.findPanelOpen) this.updateFindResults();
+        if (this.state.comparePanelOpen) this.scheduleCompare();
+        if (this.state.issuesPanelOpen) this.updateIssues();
+        if (this.state.activeTab === 'inspector') this.updateInspector();
+        this.renderDocuments();
+    }
+
+    applyDocumentLimit({ value = null, type = 'chars', preset = null } = {}) {
+        if (preset) {
+            const btn = document.querySelector(`.preset-btn[data-preset="${preset}"][data-type="${type}"]`);
+            this.setPreset(value, type, btn);
+        } else if (value) {
+            if (this.elements.limitInput)      this.elements.limitInput.value      = value;
+            if (this.elements.limitTypeSelect) this.elements.limitTypeSelect.value = type;
+            this.handleCustomLimit();
+        } else {
+            this.clearLimit();
+        }
+    }
+
+    /**
+     * Writes the editor to the active document. Saves are queued so they never overlap.
+     */
+    saveActiveDocument() {
+        this.docSaveQueue = this.docSaveQueue
+            .then(() => this.writeActiveDocument())
+            .catch((err) => {
+                console.error('Autosave failed:', err);
+                this.showToast('Could not save — check browser storage');
+            });
+        return this.docSaveQueue;
+    }
+
+    async writeActiveDocument() {
+        const el = this.elements.textInput;
+        const id = this.state.activeDocId;
+        if (!this.store || !id || !el) return;
+
+        const cursor = { start: el.selectionStart, end: el.selectionEnd };
+        if (!this.state.docDirty) {
+            await this.store.setCursor(id, cursor);
+            return;
+        }
+
+        const { limitValue, limitType, activePreset } = this.state;
+        const text = el.value;
+        this.state.docDirty = false;
+
+        const { doc, conflictCopy } = await this.store.save({
+            id, text, cursor,
+            limit: { value: limitValue, type: limitType, preset: activePreset },
+        }, this.state.docBaseText);
+
+        if (this.state.activeDocId === id) {
+            this.state.docRevision = doc.revision;
+            this.state.docBaseText = text;
+        }
+        if (conflictCopy) {
+            this.showToast(`Also edited in another tab — that version was kept as "${conflictCopy.title}"`);
+        }
+        await this.refreshDocuments();
+        await this.autoSnapshot(id, text);
+    }
+
+    async handleRemoteDocumentChange({ type, id, revision }) {
+        if (type === 'versions') {
+            if (id === this.state.activeDocId && this.isVersionsOpen()) this.loadVersions();
+            return;
+        }
+
+        await this.refreshDocuments();
+        if (id !== this.state.activeDocId) return;
+
+        if (type === 'deleted') {
+            // Keep it open here; the next save re-creates it
+            this.state.docBaseText = null;
+            this.markDocumentDirty();
+            this.showToast('This document was deleted in another tab — it will be kept while open here');
+            return;
+        }
+        if (type !== 'saved' || revision <= this.state.docRevision) return;
+
+        // Unsaved edits here: save now, which keeps the other tab's version as a copy
+        if (this.state.docDirty) {
+            this.saveActiveDocument();
+            return;
+        }
+
+        const doc = await this.store.get(id);
+        const el  = this.elements.textInput;
+        if (!doc || !el || this.state.docDirty || this.state.activeDocId !== id) return;
+
+        const before = el.value;
+        const { selectionStart, selectionEnd } = el;
+        this.state.docRevision = doc.revision;
+        this.state.docBaseText = doc.text;
+        this.applyDocumentLimit(doc.limit);
+        if (doc.text === before) return;
+
+        el.value = doc.text;
+        el.setSelectionRange(Math.min(selectionStart, doc.text.length), Math.min(selectionEnd, doc.text.length));
+        this.recordHistory(before, 'Edit from another tab');
+        this.updateAnalysis();
+        if (this.state.findPanelOpen) this.updateFindResults();
+        if (this.state.issuesPanelOpen) this.updateIssues();
+        if (this.state.activeTab === 'inspector') this.updateInspector();
+        this.showToast('Updated with changes from another tab');
+    }
+
+    async openDocument(id) {
+        if (id === this.state.activeDocId) return;
+        try {
+            await this.saveActiveDocument();
+            this.loadDocument(await this.store.get(id));
+        } catch (err) {
+            console.error('Could not open document:', err);
+            this.showToast('Could not open that document');
+        }
+    }
+
+    async createDocument() {
+        if (!this.store) return;
+        try {
+            await this.saveActiveDocument();
+            const doc = await this.store.create();
+            await this.refreshDocuments();
+            this.loadDocument(doc);
+            this.elements.textInput?.focus();
+        } catch (err) {
+            console.error('Could not create document:', err);
+            this.showToast('Could not create a document');
+        }
+    }
+
+    async renameDocument(id, title) {
+        try {
+            const doc = await this.store.rename(id, title);
+            if (doc && id === this.state.activeDocId) this.state.docRevision = doc.revision;
+        } catch (err) {
+            console.error('Could not rename document:', err);
+            this.showToast('Could not rename that document');
+        }
+        await this.refreshDocuments();
+    }
+
+    async duplicateDocument(id) {
+        try {
+            if (id === this.state.activeDocId) await this.saveActiveDocument();
+            const copy = await this.store.duplicate(id);
+            await this.refreshDocuments();
+            if (copy) this.showToast(`Duplicated as "${copy.title}"`);
+        } catch (err) {
+            console.error('Could not duplicate document:', err);
+            this.showToast('Could not duplicate that document');
+        }
+    }
+
+    async deleteDocument(id) {
+        try {
+            await this.store.delete(id);
+            await this.refreshDocuments();
+
+            if (id === this.state.activeDocId) {
+                this.state.activeDocId = null;
+                const next = this.state.documents[0]
+                    ? await this.store.get(this.state.documents[0].id)
+                    : await this.store.create();
+                await this.refreshDocuments();
+                this.loadDocument(next);
+            }
+            this.showToast('Document deleted');
+        } catch (err) {
+            console.error('Could not delete document:', err);
+            this.showToast('Could not delete that document');
+        }
+    }
+
+    toggleDocsPanel() {
+        this.state.docsPanelOpen ? this.closeDocsPanel() : this.openDocsPanel();
+    }
+
+    openDocsPanel() {
+        this.state.docsPanelOpen = true;
+        this.elements.docsSidebar?.classList.add('open');
+        this.elements.docsSidebar?.setAttribute('aria-hidden', 'false');
+        this.elements.docsToggle?.classList.add('panel-open');
+        this.refreshDocuments();
+
+        // Keep "edited … ago" current while the list is visible
+        clearInterval(this.docsClockTimer);
+        this.docsClockTimer = setInterval(() => this.renderDocuments(), 60_000);
+    }
+
+    closeDocsPanel() {
+        this.state.docsPanelOpen = false;
+        this.elements.docsSidebar?.classList.remove('open');
+        this.elements.docsSidebar?.setAttribute('aria-hidden', 'true');
+        this.elements.docsToggle?.classList.remove('panel-open');
+        clearInterval(this.docsClockTimer);
+    }
+
+    renderDocuments() {
+        const list = this.elements.docsList;
+        if (!list || !this.state.docsPanelOpen) return;
+        // Re-rendering would discard a rename in progress
+        if (list.querySelector('.doc-rename-input')) return;
+        list.textContent = '';
+
+        const frag = document.createDocumentFragment();
+        this.state.documents.forEach((doc) => {
+            const row = document.createElement('li');
+            row.className = 'doc-row' + (doc.id === this.state.activeDocId ? ' active' : '');
+
+            const open = Object.assign(document.createElement('button'), { className: 'doc-open' });
+            const title = Object.assign(document.createElement('span'), {
+                className: 'doc-title', textContent: doc.title
+            });
+            const meta = Object.assign(document.createElement('span'), {
+                className:   'doc-meta',
+                textContent: `Edited ${TextUtils.formatRelativeTime(doc.updatedAt)} · ${TextUtils.formatNumber(doc.length)} chars`,
+                title:       new Date(doc.updatedAt).toLocaleString(),
+            });
+            open.append(title, meta);
+            open.addEventListener('click', () => this.openDocument(doc.id));
+
+            const rename = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-outline', textContent: '✎', title: 'Rename'
+            });
+            rename.addEventListener('click', () => this.startRenameDocument(row, doc));
+
+            const dup = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-outline', textContent: '⧉', title: 'Duplicate'
+            });
+            dup.addEventListener('click', () => this.duplicateDocument(doc.id));
+
+            // Two clicks to delete: the first arms the button for a few seconds
+            const del = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-outline doc-delete', textContent: '✕', title: 'Delete'
+            });
+            del.addEventListener('click', () => {
+                if (del.classList.contains('armed')) { this.deleteDocument(doc.id); return; }
+                del.classList.add('armed');
+                del.textContent = 'Delete?';
+                setTimeout(() => {
+                    del.classList.remove('armed');
+                    del.textContent = '✕';
+                }, 3000);
+            });
+
+            const actions = Object.assign(document.createElement('div'), { className: 'doc-actions' });
+            actions.append(rename, dup, del);
+            row.append(open, actions);
+            frag.appendChild(row);
+        });
+
+        list.appendChild(frag);
+    }
+
+    startRenameDocument(row, doc) {
+        const open  = row.querySelector('.doc-open');
+        const input = Object.assign(document.createElement('input'), {
+            type: 'text', className: 'find-input doc-rename-input', value: doc.autoTitle ? '' : doc.title,
+            placeholder: doc.title, maxLength: 80, spellcheck: false,
+        });
+        input.setAttribute('aria-label', 'Document name (empty to name it after its first line)');
+
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            input.remove();
+            open.hidden = false;
+            if (commit) this.renameDocument(doc.id, input.value);
+            else        this.renderDocuments();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter')  { e.preventDefault(); finish(true); }
+            if (e.key === 'Escape') { e.stopPropagation(); finish(false); }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        open.hidden = true;
+        row.insertBefore(input, open);
+        input.focus();
+        input.select();
+    }
+
+    // ─────────────────────────────────────────────
+    //  VERSIONS (long-term snapshots + diff viewer)
+    // ─────────────────────────────────────────────
+
+    /**
+     * Saves `text` as a version of the active document. Fire-and-forget: the text is
+     * captured now, so callers can go on to change the editor straight away.
+     */
+    snapshotVersion(text, label, kind = 'before') {
+        const docId = this.state.activeDocId;
+        if (!this.store || !docId || !text) return Promise.resolve(null);
+
+        return this.store.addVersion({ docId, text, label, kind })
+            .then((meta) => {
+                if (meta && this.isVersionsOpen()) this.loadVersions();
+                return meta;
+            })
+            .catch((err) => {
+                console.warn('Could not save version:', err);
+                return null;
+            });
+    }
+
+    // Runs after each autosave; snapshots once the newest version is old enough
+    async autoSnapshot(docId, text) {
+        const minutes = this.state.snapshotMinutes;
+        if (!minutes || !text || docId !== this.state.activeDocId) return;
+
+        try {
+            const latest = await this.store.latestVersion(docId);
+            if (latest && Date.now() - latest.createdAt < minutes * 60_000) return;
+        } catch {
+            return;
+        }
+        await this.snapshotVersion(text, 'Auto-snapshot', 'auto');
+    }
+
+    isVersionsOpen() {
+        return !!this.elements.versionsModal?.classList.contains('open');
+    }
+
+    openVersions() {
+        if (!this.store) return;
+        if (this.elements.snapshotIntervalSelect) {
+            this.elements.snapshotIntervalSelect.value = String(this.state.snapshotMinutes);
+        }
+        this.state.selectedVersion     = null;
+        this.state.selectedVersionText = null;
+        this.elements.versionsModal?.classList.add('open');
+        this.elements.versionsModal?.setAttribute('aria-hidden', 'false');
+        this.loadVersions();
+    }
+
+    closeVersions() {
+        this.elements.versionsModal?.classList.remove('open');
+        this.elements.versionsModal?.setAttribute('aria-hidden', 'true');
+        this.state.selectedVersionText = null;
+        if (this.elements.diffView) this.elements.diffView.textContent = '';
+    }
+
+    async loadVersions() {
+        try {
+            this.state.versions = await this.store.listVersions(this.state.activeDocId);
+        } catch (err) {
+            console.error('Could not load versions:', err);
+            this.state.versions = [];
+        }
+
+        // Keep the selection if it still exists, otherwise show the newest version
+        const selected = this.state.versions.find(v => v.id === this.state.selectedVersion?.id)
+            || this.state.versions[0] || null;
+        this.renderVersions();
+        if (selected?.id !== this.state.selectedVersion?.id || !this.state.selectedVersionText) {
+            this.selectVersion(selected);
+        } else {
+            this.renderVersionDiff();
+        }
+    }
+
+    renderVersions() {
+        const list = this.elements.versionsList;
+        if (!list) return;
+        list.textContent = '';
+
+        if (!this.state.versions.length) {
+            list.innerHTML = '<span class="no-keywords">No versions yet. Save one above, or wait for an auto-snapshot.</span>';
+            return;
+        }
+
+        const kinds = { manual: 'Saved', auto: 'Auto', before: 'Before change' };
+        const frag  = document.createDocumentFragment();
+        this.state.versions.forEach((version) => {
+            const row = Object.assign(document.createElement('button'), {
+                className: 'version-row' + (version.id === this.state.selectedVersion?.id ? ' active' : ''),
+                title:     new Date(version.createdAt).toLocaleString(),
+            });
+
+            const label = Object.assign(document.createElement('span'), {
+                className: 'version-label', textContent: version.label
+            });
+            const meta = Object.assign(document.createElement('span'), {
+                className:   'version-meta',
+                textContent: `${kinds[version.kind] || version.kind} · ${TextUtils.formatRelativeTime(version.createdAt)} · ` +
+                             `${TextUtils.formatNumber(version.size)} chars`,
+            });
+
+            row.append(label, meta);
+            row.addEventListener('click', () => this.selectVersion(version));
+            frag.appendChild(row);
+        });
+
+        list.appendChild(frag);
+    }
+
+    async selectVersion(version) {
+        this.state.selectedVersion     = version;
+        this.state.selectedVersionText = null;
+        if (this.elements.restoreVersionBtn) this.elements.restoreVersionBtn.disabled = !version;
+        if (this.elements.deleteVersionBtn)  this.elements.deleteVersionBtn.disabled  = !version;
+        this.renderVersions();
+
+        if (version) {
+            const text = await this.store.getVersionText(version.id);
+            if (this.state.selectedVersion !== version) return;   // another row was picked meanwhile
+            this.state.selectedVersionText = text ?? '';
+        }
+        this.renderVersionDiff();
+    }
+
+    /**
+     * Side-by-side word diff: unchanged text spans both columns (long runs are
+     * shortened), each hunk shows the version on the left and the current text
+     * on the right, with its own Copy button.
+     */
+    renderVersionDiff() {
+        const { diffView, diffSummary } = this.elements;
+        if (!diffView) return;
+        diffView.textContent = '';
+
+        const old = this.state.selectedVersionText;
+        if (old === null) {
+            if (diffSummary) diffSummary.textContent = '';
+            return;
+        }
+
+        const ops   = TextDiff.diff(old, this.elements.textInput?.value ?? '');
+        const hunks = TextDiff.hunks(ops);
+        const { wordsAdded, wordsRemoved } = TextDiff.stats(ops);
+        const count = hunks.filter(h => h.type === 'hunk').length;
+
+        if (diffSummary) {
+            diffSummary.textContent = count
+                ? `${count} change${count !== 1 ? 's' : ''} · +${TextUtils.formatNumber(wordsAdded)} / −${TextUtils.formatNumber(wordsRemoved)} words`
+                : 'Identical to the current text';
+        }
+
+        const frag = document.createDocumentFragment();
+        const head = Object.assign(document.createElement('div'), { className: 'diff-hunk diff-head' });
+        head.append(
+            Object.assign(document.createElement('span'), { textContent: 'Version' }),
+            Object.assign(document.createElement('span'), { textContent: 'Current' }),
+        );
+        frag.appendChild(head);
+
+        hunks.forEach((item) => {
+            if (item.type === 'context') {
+                const text = item.text.length > 160
+                    ? `${item.text.slice(0, 70)} … ${item.text.slice(-70)}`
+                    : item.text;
+                frag.appendChild(Object.assign(document.createElement('div'), {
+                    className: 'diff-context', textContent: text
+                }));
+                return;
+            }
+
+            const row    = Object.assign(document.createElement('div'), { className: 'diff-hunk' });
+            const before = Object.assign(document.createElement('div'), { className: 'diff-side' });
+            const after  = Object.assign(document.createElement('div'), { className: 'diff-side' });
+
+            item.ops.forEach((op) => {
+                if (op.type !== 'insert') before.appendChild(this.diffSpan(op));
+                if (op.type !== 'delete') after.appendChild(this.diffSpan(op));
+            });
+
+            const copy = Object.assign(document.createElement('button'), {
+                className: 'btn btn-sm btn-outline diff-copy', textContent: 'Copy', title: 'Copy this passage as it was in the version'
+            });
+            copy.disabled = !item.oldText;
+            copy.addEventListener('click', () => {
+                TextUtils.copyToClipboard(item.oldText)
+                    .then(() => this.showToast('Passage copied'))
+                    .catch(() => this.showToast('Failed to copy'));
+            });
+
+            row.append(before, after, copy);
+            frag.appendChild(row);
+        });
+
+        diffView.appendChild(frag);
+    }
+
+    diffSpan(op) {
+        if (op.type === 'equal') return document.createTextNode(op.text);
+        return Object.assign(document.createElement(op.type === 'insert' ? 'ins' : 'del'), {
+            className: `diff-${op.type}`, textContent: op.text
+        });
+    }
+
+    async saveManualVersion() {
+        const input = this.elements.versionLabelInput;
+        const text  = this.elements.textInput?.value ?? '';
+        if (!text) { this.showToast('Nothing to save'); return; }
+
+        const label = input?.value.trim() || `Version of ${new Date().toLocaleString()}`;
+        const meta  = await this.snapshotVersion(text, label, 'manual');
+        if (meta) {
+            if (input) input.value = '';
+            this.showToast(`Saved version "${label}"`);
+        } else {
+            this.showToast('This text is already the latest version');
+        }
+    }
+
+    async restoreVersion() {
+        const version = this.state.selectedVersion;
+        const text    = this.state.selectedVersionText;
+        const el      = this.elements.textInput;
+        if (!version || text === null || !el) return;
+
+        const before = el.value;
+        if (before === text) { this.showToast('Already matches this version'); return; }
+
+        await this.snapshotVersion(before, `Before restoring "${version.label}"`);
+        el.value = text;
+        el.setSelectionRange(0, 0);
+        this.recordHistory(before, `Restore "${version.label}"`);
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+
+        this.closeVersions();
+        this.showToast(`Restored "${version.label}"`);
+    }
+
+    async deleteVersion() {
+        const version = this.state.selectedVersion;
+        if (!version) return;
+        try {
+            await this.store.deleteVersion(version.id, version.docId);
+            this.state.selectedVersion = null;
+            await this.loadVersions();
+            this.showToast('Version deleted');
+        } catch (err) {
+            console.error('Could not delete version:', err);
+            this.showToast('Could not delete that version');
+        }
+    }
+
+    // ─────────────────────────────────────────────
+    //  SHORTCUTS MODAL
+    // ─────────────────────────────────────────────
+    openShortcutsModal() {
+        this.elements.shortcutsModal?.classList.add('open');
+        this.elements.shortcutsModal?.setAttribute('aria-hidden', 'false');
+    }
+
+    closeShortcutsModal() {
+        this.elements.shortcutsModal?.classList.remove('open');
+        this.elements.shortcutsModal?.setAttribute('aria-hidden', 'true');
+    }
+
+    // ─────────────────────────────────────────────
+    //  KEYBOARD SHORTCUTS
     // ─────────────────────────────────────────────
-    //  KEYBOARD SHORTCUTS
-    // ─────────────────────────────────────────────
     handleKeydown(e) {
         const ctrl  = e.ctrlKey || e.metaKey;
         const shift = e.shiftKey;
@@ -916,13 +3815,39 @@ class TextyApp {
             return;
         }
 
-        // Ctrl+Z → undo (only when we have our own snapshot)
-        if (ctrl && !shift && e.key.toLowerCase() === 'z' && this.state.undoSnapshot !== null) {
+        // Ctrl+Z → undo (only when we have our own history)
+        if (ctrl && !shift && e.key.toLowerCase() === 'z' && this.history.canUndo) {
             e.preventDefault();
             this.undoLastChange();
             return;
         }
 
+        // Ctrl+Shift+Z / Ctrl+Y → redo
+        if (ctrl && ((shift && e.key.toLowerCase() === 'z') || (!shift && e.key.toLowerCase() === 'y')) &&
+            this.history.canRedo) {
+            e.preventDefault();
+            this.redoLastChange();
+            return;
+        }
+
+        // Ctrl+Alt+S → versions (save one)
+        if (ctrl && e.altKey && e.code === 'KeyS' && this.store) {
+            e.preventDefault();
+            this.openVersions();
+            this.elements.versionLabelInput?.focus();
+            return;
+        }
+
+        // Ctrl+Alt+1…9 → run saved recipe
+        if (ctrl && e.altKey && /^Digit[1-9]$/.test(e.code)) {
+            const index = parseInt(e.code.slice(5)) - 1;
+            if (this.state.recipes[index]) {
+                e.preventDefault();
+                this.runRecipe(index);
+            }
+            return;
+        }
+
         // Ctrl+Shift+C → copy
         if (ctrl && shift && e.key.toLowerCase() === 'c') {
             e.preventDefault();
@@ -962,10 +3887,34 @@ class TextyApp {
 
         // Escape → close panels in priority order
         if (e.key === 'Escape') {
-            if (this.elements.shortcutsModal?.classList.contains('open')) {
+            if (this.isVersionsOpen()) {
+                this.closeVersions();
+            } else if (this.elements.exportMdModal?.classList.contains('open')) {
+                this.closeMarkdownExport();
+            } else if (this.isKeywordsTableOpen()) {
+                this.closeKeywordsTable();
+            } else if (this.elements.properNounsModal?.classList.contains('open')) {
+                this.closeProperNouns();
+            } else if (this.isTypographyOpen()) {
+                this.closeTypography();
+            } else if (this.isLineToolsOpen()) {
+                this.closeLineTools();
+            } else if (this.isSortDialogOpen()) {
+                this.closeSortDialog();
+            } else if (this.isDedupeDialogOpen()) {
+                this.closeDedupeDialog();
+            } else if (this.elements.shortcutsModal?.classList.contains('open')) {
                 this.closeShortcutsModal();
             } else if (this.state.findPanelOpen) {
                 this.closeFindReplace();
+            } else if (this.state.recipesPanelOpen) {
+                this.closeRecipesPanel();
+            } else if (this.state.comparePanelOpen) {
+                this.closeComparePanel();
+            } else if (this.state.issuesPanelOpen) {
+                this.closeIssuesPanel();
+            } else if (this.state.docsPanelOpen) {
+                this.closeDocsPanel();
             } else if (this.elements.toast?.classList.contains('show')) {
                 this.elements.toast.classList.remove('show');
             }
@@ -1059,10 +4008,11 @@ class TextyApp {
         if (lastAnalysisResult) {
             current = limitType === 'words' ? lastAnalysisResult.words : lastAnalysisResult.characters;
         } else {
-            const text = this.elements.textInput?.value || '';
+            const text   = this.elements.textInput?.value || '';
+            const locale = this.state.locale || undefined;
             current = limitType === 'words'
-                ? (text.trim() ? text.trim().split(/\s+/).length : 0)
-                : text.length;
+                ? TextAnalyzer.getWords(text, locale).length
+                : TextAnalyzer.countGraphemes(text, locale);
         }
 
         const pct    = Math.min((current / limitValue) * 100, 100);
@@ -1095,7 +4045,12 @@ class TextyApp {
         clearTimeout(this.autoSaveTimer);
         clearTimeout(this.analysisTimer);
         clearTimeout(this.toastTimer);
+        clearInterval(this.docsClockTimer);
+        clearTimeout(this.compareTimer);
+        clearTimeout(this.dedupeTimer);
+        clearTimeout(this.inspectorTimer);
         if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.stopAnalysisWorker();
     }
 }
 
@@ -0,0 +1,357 @@
+/**
+ * TEXTY V4 — Document Store
+ * Named documents persisted in IndexedDB, with change notifications between tabs.
+ *
+ * A document: { id, title, autoTitle, text, cursor: { start, end },
+ *               limit: { value, type, preset }, createdAt, updatedAt, revision }
+ * `revision` increments on every change, so a tab notified of a change can tell
+ * whether it already has that version.
+ *
+ * Versions are long-term snapshots of a document, kept apart from its undo history:
+ * metadata { id, docId, label, kind: 'auto' | 'before' | 'manual', createdAt, size }
+ * lives in `versions`, the text in `versionTexts`, so listing never loads texts.
+ */
+class DocumentStore {
+    static DB_NAME    = 'texty';
+    static DB_VERSION = 2;
+    static STORE      = 'documents';
+    static VERSIONS   = 'versions';
+    static TEXTS      = 'versionTexts';
+    static CHANNEL    = 'texty-documents';
+
+    // Version quota: automatic snapshots per document, and characters across all versions.
+    // Manual versions are only pruned when they alone exceed the character budget.
+    static VERSION_LIMITS = { autoPerDocument: 40, totalChars: 20_000_000 };
+
+    constructor(db) {
+        this.db        = db;
+        // Let a newer page version upgrade the database instead of being blocked by this tab
+        this.db.onversionchange = () => this.db.close();
+        this.tabId     = DocumentStore.newId();
+        this.listeners = [];
+        this.channel   = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DocumentStore.CHANNEL) : null;
+        this.channel?.addEventListener('message', (e) => {
+            if (e.data?.tabId !== this.tabId) this.listeners.forEach(fn => fn(e.data));
+        });
+    }
+
+    static newId() {
+        return typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Opens (and if needed creates) the database. Rejects when IndexedDB is unavailable.
+     */
+    static open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            req.onupgradeneeded = (e) => {
+                const db = req.result;
+                if (e.oldVersion < 1) {
+                    db.createObjectStore(this.STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                }
+                if (e.oldVersion < 2) {
+                    const versions = db.createObjectStore(this.VERSIONS, { keyPath: 'id' });
+                    versions.createIndex('docId', ['docId', 'createdAt']);
+                    db.createObjectStore(this.TEXTS, { keyPath: 'id' });
+                }
+            };
+            req.onsuccess = () => resolve(new DocumentStore(req.result));
+            req.onerror   = () => reject(req.error);
+            req.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    }
+
+    static blank(fields = {}) {
+        const now = Date.now();
+        return {
+            id:        this.newId(),
+            title:     'Untitled',
+            autoTitle: true,
+            text:      '',
+            cursor:    { start: 0, end: 0 },
+            limit:     { value: null, type: 'chars', preset: null },
+            createdAt: now,
+            updatedAt: now,
+            revision:  1,
+            ...fields,
+        };
+    }
+
+    // Untitled documents are named after their first line
+    static deriveTitle(text) {
+        const line = (text || '').split('\n').find(l => l.trim())?.trim() || '';
+        if (!line) return 'Untitled';
+        return line.length > 40 ? line.slice(0, 39).trimEnd() + '…' : line;
+    }
+
+    // ─── TRANSACTIONS ─────────────────────────────────────────
+
+    /**
+     * Runs fn(...objectStores) in one transaction; resolves with fn's result once it commits.
+     */
+    transaction(mode, fn, names = [DocumentStore.STORE]) {
+        return new Promise((resolve, reject) => {
+            const tx   = this.db.transaction(names, mode);
+            const work = Promise.resolve(fn(...names.map(n => tx.objectStore(n))));
+            work.catch((err) => { reject(err); try { tx.abort(); } catch { /* already finished */ } });
+            tx.oncomplete = () => work.then(resolve);
+            tx.onerror    = () => reject(tx.error);
+            tx.onabort    = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => reject(req.error);
+        });
+    }
+
+    // ─── QUERIES ──────────────────────────────────────────────
+
+    /**
+     * All documents, most recently edited first, without their text.
+     */
+    list() {
+        return this.transaction('readonly', async (store) => {
+            const docs = await DocumentStore.request(store.getAll());
+            return docs
+                .map(({ text, ...meta }) => ({ ...meta, length: text.length }))
+                .sort((a, b) => b.updatedAt - a.updatedAt);
+        });
+    }
+
+    get(id) {
+        return this.transaction('readonly', async store => await DocumentStore.request(store.get(id)) || null);
+    }
+
+    // ─── MUTATIONS ────────────────────────────────────────────
+
+    async create(fields = {}) {
+        const doc = DocumentStore.blank(fields);
+        await this.transaction('readwrite', store => { store.add(doc); });
+        this.notify('created', doc);
+        return doc;
+    }
+
+    /**
+     * Saves `changes` ({ id, text, cursor, limit }) over the stored document.
+     * `baseText` is the text this tab last loaded or saved: if the stored text
+     * has moved on since (another tab saved in between), that version is kept
+     * as a separate document, returned as `conflictCopy`.
+     */
+    async save(changes, baseText) {
+        let conflictCopy = null;
+        let saved        = null;
+
+        await this.transaction('readwrite', async (store) => {
+            const stored = await DocumentStore.request(store.get(changes.id));
+
+            if (stored && stored.text !== baseText && stored.text !== changes.text) {
+                const time = new Date(stored.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                conflictCopy = {
+                    ...stored,
+                    id:        DocumentStore.newId(),
+                    title:     `${stored.title} (other tab, ${time})`,
+                    autoTitle: false,
+                    revision:  1,
+                };
+                store.add(conflictCopy);
+            }
+
+            // A document deleted by another tab while open here is re-created
+            const doc = { ...DocumentStore.blank(), ...stored, ...changes };
+            saved = {
+                ...doc,
+                title:     doc.autoTitle ? DocumentStore.deriveTitle(doc.text) : doc.title,
+                updatedAt: Date.now(),
+                revision:  (stored?.revision || 0) + 1,
+            };
+            store.put(saved);
+        });
+
+        this.notify('saved', saved);
+        if (conflictCopy) this.notify('created', conflictCopy);
+        return { doc: saved, conflictCopy };
+    }
+
+    // Cursor moves are not edits: no new revision, no change to the edited time
+    setCursor(id, cursor) {
+        return this.transaction('readwrite', async (store) => {
+            const stored = await DocumentStore.request(store.get(id));
+            if (stored) store.put({ ...stored, cursor });
+        });
+    }
+
+    async update(id, changes) {
+        let saved = null;
+        await this.transaction('readwrite', async (store) => {
+            const stored = await DocumentStore.request(store.get(id));
+            if (!stored) return;
+            saved = { ...stored, ...changes, updatedAt: Date.now(), revision: stored.revision + 1 };
+            store.put(saved);
+        });
+        if (saved) this.notify('saved', saved);
+        return saved;
+    }
+
+    rename(id, title) {
+        const clean = title.trim().slice(0, 80);
+        return clean
+            ? this.update(id, { title: clean, autoTitle: false })
+            : this.update(id, { autoTitle: true });
+    }
+
+    async duplicate(id) {
+        const source = await this.get(id);
+        if (!source) return null;
+        const { id: _id, createdAt, updatedAt, revision, ...rest } = source;
+        return this.create({ ...rest, title: `${source.title} (copy)`, autoTitle: false });
+    }
+
+    async delete(id) {
+        await this.transaction('readwrite', async (store, versions, texts) => {
+            store.delete(id);
+            const ids = await DocumentStore.request(versions.index('docId').getAllKeys(DocumentStore.docRange(id)));
+            ids.forEach((vid) => { versions.delete(vid); texts.delete(vid); });
+        }, [DocumentStore.STORE, DocumentStore.VERSIONS, DocumentStore.TEXTS]);
+        this.notify('deleted', { id });
+    }
+
+    // ─── VERSIONS ─────────────────────────────────────────────
+
+    static docRange(docId) {
+        return IDBKeyRange.bound([docId, -Infinity], [docId, Infinity]);
+    }
+
+    /**
+     * Newest first, without text.
+     */
+    listVersions(docId) {
+        return this.transaction('readonly', async (versions) => {
+            const list = await DocumentStore.request(versions.index('docId').getAll(DocumentStore.docRange(docId)));
+            return list.reverse();
+        }, [DocumentStore.VERSIONS]);
+    }
+
+    latestVersion(docId) {
+        return this.transaction('readonly', async (versions) => {
+            const cursor = await DocumentStore.request(
+                versions.index('docId').openCursor(DocumentStore.docRange(docId), 'prev'));
+            return cursor?.value || null;
+        }, [DocumentStore.VERSIONS]);
+    }
+
+    getVersionText(id) {
+        return this.transaction('readonly', async (texts) => {
+            const entry = await DocumentStore.request(texts.get(id));
+            return entry ? entry.text : null;
+        }, [DocumentStore.TEXTS]);
+    }
+
+    /**
+     * Stores a snapshot of `text`. Returns its metadata, or null when the
+     * document's newest version already has this exact text.
+     */
+    async addVersion({ docId, text, label, kind = 'manual' }) {
+        const latest = await this.latestVersion(docId);
+        if (latest && latest.size === text.length && await this.getVersionText(latest.id) === text) return null;
+
+        const meta  = { id: DocumentStore.newId(), docId, label, kind, createdAt: Date.now(), size: text.length };
+        const write = () => this.transaction('readwrite', (versions, texts) => {
+            versions.add(meta);
+            texts.add({ id: meta.id, text });
+        }, [DocumentStore.VERSIONS, DocumentStore.TEXTS]);
+
+        try {
+            await write();
+        } catch (err) {
+            if (err?.name !== 'QuotaExceededError') throw err;
+            // Out of space: free half the automatic snapshots everywhere, then retry once
+            await this.pruneVersions({ autoPerDocument: Math.floor(DocumentStore.VERSION_LIMITS.autoPerDocument / 2), totalChars: 0 });
+            await write();
+        }
+
+        await this.pruneVersions(DocumentStore.VERSION_LIMITS, meta.id);
+        this.notify('versions', { id: docId });
+        return meta;
+    }
+
+    async deleteVersion(id, docId) {
+        await this.transaction('readwrite', (versions, texts) => {
+            versions.delete(id);
+            texts.delete(id);
+        }, [DocumentStore.VERSIONS, DocumentStore.TEXTS]);
+        this.notify('versions', { id: docId });
+    }
+
+    /**
+     * Enforces VERSION_LIMITS, tightened while the browser reports storage
+     * nearly full. Oldest automatic snapshots go first; `keepId` is never pruned.
+     * `totalChars: 0` skips the global budget pass.
+     */
+    async pruneVersions(limits = DocumentStore.VERSION_LIMITS, keepId = null) {
+        let { autoPerDocument, totalChars } = limits;
+        try {
+            const { usage, quota } = await navigator.storage?.estimate?.() || {};
+            if (quota && usage / quota > 0.8) {
+                autoPerDocument = Math.floor(autoPerDocument / 2);
+                totalChars      = Math.floor(totalChars / 2);
+            }
+        } catch { /* estimate unavailable — use the static limits */ }
+
+        await this.transaction('readwrite', async (versions, texts) => {
+            const all     = (await DocumentStore.request(versions.getAll())).sort((a, b) => b.createdAt - a.createdAt);
+            const doomed  = new Set();
+            const perDoc  = new Map();
+
+            all.forEach((v) => {
+                if (v.kind === 'manual') return;
+                const seen = (perDoc.get(v.docId) || 0) + 1;
+                perDoc.set(v.docId, seen);
+                if (seen > autoPerDocument) doomed.add(v);
+            });
+
+            if (totalChars) {
+                let size = all.reduce((sum, v) => sum + (doomed.has(v) ? 0 : v.size), 0);
+                const oldestFirst = [...all].reverse();
+                for (const pass of [v => v.kind !== 'manual', () => true]) {
+                    for (const v of oldestFirst) {
+                        if (size <= totalChars) break;
+                        if (doomed.has(v) || v.id === keepId || !pass(v)) continue;
+                        doomed.add(v);
+                        size -= v.size;
+                    }
+                }
+            }
+
+            doomed.forEach((v) => { versions.delete(v.id); texts.delete(v.id); });
+        }, [DocumentStore.VERSIONS, DocumentStore.TEXTS]);
+    }
+
+    // ─── CROSS-TAB NOTIFICATIONS ──────────────────────────────
+
+    /**
+     * Subscribes to changes made by other tabs: fn({ type, id, revision }).
+     * `type` is 'created', 'saved', 'deleted', or 'versions' (id is then the document's).
+     */
+    onRemoteChange(fn) {
+        this.listeners.push(fn);
+    }
+
+    notify(type, doc) {
+        this.channel?.postMessage({ type, id: doc.id, revision: doc.revision, tabId: this.tabId });
+    }
+
+    close() {
+        this.channel?.close();
+        this.db.close();
+    }
+}
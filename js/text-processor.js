@@ -1,6 +1,7 @@
 /**
  * TEXTY V4 — Text Processing Engine
  * Core text manipulation and analysis utilities. No DOM interaction here.
+ * Loads as browser globals via <script>, or as a CommonJS module in Node (see EXPORTS).
  */
 
 // === TEXT STATISTICS ===
@@ -8,41 +9,146 @@ class TextAnalyzer {
     // Cache for syllable counts to improve performance
     static syllableCache = new Map();
 
-    static analyze(text) {
+    /**
+     * Full statistics for `text`.
+     * Stats are computed per paragraph and summed. Pass a Map as `cache` to reuse
+     * the per-paragraph results between calls, so an edit only recomputes the
+     * paragraphs that changed (used by the analysis worker). The cache is pruned
+     * to the current paragraphs on every call.
+     * Words, sentences and characters are segmented with Intl.Segmenter, so CJK,
+     * Thai and emoji count correctly. `locale` picks the language; without one it is
+     * detected, and drives stopwords, syllable rules and the readability formulas.
+     * `stopWords` replaces a language's keyword stopwords: { de: ['aber', …] }.
+     */
+    static analyze(text, cache = null, { locale, stopWords } = {}) {
         if (!text || !text.trim()) {
+            if (cache) cache.clear();
             return this.getEmptyStats();
         }
 
-        const words      = this.getWords(text);
-        const sentences  = this.getSentences(text);
+        const language   = locale || Languages.detect(text) || undefined;
+        const custom     = stopWords?.[Languages.base(language) || 'en'];
+        const stopList   = custom ? new Set(custom.map(w => w.toLowerCase())) : null;
+        const stopKey    = custom ? [...stopList].join(' ') : '';
         const paragraphs = this.getParagraphs(text);
-        const characters = text.length;
-        const wordCount  = words.length;
+        const parts = paragraphs.map(p => {
+            let part = cache?.get(p);
+            if (!part || part.locale !== language || part.stopKey !== stopKey) {
+                part = this.analyzeParagraph(p, language, stopList);
+                part.stopKey = stopKey;
+                cache?.set(p, part);
+            }
+            return part;
+        });
 
-        let fleschScore = 0;
+        // Paragraphs are in document order, so each is found after the previous one
+        let cursor = 0;
+        const offsets = paragraphs.map(p => {
+            const at = text.indexOf(p, cursor);
+            cursor = at + p.length;
+            return at;
+        });
 
-        if (wordCount > 10 && sentences.length > 0) {
-            const avgWordsPerSentence = wordCount / sentences.length;
-            const avgSyllablesPerWord = this.calculateAvgSyllables(words);
-            fleschScore = this.calculateFleschScore(avgWordsPerSentence, avgSyllablesPerWord);
+        if (cache && cache.size > paragraphs.length) {
+            const current = new Set(paragraphs);
+            for (const key of cache.keys()) {
+                if (!current.has(key)) cache.delete(key);
+            }
         }
 
+        const wordCount     = parts.reduce((sum, p) => sum + p.words, 0);
+        const sentenceCount = parts.reduce((sum, p) => sum + p.sentences, 0);
+        const syllables     = parts.reduce((sum, p) => sum + p.syllables, 0);
+        const letters       = parts.reduce((sum, p) => sum + p.letters, 0);
+
+        const sum = key => parts.reduce((total, p) => total + p[key], 0);
+
+        // Whatever lies outside the paragraphs is whitespace: one grapheme per code unit, bar CRLF
+        const between    = text.length - sum('length') - (this.countCrlf(text) - sum('crlf'));
+        const graphemes  = sum('graphemes');
+        const readability = this.calculateReadability(Languages.base(language) || 'en', {
+            words: wordCount, sentences: sentenceCount, syllables,
+            polysyllables:  sum('polysyllables'),
+            complexWords:   sum('complexWords'),
+            characters:     sum('characters'),
+            difficultWords: sum('difficultWords'),
+        });
+
+        const unique = new Set();
+        parts.forEach(p => p.lowerWords.forEach(w => unique.add(w)));
+
+        const keywordStats = KeywordAnalyzer.merge(parts.map(p => p.terms), offsets, wordCount);
+
         const readingTime = this.calculateReadingTime(wordCount);
-        const uniqueWords = new Set(words.map(w => w.toLowerCase())).size;
-        const avgWordLength = wordCount > 0
-            ? (words.reduce((sum, w) => sum + w.length, 0) / wordCount).toFixed(1)
-            : '—';
+        const avgWordLength = wordCount > 0 ? (letters / wordCount).toFixed(1) : '—';
 
         return {
             words:        wordCount,
-            uniqueWords,
-            characters,
-            sentences:    sentences.length,
+            uniqueWords:  unique.size,
+            characters:   graphemes + between,
+            charactersNoSpaces: graphemes - sum('spaces'),
+            bytes:        this.utf8Length(text),
+            sentences:    sentenceCount,
             paragraphs:   paragraphs.length,
             avgWordLength,
             readingTime,
-            fleschScore:  Math.round(fleschScore),
-            keywords:     wordCount > 20 ? this.extractKeywords(words) : []
+            fleschScore:  readability ? readability.flesch.score : 0,
+            readability,
+            language:     { code: Languages.base(language) || null, detected: !locale },
+            keywords:     keywordStats[1].filter(k => k.count >= 2).slice(0, 7).map(k => k.term),
+            keywordStats: { words: keywordStats[1], phrases2: keywordStats[2], phrases3: keywordStats[3] },
+        };
+    }
+
+    /**
+     * Additive stats for a single paragraph — summed by analyze().
+     */
+    static analyzeParagraph(paragraph, locale, stopWords = null) {
+        const lang    = Languages.base(locale) || 'en';
+        const english = lang === 'en';
+        const scored  = Languages.hasSyllableRules(lang);
+        const sentences = this.getSentences(paragraph, locale);
+        const words  = [];
+        const starts = new Set();    // indexes of sentence-initial words
+        sentences.forEach(sentence => {
+            starts.add(words.length);
+            words.push(...this.getWords(sentence, locale));
+        });
+
+        let syllables = 0, polysyllables = 0, complexWords = 0, characters = 0, difficultWords = 0;
+
+        words.forEach((w, i) => {
+            const count = scored ? this.countSyllables(w, lang) : 0;
+            const bare  = this.bareWord(w);
+            syllables  += count;
+            characters += (bare.match(/[\p{L}\p{N}]/gu) || []).length;
+            // The grade-level tests and their word lists are English-only
+            if (!english) return;
+            if (count >= 3) {
+                polysyllables++;
+                if (this.isComplexWord(bare, starts.has(i))) complexWords++;
+            }
+            if (bare && !this.isFamiliarWord(bare)) difficultWords++;
+        });
+
+        const graphemes = this.countGraphemes(paragraph, locale);
+        const crlf      = this.countCrlf(paragraph);
+        return {
+            locale,
+            length:        paragraph.length,
+            graphemes,
+            crlf,
+            spaces:        (paragraph.match(/\s/g) || []).length - crlf,
+            words:         words.length,
+            sentences:     sentences.length,
+            syllables,
+            polysyllables,
+            complexWords,
+            characters,
+            difficultWords,
+            letters:       words.reduce((sum, w) => sum + w.length, 0),
+            lowerWords:    new Set(words.map(w => w.toLowerCase())),
+            terms:         KeywordAnalyzer.countTerms(paragraph, lang, stopWords || Languages.stopWords(lang), locale),
         };
     }
 
@@ -54,36 +160,123 @@ class TextAnalyzer {
 
     static getEmptyStats() {
         return {
-            words: 0, uniqueWords: 0, characters: 0,
+            words: 0, uniqueWords: 0, characters: 0, charactersNoSpaces: 0, bytes: 0,
             sentences: 0, paragraphs: 0, avgWordLength: '—',
-            readingTime: 0, fleschScore: 0, keywords: []
+            readingTime: 0, fleschScore: 0, readability: null, language: { code: null, detected: true }, keywords: [],
+            keywordStats: { words: [], phrases2: [], phrases3: [] }
         };
     }
 
-    static getWords(text) {
-        const trimmed = text.trim();
-        return trimmed ? trimmed.split(/\s+/) : [];
+    // ─── SEGMENTATION ──────────────────────────────
+
+    static segmenters = new Map();
+
+    /** A cached Intl.Segmenter, or null where the runtime has none (Node < 16, older browsers). */
+    static segmenter(locale, granularity) {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+        const key = `${locale || ''}|${granularity}`;
+        if (!this.segmenters.has(key)) {
+            let segmenter;
+            try {
+                segmenter = new Intl.Segmenter(locale || undefined, { granularity });
+            } catch {
+                segmenter = new Intl.Segmenter(undefined, { granularity });   // invalid locale tag
+            }
+            this.segmenters.set(key, segmenter);
+        }
+        return this.segmenters.get(key);
+    }
+
+    /**
+     * Word-like segments: no punctuation, emoji or spaces. Hyphenated compounds
+     * ("well-known") stay one word, as they did when words were split on whitespace.
+     */
+    static getWords(text, locale) {
+        const segmenter = this.segmenter(locale, 'word');
+        if (!segmenter) {
+            const trimmed = text.trim();
+            return trimmed ? trimmed.split(/\s+/) : [];
+        }
+
+        const words = [];
+        let hyphen = null;    // a hyphen directly after the last word
+        let prevWord = false;
+        for (const { segment, isWordLike } of segmenter.segment(text)) {
+            if (isWordLike) {
+                if (hyphen) words[words.length - 1] += hyphen + segment;
+                else words.push(segment);
+                hyphen = null;
+                prevWord = true;
+            } else {
+                hyphen = prevWord && /^[-\u2010\u2011]$/.test(segment) ? segment : null;
+                prevWord = false;
+            }
+        }
+        return words;
+    }
+
+    static getSentences(text, locale) {
+        const segmenter = this.segmenter(locale, 'sentence');
+        if (!segmenter) {
+            return text.split(/[.!?]+\s+|[.!?]+$|[。！？]+/).filter(s => s.trim().length > 0);
+        }
+        const sentences = [];
+        for (const { segment } of segmenter.segment(text)) {
+            if (/[\p{L}\p{N}]/u.test(segment)) sentences.push(segment);
+        }
+        return sentences;
+    }
+
+    /** User-perceived characters: an emoji, a flag or "é" as e + accent each count once. */
+    static countGraphemes(text, locale) {
+        if (!text) return 0;
+        if (!/[^\x00-\x7F]/.test(text)) return text.length - this.countCrlf(text);
+        const segmenter = this.segmenter(locale, 'grapheme');
+        if (!segmenter) return Array.from(text).length - this.countCrlf(text);
+        let count = 0;
+        for (const _ of segmenter.segment(text)) count++;
+        return count;
+    }
+
+    static countCrlf(text) {
+        let count = 0;
+        for (let i = text.indexOf('\r\n'); i !== -1; i = text.indexOf('\r\n', i + 2)) count++;
+        return count;
     }
 
-    static getSentences(text) {
-        return text.split(/[.!?]+\s+|[.!?]+$/).filter(s => s.trim().length > 0);
+    /** Length of `text` encoded as UTF-8, without allocating the encoding. */
+    static utf8Length(text) {
+        let bytes = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) bytes += 1;
+            else if (code < 0x800) bytes += 2;
+            else if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                const low = text.charCodeAt(i + 1);
+                if (low >= 0xDC00 && low <= 0xDFFF) { bytes += 4; i++; } else bytes += 3;
+            } else bytes += 3;
+        }
+        return bytes;
     }
 
     static getParagraphs(text) {
         return text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
     }
 
-    static countSyllables(word) {
+    static countSyllables(word, language = 'en') {
         if (!word || word.length === 0) return 0;
 
         word = word.toLowerCase().trim();
+        const key = language === 'en' ? word : `${language}:${word}`;
 
-        if (this.syllableCache.has(word)) return this.syllableCache.get(word);
+        if (this.syllableCache.has(key)) return this.syllableCache.get(key);
 
         let count;
 
         if (/^\d+$/.test(word)) {
             count = word.length;
+        } else if (language !== 'en') {
+            count = Languages.countSyllables(word, language);
         } else if (word.length <= 3) {
             count = 1;
         } else {
@@ -98,260 +291,4223 @@ class TextAnalyzer {
             const firstKey = this.syllableCache.keys().next().value;
             this.syllableCache.delete(firstKey);
         }
-        this.syllableCache.set(word, count);
+        this.syllableCache.set(key, count);
 
         return count;
     }
 
-    static calculateAvgSyllables(words) {
-        if (words.length === 0) return 0;
-        return words.reduce((total, word) => total + this.countSyllables(word), 0) / words.length;
-    }
-
     static calculateFleschScore(avgWords, avgSyllables) {
         if (avgWords === 0 || avgSyllables === 0 || isNaN(avgWords) || isNaN(avgSyllables)) return 0;
         const score = 206.835 - (1.015 * avgWords) - (84.6 * avgSyllables);
         return Math.max(0, Math.min(100, score));
     }
 
+    // ─── READABILITY ───────────────────────────────
 
-    static extractKeywords(words, count = 7, minFrequency = 2) {
-        const stopWords = new Set([
-            'the', 'and', 'to', 'of', 'a', 'in', 'for', 'is', 'on', 'that', 'by', 'this', 'with',
-            'i', 'you', 'it', 'not', 'or', 'be', 'are', 'from', 'at', 'as', 'your', 'all', 'any',
-            'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his',
-            'how', 'man', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'its',
-            'let', 'put', 'say', 'she', 'too', 'use', 'have', 'been', 'other', 'were', 'which',
-            'their', 'what', 'there', 'when', 'will', 'would', 'about', 'into', 'than', 'them',
-            'these', 'some', 'could', 'only', 'may', 'then', 'such', 'an', 'but', 'we', 'he',
-            'me', 'my', 'so', 'up', 'if', 'no', 'do', 'just', 'they', 'very', 'more', 'even',
-            'also', 'well', 'back', 'after', 'should', 'each', 'where', 'those', 'much', 'own',
-            'most', 'through', 'being', 'over', 'here', 'both', 'while', 'under', 'same', 'us'
-        ]);
+    /** The tests shown in the English readability breakdown, in display order. */
+    static READABILITY_TESTS = [
+        { key: 'flesch',        name: 'Flesch Reading Ease',
+          description: 'Scores 0–100 from sentence length and syllables per word. Higher is easier; 60–70 suits most readers.' },
+        { key: 'fleschKincaid', name: 'Flesch–Kincaid Grade',
+          description: 'The same inputs as Reading Ease, expressed as the US school grade needed to follow the text.' },
+        { key: 'gunningFog',    name: 'Gunning Fog',
+          description: 'Years of schooling needed on a first reading, driven by sentence length and words of three or more syllables.' },
+        { key: 'smog',          name: 'SMOG',
+          description: 'Grade level from the number of polysyllabic words. Common for health material; most reliable over 30+ sentences.' },
+        { key: 'colemanLiau',   name: 'Coleman–Liau',
+          description: 'Grade level from letters per word and sentences per 100 words — no syllable counting involved.' },
+        { key: 'ari',           name: 'Automated Readability',
+          description: 'Grade level from characters per word and words per sentence. Tends to rate technical text harder.' },
+        { key: 'daleChall',     name: 'Dale–Chall',
+          description: 'Counts words outside a list of ~3,000 words familiar to fourth-graders. Good at spotting jargon.' },
+    ];
 
-        const wordCount = {};
-        words.forEach(word => {
-            const clean = word.toLowerCase().replace(/[^\w]/g, '').replace(/^\d+$/, '');
-            if (clean.length > 2 && !stopWords.has(clean)) {
-                wordCount[clean] = (wordCount[clean] || 0) + 1;
-            }
-        });
+    /**
+     * Flesch Reading Ease re-fitted for other languages. Same 0–100 scale, so the
+     * English labels apply; each replaces `flesch` for its language.
+     */
+    static LOCALIZED_EASE = {
+        de: { name: 'Amstad Reading Ease',
+              description: 'Flesch Reading Ease re-fitted to German by Amstad. Higher is easier; 60–70 suits most readers.',
+              score: (wps, spw) => 180 - wps - 58.5 * spw },
+        es: { name: 'Fernández Huerta',
+              description: 'Flesch Reading Ease adapted to Spanish. Higher is easier; 60–70 suits most readers.',
+              score: (wps, spw) => 206.84 - 0.60 * (100 * spw) - 1.02 * wps },
+        fr: { name: 'Kandel–Moles',
+              description: 'Flesch Reading Ease adapted to French. Higher is easier; 60–70 suits most readers.',
+              score: (wps, spw) => 207 - 1.015 * wps - 73.6 * spw },
+        nl: { name: 'Douma',
+              description: 'Flesch Reading Ease adapted to Dutch. Higher is easier; 60–70 suits most readers.',
+              score: (wps, spw) => 206.835 - 0.93 * wps - 77 * spw },
+    };
 
-        return Object.entries(wordCount)
-            .filter(([, freq]) => freq >= minFrequency)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, count)
-            .map(([word]) => word);
+    /** The tests calculateReadability() returns for `language`, in display order. */
+    static readabilityTests(language) {
+        if (language === 'en') return this.READABILITY_TESTS;
+        const ease = this.LOCALIZED_EASE[language];
+        if (!ease) return [];
+        const tests = [{ key: 'flesch', name: ease.name, description: ease.description }];
+        if (language === 'es') {
+            tests.push({ key: 'szigriszt', name: 'Szigriszt–Pazos (INFLESZ)',
+                description: 'Perspicuity index for Spanish, read on the INFLESZ scale: 55–65 is normal, above is easier.' });
+        }
+        return tests;
     }
-}
 
-// === TEXT FORMATTING ===
-class TextFormatter {
-    static stripFormatting(text) {
-        if (!text) return '';
+    // Below this many words the grade-level tests have no score — one short word reads as "Graduate"
+    static MIN_GRADE_WORDS = 10;
 
-        if (!text.includes('<')) {
-            return text.replace(/[ \t]+/g, ' ')
-                       .replace(/[ \t]*\n[ \t]*/g, '\n')
-                       .trim();
+    /**
+     * Every readability test for `language` over the summed counts from analyzeParagraph().
+     * Returns { [key]: { score, label } }, or null when there is nothing to score.
+     * Scores on a sentence or two are rough, but still better than nothing; grade levels
+     * need MIN_GRADE_WORDS and have a null score until then.
+     */
+    static calculateReadability(language, c) {
+        if (!c.words || !c.sentences || !c.syllables) return null;
+
+        const wps  = c.words / c.sentences;
+        const spw  = c.syllables / c.words;
+        if (language !== 'en') return this.calculateLocalizedReadability(language, wps, spw);
+
+        const flesch = Math.round(this.calculateFleschScore(wps, spw));
+        const difficult = 100 * c.difficultWords / c.words;
+        const dale = 0.1579 * difficult + 0.0496 * wps + (difficult > 5 ? 3.6365 : 0);
+
+        const grades = {
+            fleschKincaid: 0.39 * wps + 11.8 * spw - 15.59,
+            gunningFog:    0.4 * (wps + 100 * c.complexWords / c.words),
+            smog:          1.043 * Math.sqrt(c.polysyllables * 30 / c.sentences) + 3.1291,
+            colemanLiau:   0.0588 * (100 * c.characters / c.words) - 0.296 * (100 * c.sentences / c.words) - 15.8,
+            ari:           4.71 * (c.characters / c.words) + 0.5 * wps - 21.43,
+        };
+
+        const result = { flesch: { score: flesch, label: this.fleschLabel(flesch) } };
+        if (c.words < this.MIN_GRADE_WORDS) {
+            [...Object.keys(grades), 'daleChall'].forEach(key => { result[key] = { score: null, label: 'Needs more text' }; });
+            return result;
         }
+        Object.entries(grades).forEach(([key, grade]) => {
+            const score = Math.max(0, Math.round(grade * 10) / 10);
+            result[key] = { score, label: this.gradeLabel(score) };
+        });
+        const daleScore = Math.round(dale * 10) / 10;
+        result.daleChall = { score: daleScore, label: this.daleChallLabel(daleScore) };
+        return result;
+    }
 
-        text = text
-            .replace(/<br\s*\/?>/gi, '\n')
-            .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
-            .replace(/<li[^>]*>/gi, '\n• ')
-            .replace(/<\/li>/gi, '')
-            .replace(/<\/div>/gi, '\n')
-            .replace(/<\/h[1-6]>/gi, '\n');
+    static calculateLocalizedReadability(language, wps, spw) {
+        const ease = this.LOCALIZED_EASE[language];
+        if (!ease) return null;
+        const clamp = score => Math.round(Math.max(0, Math.min(100, score)));
 
-        const doc = new DOMParser().parseFromString(text, 'text/html');
+        const flesch = clamp(ease.score(wps, spw));
+        const result = { flesch: { score: flesch, label: this.fleschLabel(flesch) } };
+        if (language === 'es') {
+            const szigriszt = clamp(206.835 - 62.3 * spw - wps);
+            result.szigriszt = { score: szigriszt, label: this.infleszLabel(szigriszt) };
+        }
+        return result;
+    }
 
-        return (doc.body.textContent || doc.body.innerText || '')
-            .replace(/[ \t]+/g, ' ')
-            .replace(/[ \t]*\n[ \t]*/g, '\n')
-            .replace(/\n{4,}/g, '\n\n\n')
-            .trim();
+    static infleszLabel(score) {
+        if (score > 80)  return 'Very easy';
+        if (score > 65)  return 'Fairly easy';
+        if (score >= 55) return 'Standard';
+        if (score >= 40) return 'Fairly difficult';
+        return 'Very difficult';
     }
 
-    /**
-     * Removes duplicate lines, keeping the first occurrence of each line.
-     * Comparison is exact (case-sensitive, whitespace matters).
-     */
-    static removeDuplicateLines(text) {
-        if (!text) return '';
-        const seen = new Set();
-        return text
-            .split('\n')
-            .filter(line => {
-                if (seen.has(line)) return false;
-                seen.add(line);
-                return true;
-            })
-            .join('\n');
+    static fleschLabel(score) {
+        if (score >= 90) return 'Very easy';
+        if (score >= 80) return 'Easy';
+        if (score >= 70) return 'Fairly easy';
+        if (score >= 60) return 'Standard';
+        if (score >= 50) return 'Fairly difficult';
+        if (score >= 30) return 'Difficult';
+        return 'Very difficult';
     }
 
-    // ─── LINE OPERATIONS ─────────────────────────────────────
+    static gradeLabel(grade) {
+        const g = Math.round(grade);
+        if (g < 1)   return 'Kindergarten';
+        if (g <= 12) return `${g}${['st', 'nd', 'rd'][g - 1] || 'th'} grade`;
+        if (g <= 16) return 'College';
+        return 'Graduate';
+    }
 
-    /**
-     * Puts each sentence on its own line.
-     * Paragraph breaks (double newlines) are preserved.
-     * Great for proofreading and reviewing one idea at a time.
-     */
-    static sentencesPerLine(text) {
-        if (!text) return '';
-        return text
-            .split(/\n{2,}/)
-            .map(para =>
-                para
-                    // Break after sentence terminators (. ! ? : ;) followed by space & Capital/Quote
-                    .replace(/([.!?:\;])\s+(?=[A-Z"'\u2018\u201C])/g, '$1\n')
-                    // Break BEFORE inline list items (-, •, *, 1.)
-                    .replace(/\s+([-•*]|\d+\.)\s+/g, '\n$1 ')
-                    .trim()
-            )
-            .join('\n\n');
+    static daleChallLabel(score) {
+        if (score < 5)  return '4th grade or below';
+        if (score < 6)  return '5th–6th grade';
+        if (score < 7)  return '7th–8th grade';
+        if (score < 8)  return '9th–10th grade';
+        if (score < 9)  return '11th–12th grade';
+        if (score < 10) return 'College';
+        return 'Graduate';
+    }
+
+    /** A word with surrounding punctuation removed and curly apostrophes straightened. */
+    static bareWord(word) {
+        return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').replace(/’/g, "'");
     }
 
     /**
-     * Joins hard-wrapped lines into natural paragraphs.
-     * Single newlines become spaces; double newlines are preserved.
-     * Fixes copy-paste from PDFs and ebooks.
+     * Gunning Fog's "complex word": three or more syllables, but not a proper noun,
+     * a hyphenated compound, or a word that only reaches three syllables through -es/-ed/-ing.
      */
-    static joinLines(text) {
-        if (!text) return '';
-        return text
-            .split(/\n{2,}/)
-            .map(para =>
-                para
-                    .split('\n')
-                    .map(l => l.trim())
-                    .filter(Boolean)
-                    .join(' ')
-            )
-            .join('\n\n');
+    static isComplexWord(word, sentenceStart) {
+        if (!word || word.includes('-')) return false;
+        if (!sentenceStart && /^\p{Lu}/u.test(word)) return false;
+        if (/ing$/i.test(word) && this.countSyllables(word.slice(0, -3)) < 3) return false;
+        return this.countSyllables(word) >= 3;
+    }
+
+    static familiarWords = null;
+
+    static getFamiliarWords() {
+        if (!this.familiarWords) {
+            const list = typeof DALE_CHALL_WORDS !== 'undefined' ? DALE_CHALL_WORDS
+                : typeof require === 'function' ? require('./dale-chall-words.js') : '';
+            this.familiarWords = new Set(list.toLowerCase().split(/\s+/).filter(Boolean));
+        }
+        return this.familiarWords;
     }
 
     /**
-     * Trims leading and trailing whitespace from every line.
+     * Whether Dale–Chall counts `word` as familiar. Numbers are, and so are regular
+     * plurals, possessives, -ed/-ing forms, comparatives and -ly adverbs of listed words.
      */
-    static trimLines(text) {
-        if (!text) return '';
-        return text
-            .split('\n')
-            .map(line => line.trim())
-            .join('\n')
-            .trim();
+    static isFamiliarWord(word) {
+        const familiar = this.getFamiliarWords();
+        const w = word.toLowerCase().replace(/'s?$/, '');
+        if (!w || /^\d/.test(w) || familiar.has(w)) return true;
+
+        const stems = [];
+        const strip = (suffix, ...endings) => {
+            if (w.length > suffix.length + 1 && w.endsWith(suffix)) {
+                const base = w.slice(0, -suffix.length);
+                endings.forEach(end => stems.push(base + end));
+                // stopped → stop, bigger → big
+                if (/([b-df-hj-np-tv-z])\1$/.test(base)) stems.push(base.slice(0, -1));
+            }
+        };
+        strip('ies', 'y');
+        strip('ied', 'y');
+        strip('ier', 'y');
+        strip('iest', 'y');
+        strip('ily', 'y');
+        strip('es', '');
+        strip('s', '');
+        strip('ed', '', 'e');
+        strip('ing', '', 'e');
+        strip('er', '', 'e');
+        strip('est', '', 'e');
+        strip('ly', '', 'le');
+        return stems.some(stem => familiar.has(stem));
+    }
+
+
+    static STOP_WORDS = new Set([
+        'the', 'and', 'to', 'of', 'a', 'in', 'for', 'is', 'on', 'that', 'by', 'this', 'with',
+        'i', 'you', 'it', 'not', 'or', 'be', 'are', 'from', 'at', 'as', 'your', 'all', 'any',
+        'can', 'had', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his',
+        'how', 'man', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'its',
+        'let', 'put', 'say', 'she', 'too', 'use', 'have', 'been', 'other', 'were', 'which',
+        'their', 'what', 'there', 'when', 'will', 'would', 'about', 'into', 'than', 'them',
+        'these', 'some', 'could', 'only', 'may', 'then', 'such', 'an', 'but', 'we', 'he',
+        'me', 'my', 'so', 'up', 'if', 'no', 'do', 'just', 'they', 'very', 'more', 'even',
+        'also', 'well', 'back', 'after', 'should', 'each', 'where', 'those', 'much', 'own',
+        'most', 'through', 'being', 'over', 'here', 'both', 'while', 'under', 'same', 'us'
+    ]);
+}
+
+// === LANGUAGES ===
+/**
+ * Offline language detection plus the per-language data the analyzer needs:
+ * stopwords and syllable rules. Non-Latin scripts are recognised by script alone;
+ * Latin-script text is scored against character-trigram profiles (naive Bayes)
+ * built from the short samples below.
+ */
+class Languages {
+    static SCRIPTS = [
+        { code: 'ja', regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+        { code: 'ko', regex: /\p{Script=Hangul}/gu },
+        { code: 'zh', regex: /\p{Script=Han}/gu },
+        { code: 'th', regex: /\p{Script=Thai}/gu },
+        { code: 'ru', regex: /\p{Script=Cyrillic}/gu },
+        { code: 'ar', regex: /\p{Script=Arabic}/gu },
+        { code: 'he', regex: /\p{Script=Hebrew}/gu },
+        { code: 'hi', regex: /\p{Script=Devanagari}/gu },
+    ];
+
+    static SAMPLES = {
+        en: `All human beings are born free and equal in dignity and rights. They are endowed with reason and
+            conscience and should act towards one another in a spirit of brotherhood. Everyone has the right to
+            life, liberty and security of person. The weather was nice this morning, so we walked to the park and
+            talked about what we would do with the rest of the week. It is not always easy to know which of these
+            things will matter, but it helps to write them down and think about them with other people.`,
+        de: `Alle Menschen sind frei und gleich an Würde und Rechten geboren. Sie sind mit Vernunft und Gewissen
+            begabt und sollen einander im Geist der Brüderlichkeit begegnen. Jeder hat das Recht auf Leben, Freiheit
+            und Sicherheit der Person. Heute Morgen war das Wetter schön, deshalb sind wir zum Park gegangen und haben
+            darüber gesprochen, was wir in dieser Woche noch machen wollen. Es ist nicht immer einfach zu wissen,
+            welche Dinge wichtig werden, aber es hilft, sie aufzuschreiben und mit anderen darüber nachzudenken.`,
+        es: `Todos los seres humanos nacen libres e iguales en dignidad y derechos y, dotados como están de razón y
+            conciencia, deben comportarse fraternalmente los unos con los otros. Todo individuo tiene derecho a la
+            vida, a la libertad y a la seguridad de su persona. Esta mañana hacía buen tiempo, así que fuimos al
+            parque y hablamos de lo que queríamos hacer durante el resto de la semana. No siempre es fácil saber
+            cuáles de estas cosas serán importantes, pero ayuda escribirlas y pensar en ellas con otras personas.
+            La educación tendrá por objeto el pleno desarrollo de la personalidad humana y la protección de sus valores.`,
+        fr: `Tous les êtres humains naissent libres et égaux en dignité et en droits. Ils sont doués de raison et de
+            conscience et doivent agir les uns envers les autres dans un esprit de fraternité. Tout individu a droit
+            à la vie, à la liberté et à la sûreté de sa personne. Ce matin il faisait beau, alors nous sommes allés
+            au parc et nous avons parlé de ce que nous voulions faire pendant le reste de la semaine. Il n'est pas
+            toujours facile de savoir quelles choses seront importantes, mais il est utile de les écrire.`,
+        nl: `Alle mensen worden vrij en gelijk in waardigheid en rechten geboren. Zij zijn begiftigd met verstand en
+            geweten, en behoren zich jegens elkander in een geest van broederschap te gedragen. Een ieder heeft het
+            recht op leven, vrijheid en onschendbaarheid van zijn persoon. Vanochtend was het mooi weer, dus wij zijn
+            naar het park gelopen en hebben gepraat over wat we de rest van de week willen doen. Het is niet altijd
+            makkelijk om te weten welke dingen belangrijk worden, maar het helpt om ze op te schrijven.`,
+        it: `Tutti gli esseri umani nascono liberi ed eguali in dignità e diritti. Essi sono dotati di ragione e di
+            coscienza e devono agire gli uni verso gli altri in spirito di fratellanza. Ogni individuo ha diritto
+            alla vita, alla libertà ed alla sicurezza della propria persona. Stamattina il tempo era bello, quindi
+            siamo andati al parco e abbiamo parlato di quello che volevamo fare per il resto della settimana. Non è
+            sempre facile sapere quali di queste cose saranno importanti, ma aiuta scriverle e pensarci con gli altri.`,
+        pt: `Todos os seres humanos nascem livres e iguais em dignidade e em direitos. Dotados de razão e de
+            consciência, devem agir uns para com os outros em espírito de fraternidade. Todo o indivíduo tem direito
+            à vida, à liberdade e à segurança pessoal. Hoje de manhã o tempo estava bom, então fomos ao parque e
+            conversamos sobre o que queríamos fazer no resto da semana. Nem sempre é fácil saber quais dessas coisas
+            vão ser importantes, mas ajuda escrevê-las e pensar nelas com outras pessoas.`,
+    };
+
+    static STOP_WORDS = {
+        de: `aber alle allem allen aller alles als also am an ander andere anderen auch auf aus bei beim bin bis
+            bist da damit dann das dass dein deine dem den denn der des dich die dies diese diesem diesen dieser
+            dieses dir doch dort du durch ein eine einem einen einer eines er es etwas euch euer eure für gegen
+            gewesen hab habe haben hat hatte hatten hier hin hinter ich ihm ihn ihnen ihr ihre im in ins ist ja
+            jede jedem jeden jeder jedes jetzt kann kein keine können könnte man manche mein meine mich mir mit
+            muss musste nach nicht nichts noch nun nur ob oder ohne schon sehr sein seine sich sie sind so solche
+            soll sollte sondern sonst über um und uns unser unter viel vom von vor war waren warum was weil welche
+            wenn wer werde werden wie wieder will wir wird wo wollen worden wurde würde zu zum zur zwar zwischen`,
+        es: `a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e el ella
+            ellas ellos en entre era erais eran eras eres es esa esas ese eso esos esta estaba estado estamos
+            están estar estas este esto estos estoy fue fueron fui ha había habían han has hasta hay la las le les
+            lo los me mi mis mucho muchos muy más nada ni no nos nosotros o os otra otras otro otros para pero
+            poco por porque que quien quienes qué se sea ser si sido sin sobre sois somos son soy su sus también
+            tanto te tenemos tener tengo ti tiene tienen todo todos tu tus un una unas uno unos vosotros y ya yo`,
+        fr: `à au aucun aussi autre aux avec avoir ce ceci cela celle celles celui ces cet cette chaque comme comment
+            dans de des donc dont du elle elles en encore entre est et été être eu eux fait faire il ils je la le
+            les leur leurs lui ma mais me même mes moi mon ne nos notre nous on ont ou où par parce pas peu peut
+            plus pour pourquoi quand que quel quelle quelles quels qui sa sans se ses si son sont sous sur ta te
+            tes toi ton tous tout toute toutes très tu un une vos votre vous y ça était étaient avait avaient`,
+        nl: `aan al alle alles als altijd ander andere ben bij daar dan dat de der deze die dit doch doen door dus
+            een eens en er ge geen geweest haar had heb hebben heeft hem het hier hij hoe hun iemand iets ik in is
+            ja je jij kan kon kunnen maar me meer men met mij mijn moet na naar niet niets nog nu of om omdat ons
+            ook op over reeds te tegen toch toen tot u uit uw van veel voor want waren was wat we wel werd wezen
+            wie wij wil worden wordt zal ze zelf zich zij zijn zo zonder zou`,
+        it: `a ad al alla alle allo agli ai anche avere aveva avevano che chi ci come con contro cui da dal dalla
+            dalle dei del della delle dello degli di dove e ed è era erano essere fa fare gli ha hanno i il in io
+            la le lei lo loro lui ma mi mia mio molto ne negli nei nel nella nelle no noi non nostro o per perché
+            più poi quale quando quella quelle quello questa queste questo qui se sei si sia siamo sono stato su
+            sua sue suo sul sulla ti tra tu tutti tutto un una uno voi vostro già ancora così sempre solo`,
+        pt: `a ao aos as até com como da das de dela dele deles depois do dos e ela elas ele eles em entre era eram
+            essa essas esse esses esta estas este estes eu foi for foram há isso isto já lhe lhes mais mas me
+            mesmo meu minha muito na nas nem no nos nós nossa nosso num numa o os ou para pela pelas pelo pelos
+            por quando que quem se seja sem ser seu seus sua suas são também te tem têm tinha um uma umas uns
+            você vocês à às é está estão estava`,
+    };
+
+    // Detection needs this many trigrams before it trusts the result
+    static MIN_TRIGRAMS = 12;
+    static STOP_WORD_WEIGHT = 4;
+
+    static profiles = null;
+    static stopWordSets = new Map();
+
+    /** 'de-AT' → 'de'. */
+    static base(code) {
+        return code ? String(code).toLowerCase().split(/[-_]/)[0] : '';
+    }
+
+    /** Languages with syllable rules, and therefore a readability formula. */
+    static hasSyllableRules(code) {
+        return ['en', 'de', 'es', 'fr', 'nl'].includes(this.base(code));
+    }
+
+    static stopWords(code) {
+        const lang = this.base(code) || 'en';
+        if (lang === 'en') return TextAnalyzer.STOP_WORDS;
+        if (!this.stopWordSets.has(lang)) {
+            const list = this.STOP_WORDS[lang];
+            this.stopWordSets.set(lang, new Set(list ? list.trim().split(/\s+/) : []));
+        }
+        return this.stopWordSets.get(lang);
+    }
+
+    static trigrams(text) {
+        const counts = new Map();
+        const words  = text.toLowerCase().match(/\p{L}+/gu) || [];
+        words.forEach(word => {
+            const padded = ` ${word} `;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                const gram = padded.slice(i, i + 3);
+                counts.set(gram, (counts.get(gram) || 0) + 1);
+            }
+        });
+        return counts;
+    }
+
+    static getProfiles() {
+        if (!this.profiles) {
+            this.profiles = Object.entries(this.SAMPLES).map(([code, sample]) => {
+                const counts = this.trigrams(`${sample} ${this.STOP_WORDS[code] || [...TextAnalyzer.STOP_WORDS].join(' ')}`);
+                let total = 0;
+                counts.forEach(n => { total += n; });
+                return { code, counts, total };
+            });
+        }
+        return this.profiles;
     }
 
     /**
-     * Sorts all lines alphabetically (A → Z), case-insensitive.
-     * Preserves blank lines at their relative position relative to content.
+     * Best-guess language code for `text`, or null when there is too little to tell.
+     * Long texts are sampled at a few points rather than scanned whole.
      */
-    static sortLinesAZ(text) {
-        if (!text) return '';
-        return text
-            .split('\n')
-            .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
-            .join('\n');
+    static detect(text) {
+        if (!text || !text.trim()) return null;
+        const SAMPLE = 1000, PIECES = 6;
+        const sample = text.length <= SAMPLE * PIECES ? text
+            : Array.from({ length: PIECES }, (_, i) => {
+                const at = Math.floor((text.length - SAMPLE) * i / (PIECES - 1));
+                return text.slice(at, at + SAMPLE);
+            }).join(' ');
+
+        const latin = (sample.match(/\p{Script=Latin}/gu) || []).length;
+        let best = { code: null, count: 0 };
+        for (const { code, regex } of this.SCRIPTS) {
+            const count = (sample.match(regex) || []).length;
+            if (count > best.count) best = { code, count };
+        }
+        // Kanji-heavy Japanese still has some kana; Chinese has none
+        if (best.code === 'zh' && (sample.match(this.SCRIPTS[0].regex) || []).length > best.count * 0.05) best.code = 'ja';
+        if (best.count > latin) return best.code;
+
+        const grams = this.trigrams(sample);
+        let seen = 0;
+        grams.forEach(n => { seen += n; });
+        if (seen < this.MIN_TRIGRAMS) return null;
+
+        // Function words are the strongest signal in short texts; weigh each like a few trigrams
+        const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+        let winner = null, top = -Infinity;
+        for (const { code, counts, total } of this.getProfiles()) {
+            const denominator = Math.log(total + counts.size + 1);
+            const stopWords   = this.stopWords(code);
+            let score = 0;
+            grams.forEach((n, gram) => { score += n * (Math.log((counts.get(gram) || 0) + 1) - denominator); });
+            words.forEach(word => { if (stopWords.has(word)) score += this.STOP_WORD_WEIGHT; });
+            if (score > top) { top = score; winner = code; }
+        }
+        return winner;
     }
 
+    // ─── SYLLABLES ─────────────────────────────────
+
     /**
-     * Removes all blank (empty or whitespace-only) lines from the text.
+     * Syllables in a lower-case word for German, Spanish, French or Dutch: vowel groups,
+     * with each language's diphthongs, hiatuses and silent endings.
      */
-    static removeBlankLines(text) {
-        if (!text) return '';
-        return text
-            .split('\n')
-            .filter(line => line.trim().length > 0)
-            .join('\n');
-    }
-}
+    static countSyllables(word, code) {
+        let w = word.replace(/[^\p{L}]/gu, '');
+        if (!w) return 0;
+        const groups = (vowels) => w.match(new RegExp(`[${vowels}]+`, 'g')) || [];
 
-// === CASE CONVERSION ===
-class CaseConverter {
-    static convert(text, caseType) {
-        if (!text) return '';
+        switch (this.base(code)) {
+            case 'de':
+                return Math.max(1, groups('aeiouyäöü').length);
+
+            case 'es': {
+                // "que", "gui": the u is silent; a final y is a vowel ("hoy")
+                w = w.replace(/([qg])u(?=[eiéí])/g, '$1').replace(/y$/, 'i');
+                const strong = /[aeoáéóíú]/;
+                return Math.max(1, groups('aeiouáéíóúü').reduce((sum, group) => {
+                    let count = 1;
+                    for (let i = 1; i < group.length; i++) {
+                        // Two strong vowels, or an accented í/ú, split into separate syllables
+                        if (strong.test(group[i - 1]) && strong.test(group[i])) count++;
+                    }
+                    return sum + count;
+                }, 0));
+            }
+
+            case 'fr': {
+                // Final -e/-es is silent after a consonant ("table", "tables"), except in short words ("le")
+                if (w.length > 3) w = w.replace(/([^aeiouyàâéèêëîïôûùüÿæœ])es?$/, '$1');
+                const count = groups('aeiouyàâéèêëîïôûùüÿæœ')
+                    .reduce((sum, group) => sum + 1 + (group.slice(1).match(/[ëïü]/g) || []).length, 0);
+                return Math.max(1, count);
+            }
+
+            case 'nl': {
+                w = w.replace(/ij/g, 'y');
+                const count = groups('aeiouyéèëïöü')
+                    .reduce((sum, group) => sum + 1 + (group.slice(1).match(/[ëïéöü]/g) || []).length, 0);
+                return Math.max(1, count);
+            }
 
-        switch (caseType) {
-            case 'upper':
-                return text.toUpperCase();
-            case 'lower':
-                return text.toLowerCase();
-            case 'title':
-                return text.replace(/\w\S*/g, txt =>
-                    txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase()
-                );
-            case 'sentence':
-                return text.toLowerCase().replace(/(^|[.!?]\s+)([a-z])/g, (_, p1, p2) =>
-                    p1 + p2.toUpperCase()
-                );
             default:
-                return text;
+                return TextAnalyzer.countSyllables(w);
         }
     }
 }
 
-// === FORMATTING EXTRACTION ===
-class FormattingExtractor {
-    static extractFormatting(html) {
-        if (!html || !html.includes('<')) return null;
+// === WRITING ISSUES ===
+/**
+ * Finds the spans a Hemingway-style editor would flag: hard and very hard sentences
+ * (Flesch–Kincaid grade from TextAnalyzer's syllable counts), passive voice, -ly adverbs,
+ * weakening qualifiers and complex words with simpler alternatives.
+ * Results are plain { type, start, end, suggestion? } offsets into the text.
+ */
+class WritingIssues {
+    static TYPES = [
+        { key: 'veryHard',  label: 'Very hard sentences',
+          description: 'Long sentences at college grade level or above. Split them or cut words.' },
+        { key: 'hard',      label: 'Hard sentences',
+          description: 'Long sentences at 10th grade level or above. Shorten them or simplify.' },
+        { key: 'passive',   label: 'Passive voice',
+          description: '"Was written by" hides who acts. Prefer the active voice.' },
+        { key: 'adverb',    label: 'Adverbs',
+          description: '-ly adverbs often prop up a weak verb. Try a stronger one.' },
+        { key: 'qualifier', label: 'Qualifiers',
+          description: 'Hedges such as "I think" or "kind of" weaken a point. Be direct.' },
+        { key: 'complex',   label: 'Complex words',
+          description: 'Words with a shorter, plainer alternative.' },
+    ];
 
-        try {
-            const doc = new DOMParser().parseFromString(html, 'text/html');
+    // Sentences shorter than this are never hard, however long their words
+    static MIN_HARD_WORDS = 14;
+    static HARD_GRADE      = 10;
+    static VERY_HARD_GRADE = 14;
 
-            const formatting = {
-                fonts: new Set(), sizes: new Set(), weights: new Set(),
-                colors: new Set(), styles: new Set(), elements: new Set()
-            };
+    static IRREGULAR_PARTICIPLES = [
+        'awoken', 'been', 'born', 'beaten', 'become', 'begun', 'bent', 'bet', 'bitten', 'bled', 'blown', 'broken',
+        'brought', 'built', 'burnt', 'bought', 'caught', 'chosen', 'come', 'cut', 'dealt', 'done', 'drawn', 'driven',
+        'eaten', 'fallen', 'fed', 'felt', 'fought', 'found', 'forbidden', 'forgotten', 'forgiven', 'frozen', 'given',
+        'gone', 'grown', 'hung', 'heard', 'hidden', 'hit', 'held', 'hurt', 'kept', 'known', 'laid', 'led', 'left',
+        'lent', 'let', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'quit', 'read', 'ridden', 'rung', 'risen', 'run',
+        'said', 'seen', 'sought', 'sold', 'sent', 'set', 'shaken', 'shot', 'shown', 'shut', 'sung', 'sunk', 'slain',
+        'spoken', 'spent', 'spun', 'split', 'spread', 'stolen', 'struck', 'sworn', 'swept', 'taken', 'taught', 'torn',
+        'told', 'thought', 'thrown', 'understood', 'woken', 'worn', 'won', 'withdrawn', 'written',
+    ];
 
-            doc.body.querySelectorAll('*').forEach(el => {
-                formatting.elements.add(el.tagName.toLowerCase());
-                if (el.style.fontFamily) formatting.fonts.add(el.style.fontFamily.replace(/['"]/g, ''));
-                if (el.style.fontSize)   formatting.sizes.add(el.style.fontSize);
-                if (el.style.fontWeight) formatting.weights.add(el.style.fontWeight);
-                if (el.style.color)      formatting.colors.add(el.style.color);
+    // -ly words that are not adverbs (or are too common to be worth flagging)
+    static NOT_ADVERBS = new Set([
+        'only', 'family', 'reply', 'early', 'apply', 'supply', 'imply', 'comply', 'rely', 'ally', 'belly', 'bully',
+        'fly', 'holy', 'ugly', 'july', 'italy', 'lily', 'jelly', 'rally', 'folly', 'daily', 'weekly', 'monthly',
+        'yearly', 'hourly', 'friendly', 'lovely', 'lonely', 'lively', 'likely', 'unlikely', 'silly', 'oily', 'curly',
+        'elderly', 'costly', 'deadly', 'orderly', 'assembly', 'anomaly', 'butterfly', 'melancholy', 'monopoly',
+        'homily', 'doily', 'tally', 'sully', 'gully', 'dolly', 'molly', 'wily', 'surly', 'burly', 'chilly', 'hilly',
+        'bubbly', 'wobbly', 'smelly', 'jolly', 'scaly', 'manly', 'womanly', 'kindly', 'multiply', 'emily',
+    ]);
 
-                const tag = el.tagName.toLowerCase();
-                if (['b', 'strong'].includes(tag))  formatting.styles.add('Bold');
-                if (['i', 'em'].includes(tag))       formatting.styles.add('Italic');
-                if (tag === 'u')                      formatting.styles.add('Underline');
-                if (tag === 'strike' || tag === 's') formatting.styles.add('Strikethrough');
-                if (/^h[1-6]$/.test(tag))            formatting.styles.add('Heading');
+    static QUALIFIERS = [
+        'i think', 'i believe', 'i feel', 'i guess', 'i suppose', 'in my opinion', 'it seems', 'seems to',
+        'kind of', 'sort of', 'a bit', 'a little', 'somewhat', 'perhaps', 'maybe', 'probably', 'possibly',
+        'really', 'very', 'quite', 'rather', 'fairly', 'pretty much', 'basically', 'actually', 'just',
+        'literally', 'more or less', 'to some extent', 'arguably',
+    ];
 
-                if (el.hasAttribute('face'))  formatting.fonts.add(el.getAttribute('face'));
-                if (el.hasAttribute('size'))  formatting.sizes.add(el.getAttribute('size'));
-                if (el.hasAttribute('color')) formatting.colors.add(el.getAttribute('color'));
-            });
+    static SIMPLER_WORDS = {
+        'accompany': 'go with', 'accomplish': 'do', 'accordingly': 'so', 'acquire': 'get', 'additional': 'more',
+        'adjacent to': 'next to', 'advantageous': 'helpful', 'aggregate': 'total', 'alleviate': 'ease',
+        'approximately': 'about', 'ascertain': 'find out', 'assistance': 'help', 'at this point in time': 'now',
+        'attempt': 'try', 'commence': 'start', 'component': 'part', 'consequently': 'so', 'demonstrate': 'show',
+        'due to the fact that': 'because', 'endeavor': 'try', 'equivalent': 'equal', 'expedite': 'speed up',
+        'facilitate': 'help', 'finalize': 'finish', 'for the purpose of': 'to', 'frequently': 'often',
+        'furthermore': 'also', 'implement': 'carry out', 'in order to': 'to', 'in the event that': 'if',
+        'indicate': 'show', 'initiate': 'start', 'magnitude': 'size', 'methodology': 'method', 'modify': 'change',
+        'nevertheless': 'still', 'numerous': 'many', 'objective': 'aim', 'obtain': 'get', 'optimum': 'best',
+        'participate': 'take part', 'perceive': 'see', 'prior to': 'before', 'purchase': 'buy',
+        'regarding': 'about', 'remainder': 'rest', 'require': 'need', 'subsequently': 'later',
+        'sufficient': 'enough', 'terminate': 'end', 'transmit': 'send', 'utilize': 'use', 'utilization': 'use',
+        'whereas': 'but', 'with regard to': 'about', 'with respect to': 'about',
+    };
 
-            return {
-                fonts:    Array.from(formatting.fonts).filter(Boolean).slice(0, 5),
-                sizes:    Array.from(formatting.sizes).filter(Boolean).slice(0, 5),
-                weights:  Array.from(formatting.weights).filter(w => w && w !== '400').slice(0, 5),
-                colors:   Array.from(formatting.colors).filter(Boolean).slice(0, 8),
-                styles:   Array.from(formatting.styles).filter(Boolean),
-                elements: Array.from(formatting.elements)
-                              .filter(e => !['div', 'span', 'font'].includes(e)).slice(0, 8),
-                hasFormatting: formatting.fonts.size > 0 || formatting.sizes.size > 0 ||
-                               formatting.styles.size > 0 || formatting.colors.size > 0
+    static compiled = null;
+
+    static patterns() {
+        if (!this.compiled) {
+            const alternation = list => list.map(w => w.replace(/ /g, '\\s+')).join('|');
+            this.compiled = {
+                sentence:  /[^\s.!?][^.!?\n]*(?:[.!?]+["'”’)\]]*)?/g,
+                word:      /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu,
+                passive:   new RegExp(`\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?` +
+                                      `(?:\\w+ed|${alternation(this.IRREGULAR_PARTICIPLES)})\\b`, 'gi'),
+                adverb:    /(?<![\p{L}'’])\p{L}+ly(?![\p{L}])/gu,
+                qualifier: new RegExp(`\\b(?:${alternation(this.QUALIFIERS)})\\b`, 'gi'),
+                complex:   new RegExp(`\\b(?:${alternation(Object.keys(this.SIMPLER_WORDS))})\\b`, 'gi'),
             };
-        } catch (err) {
-            console.error('Error extracting formatting:', err);
-            return null;
         }
+        return this.compiled;
     }
 
-    static formatForDisplay(formatting) {
+    /** Every issue in `text`, ordered by start offset. */
+    static find(text) {
+        if (!text || !text.trim()) return [];
+        const p = this.patterns();
+        const issues = [];
+
+        for (const m of text.matchAll(p.sentence)) {
+            const type = this.sentenceType(m[0]);
+            if (type) issues.push({ type, start: m.index, end: m.index + m[0].trimEnd().length });
+        }
+
+        const collect = (type, regex, extra) => {
+            for (const m of text.matchAll(regex)) {
+                issues.push({ type, start: m.index, end: m.index + m[0].length, ...extra?.(m[0]) });
+            }
+        };
+        collect('passive', p.passive);
+        collect('qualifier', p.qualifier);
+        collect('complex', p.complex, word => ({
+            suggestion: this.SIMPLER_WORDS[word.toLowerCase().replace(/\s+/g, ' ')]
+        }));
+
+        // "really" and friends are qualifiers first; don't flag them twice
+        const qualifiers = issues.filter(i => i.type === 'qualifier');
+        for (const m of text.matchAll(p.adverb)) {
+            const start = m.index, end = start + m[0].length;
+            if (this.NOT_ADVERBS.has(m[0].toLowerCase())) continue;
+            if (qualifiers.some(q => q.start < end && start < q.end)) continue;
+            issues.push({ type: 'adverb', start, end });
+        }
+
+        return issues.sort((a, b) => a.start - b.start || b.end - a.end);
+    }
+
+    /** 'veryHard', 'hard' or null for one sentence. */
+    static sentenceType(sentence) {
+        const words = sentence.match(this.patterns().word);
+        if (!words || words.length < this.MIN_HARD_WORDS) return null;
+        const syllables = words.reduce((sum, w) => sum + TextAnalyzer.countSyllables(w), 0);
+        const grade = 0.39 * words.length + 11.8 * syllables / words.length - 15.59;
+        if (grade >= this.VERY_HARD_GRADE) return 'veryHard';
+        if (grade >= this.HARD_GRADE) return 'hard';
+        return null;
+    }
+
+    /** Issue counts by type, for every type in TYPES. */
+    static count(issues) {
+        const counts = Object.fromEntries(this.TYPES.map(t => [t.key, 0]));
+        issues.forEach(i => counts[i.type]++);
+        return counts;
+    }
+
+    /**
+     * Moves issues found in `before` onto `after` so highlights stay put between full
+     * scans: spans after the edit shift by its length, spans it touched are dropped.
+     */
+    static shift(issues, before, after) {
+        if (before === after) return issues;
+        let prefix = 0;
+        const max = Math.min(before.length, after.length);
+        while (prefix < max && before.charCodeAt(prefix) === after.charCodeAt(prefix)) prefix++;
+        let suffix = 0;
+        while (suffix < max - prefix &&
+               before.charCodeAt(before.length - 1 - suffix) === after.charCodeAt(after.length - 1 - suffix)) suffix++;
+
+        const editEnd = before.length - suffix;
+        const delta   = after.length - before.length;
+        return issues.flatMap(i => {
+            if (i.end <= prefix)    return [i];
+            if (i.start >= editEnd) return [{ ...i, start: i.start + delta, end: i.end + delta }];
+            return [];
+        });
+    }
+}
+
+// === KEYWORDS ===
+/**
+ * Keyword and phrase frequencies for the Top Keywords list and the frequency table.
+ * Words are grouped by a light stemmer ("run", "runs", "running" → run), and
+ * 2- and 3-word phrases are counted within clauses, never across punctuation.
+ * Like the other stats, counts are made per paragraph and merged by analyze().
+ */
+class KeywordAnalyzer {
+    static PHRASE_SIZES = [1, 2, 3];
+
+    // Punctuation between two words that ends a phrase
+    static CLAUSE_BREAK = /[.!?;:,()[\]{}"“”«»—–…。！？、，；：\n]/;
+
+    // Plural and inflection endings stripped for the other languages with stopword lists
+    static SUFFIXES = {
+        de: ['ungen', 'en', 'er', 'es', 'e', 'n', 's'],
+        es: ['es', 's'],
+        fr: ['es', 'x', 's'],
+        nl: ['en', 's'],
+    };
+
+    // Scripts written without spaces between words, which need Intl.Segmenter
+    static UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+    // Letters a match must not run into (BMP ranges, so no u flag is needed)
+    static WORD_CHARS = '\\w\\u00C0-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF';
+
+    static stemCache = new Map();
+
+    /**
+     * Word-like tokens with their offsets; hyphenated compounds stay one token, as in getWords().
+     * Spaced scripts are split with a regex, which is several times faster than the segmenter.
+     */
+    static tokenize(text, locale) {
+        const segmenter = this.UNSPACED.test(text) && TextAnalyzer.segmenter(locale, 'word');
+        const tokens = [];
+        if (!segmenter) {
+            for (const m of text.matchAll(/[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*/gu)) {
+                tokens.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+            }
+            return tokens;
+        }
+
+        let hyphen = false;
+        for (const { segment, index, isWordLike } of segmenter.segment(text)) {
+            const last = tokens[tokens.length - 1];
+            if (isWordLike) {
+                if (hyphen) {
+                    last.word += text.slice(last.end, index) + segment;
+                    last.end = index + segment.length;
+                } else {
+                    tokens.push({ word: segment, start: index, end: index + segment.length });
+                }
+                hyphen = false;
+            } else {
+                hyphen = !!last && last.end === index && /^[-\u2010\u2011]$/.test(segment);
+            }
+        }
+        return tokens;
+    }
+
+    /** Light stemmer: English plurals, -ing and -ed; plural endings elsewhere. */
+    static stem(word, language = 'en') {
+        const key = `${language}:${word}`;
+        if (this.stemCache.has(key)) return this.stemCache.get(key);
+
+        let stem = word;
+        if (language === 'en') {
+            stem = this.stemEnglish(word);
+        } else if (this.SUFFIXES[language]) {
+            const suffix = this.SUFFIXES[language].find(s => word.endsWith(s) && word.length - s.length >= 3);
+            if (suffix) stem = word.slice(0, -suffix.length);
+        }
+
+        if (this.stemCache.size > 20_000) this.stemCache.clear();
+        this.stemCache.set(key, stem);
+        return stem;
+    }
+
+    static stemEnglish(word) {
+        if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+        let w = word;
+
+        if (w.endsWith('sses'))                         w = w.slice(0, -2);
+        else if (/[^aeiou]ies$/.test(w) && w.length > 4) w = w.slice(0, -3) + 'y';
+        else if (/(?:x|ch|sh|z)es$/.test(w))            w = w.slice(0, -2);
+        else if (/[^siu]s$/.test(w))                    w = w.slice(0, -1);
+
+        const m = !w.endsWith('eed') && w.match(/^(.*[aeiouy].*?)(?:ing|ed)$/);
+        if (m && m[1].length >= 2) {
+            w = m[1];
+            if (/(?:at|bl|iz)$/.test(w))                   w += 'e';        // related → relate
+            else if (/([^aeiouylsz])\1$/.test(w))          w = w.slice(0, -1);   // running → run
+            else if (/^[^aeiou]*[aeiou][^aeiouwxy]$/.test(w)) w += 'e';      // making → make
+        }
+        return w;
+    }
+
+    /** Whether a token can be (or start/end) a keyword. */
+    static isTerm(clean, stopWords) {
+        if (!clean || /^\d+$/.test(clean) || stopWords.has(clean)) return false;
+        // Words in unspaced scripts are often two characters long
+        const min = this.UNSPACED.test(clean) ? 2 : 3;
+        return clean.length >= min;
+    }
+
+    /**
+     * Per-paragraph counts: { 1: Map, 2: Map, 3: Map } of stem key →
+     * { count, first, forms: Map(form → count) }. `first` is an offset into the paragraph.
+     */
+    static countTerms(paragraph, language, stopWords, locale) {
+        const tokens = this.tokenize(paragraph, locale);
+        const terms  = { 1: new Map(), 2: new Map(), 3: new Map() };
+
+        let clause = [];
+        const add = (n, key, form, start) => {
+            const entry = terms[n].get(key);
+            if (entry) {
+                entry.count++;
+                entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+            } else {
+                terms[n].set(key, { count: 1, first: start, forms: new Map([[form, 1]]) });
+            }
+        };
+
+        tokens.forEach((token, i) => {
+            if (i > 0 && this.CLAUSE_BREAK.test(paragraph.slice(tokens[i - 1].end, token.start))) clause = [];
+
+            const lower = token.word.toLowerCase();
+            const clean = lower.replace(/[^\p{L}\p{N}_]/gu, '');
+            const term  = this.isTerm(clean, stopWords) && !stopWords.has(lower);
+            clause.push({ ...token, lower, term, key: term ? this.stem(clean, language) : lower });
+            if (clause.length > 3) clause.shift();
+
+            if (!term) return;
+            add(1, clause[clause.length - 1].key, lower, token.start);
+            for (const n of [2, 3]) {
+                const run = clause.slice(-n);
+                if (run.length < n || !run[0].term) continue;
+                const form = paragraph.slice(run[0].start, token.end).toLowerCase().replace(/\s+/g, ' ');
+                add(n, run.map(t => t.key).join(' '), form, run[0].start);
+            }
+        });
+        return terms;
+    }
+
+    /**
+     * Merges per-paragraph counts into ranked rows:
+     * { term, count, density, first, forms } sorted by count, then first appearance.
+     * Density is the share of all words the term covers, as a percentage.
+     * `offsets` are the paragraphs' positions in the document.
+     */
+    static merge(parts, offsets, totalWords) {
+        const result = {};
+        this.PHRASE_SIZES.forEach(n => {
+            const merged = new Map();
+            parts.forEach((terms, p) => terms[n].forEach((entry, key) => {
+                const target = merged.get(key);
+                if (!target) {
+                    merged.set(key, { count: entry.count, first: offsets[p] + entry.first, forms: new Map(entry.forms) });
+                    return;
+                }
+                target.count += entry.count;
+                entry.forms.forEach((c, form) => target.forms.set(form, (target.forms.get(form) || 0) + c));
+            }));
+
+            const rows = [];
+            merged.forEach(({ count, first, forms }) => {
+                // Phrases that only occur once are just text
+                if (n > 1 && count < 2) return;
+                const ranked = [...forms].sort((a, b) => b[1] - a[1]).map(([form]) => form);
+                rows.push({
+                    term:    ranked[0],
+                    count,
+                    density: totalWords ? Math.round(count * n / totalWords * 10000) / 100 : 0,
+                    first,
+                    forms:   ranked,
+                });
+            });
+            result[n] = rows.sort((a, b) => b.count - a.count || a.first - b.first);
+        });
+        return result;
+    }
+
+    /**
+     * A case-insensitive pattern matching every form of a term as a whole word,
+     * suitable for new RegExp(pattern, 'gi'). Any whitespace may separate phrase words.
+     */
+    static pattern(forms) {
+        const letter = new RegExp(`[${this.WORD_CHARS}]`);
+        const alternatives = [...forms]
+            .sort((a, b) => b.length - a.length)
+            .map(form => {
+                const body = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+');
+                const before = letter.test(form[0]) ? `(?<![${this.WORD_CHARS}])` : '';
+                const after  = letter.test(form[form.length - 1]) ? `(?![${this.WORD_CHARS}])` : '';
+                return before + body + after;
+            });
+        return alternatives.join('|');
+    }
+
+    /** Frequency rows as CSV. `first` is reported 1-based, as a character position. */
+    static toCsv(rows) {
+        const cell = value => {
+            const s = String(value);
+            return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const lines = [['Term', 'Count', 'Density (%)', 'First position', 'Forms'].join(',')];
+        rows.forEach(r => lines.push([r.term, r.count, r.density, r.first + 1, r.forms.join(' ')].map(cell).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+}
+
+// === CHARACTER INSPECTOR ===
+/**
+ * Finds characters that don't show up (or show up as something else) in pasted copy:
+ * zero-width and other invisible characters, bidi controls (the "Trojan Source" trick),
+ * control codes, unusual spaces, and Cyrillic/Greek look-alikes inside Latin words.
+ * Positions are UTF-16 offsets, so they can be used directly as textarea selections.
+ */
+class CharacterInspector {
+    static CATEGORIES = {
+        bidi:       'Bidi control',
+        control:    'Control',
+        invisible:  'Invisible',
+        confusable: 'Look-alike',
+        space:      'Unusual space',
+    };
+
+    // Code point → [name, category, replacement]
+    static KNOWN = {
+        0x00AD: ['SOFT HYPHEN', 'invisible', ''],
+        0x034F: ['COMBINING GRAPHEME JOINER', 'invisible', ''],
+        0x115F: ['HANGUL CHOSEONG FILLER', 'invisible', ''],
+        0x1160: ['HANGUL JUNGSEONG FILLER', 'invisible', ''],
+        0x17B4: ['KHMER VOWEL INHERENT AQ', 'invisible', ''],
+        0x17B5: ['KHMER VOWEL INHERENT AA', 'invisible', ''],
+        0x180E: ['MONGOLIAN VOWEL SEPARATOR', 'invisible', ''],
+        0x200B: ['ZERO WIDTH SPACE', 'invisible', ''],
+        0x200C: ['ZERO WIDTH NON-JOINER', 'invisible', ''],
+        0x200D: ['ZERO WIDTH JOINER', 'invisible', ''],
+        0x2060: ['WORD JOINER', 'invisible', ''],
+        0x2061: ['FUNCTION APPLICATION', 'invisible', ''],
+        0x2062: ['INVISIBLE TIMES', 'invisible', ''],
+        0x2063: ['INVISIBLE SEPARATOR', 'invisible', ''],
+        0x2064: ['INVISIBLE PLUS', 'invisible', ''],
+        0x3164: ['HANGUL FILLER', 'invisible', ''],
+        0xFEFF: ['ZERO WIDTH NO-BREAK SPACE (BOM)', 'invisible', ''],
+        0xFFA0: ['HALFWIDTH HANGUL FILLER', 'invisible', ''],
+
+        0x061C: ['ARABIC LETTER MARK', 'bidi', ''],
+        0x200E: ['LEFT-TO-RIGHT MARK', 'bidi', ''],
+        0x200F: ['RIGHT-TO-LEFT MARK', 'bidi', ''],
+        0x202A: ['LEFT-TO-RIGHT EMBEDDING', 'bidi', ''],
+        0x202B: ['RIGHT-TO-LEFT EMBEDDING', 'bidi', ''],
+        0x202C: ['POP DIRECTIONAL FORMATTING', 'bidi', ''],
+        0x202D: ['LEFT-TO-RIGHT OVERRIDE', 'bidi', ''],
+        0x202E: ['RIGHT-TO-LEFT OVERRIDE', 'bidi', ''],
+        0x2066: ['LEFT-TO-RIGHT ISOLATE', 'bidi', ''],
+        0x2067: ['RIGHT-TO-LEFT ISOLATE', 'bidi', ''],
+        0x2068: ['FIRST STRONG ISOLATE', 'bidi', ''],
+        0x2069: ['POP DIRECTIONAL ISOLATE', 'bidi', ''],
+
+        0x0000: ['NULL', 'control', ''],
+        0x0008: ['BACKSPACE', 'control', ''],
+        0x000B: ['LINE TABULATION', 'control', '\n'],
+        0x000C: ['FORM FEED', 'control', '\n'],
+        0x001B: ['ESCAPE', 'control', ''],
+        0x007F: ['DELETE', 'control', ''],
+        0x0085: ['NEXT LINE', 'control', '\n'],
+        0x2028: ['LINE SEPARATOR', 'control', '\n'],
+        0x2029: ['PARAGRAPH SEPARATOR', 'control', '\n\n'],
+        0xFFFC: ['OBJECT REPLACEMENT CHARACTER', 'control', ''],
+        0xFFFD: ['REPLACEMENT CHARACTER (broken encoding)', 'control', ''],
+
+        0x00A0: ['NO-BREAK SPACE', 'space', ' '],
+        0x1680: ['OGHAM SPACE MARK', 'space', ' '],
+        0x2000: ['EN QUAD', 'space', ' '],
+        0x2001: ['EM QUAD', 'space', ' '],
+        0x2002: ['EN SPACE', 'space', ' '],
+        0x2003: ['EM SPACE', 'space', ' '],
+        0x2004: ['THREE-PER-EM SPACE', 'space', ' '],
+        0x2005: ['FOUR-PER-EM SPACE', 'space', ' '],
+        0x2006: ['SIX-PER-EM SPACE', 'space', ' '],
+        0x2007: ['FIGURE SPACE', 'space', ' '],
+        0x2008: ['PUNCTUATION SPACE', 'space', ' '],
+        0x2009: ['THIN SPACE', 'space', ' '],
+        0x200A: ['HAIR SPACE', 'space', ' '],
+        0x202F: ['NARROW NO-BREAK SPACE', 'space', ' '],
+        0x205F: ['MEDIUM MATHEMATICAL SPACE', 'space', ' '],
+    };
+
+    // Every code point KNOWN lists, plus the rest of C0/C1 and the invisible "tag" block
+    static SUSPICIOUS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u00A0\u00AD\u034F\u061C\u115F\u1160\u1680\u17B4\u17B5\u180E\u2000-\u200F\u2028-\u202F\u205F-\u2064\u2066-\u2069\u3164\uFEFF\uFFA0\uFFFC\uFFFD\u{E0000}-\u{E007F}]/gu;
+
+    // Cyrillic and Greek letters drawn like Latin ones: letter → [Latin, name]
+    static CONFUSABLES = {
+        'а': ['a', 'CYRILLIC SMALL LETTER A'],       'А': ['A', 'CYRILLIC CAPITAL LETTER A'],
+        'в': ['B', 'CYRILLIC SMALL LETTER VE'],      'В': ['B', 'CYRILLIC CAPITAL LETTER VE'],
+        'е': ['e', 'CYRILLIC SMALL LETTER IE'],      'Е': ['E', 'CYRILLIC CAPITAL LETTER IE'],
+        'К': ['K', 'CYRILLIC CAPITAL LETTER KA'],    'М': ['M', 'CYRILLIC CAPITAL LETTER EM'],
+        'Н': ['H', 'CYRILLIC CAPITAL LETTER EN'],    'Т': ['T', 'CYRILLIC CAPITAL LETTER TE'],
+        'о': ['o', 'CYRILLIC SMALL LETTER O'],       'О': ['O', 'CYRILLIC CAPITAL LETTER O'],
+        'р': ['p', 'CYRILLIC SMALL LETTER ER'],      'Р': ['P', 'CYRILLIC CAPITAL LETTER ER'],
+        'с': ['c', 'CYRILLIC SMALL LETTER ES'],      'С': ['C', 'CYRILLIC CAPITAL LETTER ES'],
+        'у': ['y', 'CYRILLIC SMALL LETTER U'],       'Ү': ['Y', 'CYRILLIC CAPITAL LETTER STRAIGHT U'],
+        'х': ['x', 'CYRILLIC SMALL LETTER HA'],      'Х': ['X', 'CYRILLIC CAPITAL LETTER HA'],
+        'і': ['i', 'CYRILLIC SMALL LETTER BYELORUSSIAN-UKRAINIAN I'],
+        'І': ['I', 'CYRILLIC CAPITAL LETTER BYELORUSSIAN-UKRAINIAN I'],
+        'ј': ['j', 'CYRILLIC SMALL LETTER JE'],      'Ј': ['J', 'CYRILLIC CAPITAL LETTER JE'],
+        'ѕ': ['s', 'CYRILLIC SMALL LETTER DZE'],     'Ѕ': ['S', 'CYRILLIC CAPITAL LETTER DZE'],
+        'һ': ['h', 'CYRILLIC SMALL LETTER SHHA'],    'ԁ': ['d', 'CYRILLIC SMALL LETTER KOMI DE'],
+        'ԛ': ['q', 'CYRILLIC SMALL LETTER QA'],      'ԝ': ['w', 'CYRILLIC SMALL LETTER WE'],
+        'ӏ': ['l', 'CYRILLIC SMALL LETTER PALOCHKA'],
+        'ο': ['o', 'GREEK SMALL LETTER OMICRON'],    'Ο': ['O', 'GREEK CAPITAL LETTER OMICRON'],
+        'ν': ['v', 'GREEK SMALL LETTER NU'],         'ι': ['i', 'GREEK SMALL LETTER IOTA'],
+        'Α': ['A', 'GREEK CAPITAL LETTER ALPHA'],    'Β': ['B', 'GREEK CAPITAL LETTER BETA'],
+        'Ε': ['E', 'GREEK CAPITAL LETTER EPSILON'],  'Ζ': ['Z', 'GREEK CAPITAL LETTER ZETA'],
+        'Η': ['H', 'GREEK CAPITAL LETTER ETA'],      'Ι': ['I', 'GREEK CAPITAL LETTER IOTA'],
+        'Κ': ['K', 'GREEK CAPITAL LETTER KAPPA'],    'Μ': ['M', 'GREEK CAPITAL LETTER MU'],
+        'Ν': ['N', 'GREEK CAPITAL LETTER NU'],       'Ρ': ['P', 'GREEK CAPITAL LETTER RHO'],
+        'Τ': ['T', 'GREEK CAPITAL LETTER TAU'],      'Υ': ['Y', 'GREEK CAPITAL LETTER UPSILON'],
+        'Χ': ['X', 'GREEK CAPITAL LETTER CHI'],
+    };
+
+    /**
+     * Lists suspicious characters, most dangerous category first:
+     * { items: [{ char, code, name, category, count, positions, replacement }], total, alerts }.
+     * `alerts` leaves out unusual spaces, which word processors add on purpose.
+     */
+    static scan(text) {
+        const found = new Map();
+        const add = (char, at, info) => {
+            if (!found.has(char)) found.set(char, { char, code: this.codeLabel(char), ...info, count: 0, positions: [] });
+            const item = found.get(char);
+            item.count++;
+            item.positions.push(at);
+        };
+
+        for (const m of (text || '').matchAll(this.SUSPICIOUS)) {
+            if (this.isIntended(text, m.index, m[0])) continue;
+            add(m[0], m.index, this.describe(m[0]));
+        }
+        this.scanConfusables(text || '', add);
+
+        const order = Object.keys(this.CATEGORIES);
+        const items = [...found.values()].sort((a, b) =>
+            order.indexOf(a.category) - order.indexOf(b.category) || a.positions[0] - b.positions[0]);
+        const total = items.reduce((sum, item) => sum + item.count, 0);
+        return {
+            items,
+            total,
+            alerts: total - items.filter(i => i.category === 'space').reduce((sum, i) => sum + i.count, 0),
+        };
+    }
+
+    /** { name, category, replacement } for a character SUSPICIOUS matches. */
+    static describe(char) {
+        const cp = char.codePointAt(0);
+        const known = this.KNOWN[cp];
+        if (known) return { name: known[0], category: known[1], replacement: known[2] };
+        if (cp >= 0xE0000) {
+            // Tag characters mirror ASCII and can smuggle hidden text
+            const ascii = cp - 0xE0000;
+            const shown = ascii > 0x20 && ascii < 0x7F ? ` ${String.fromCharCode(ascii)}` : '';
+            return { name: `TAG${shown || ' CHARACTER'}`, category: 'invisible', replacement: '' };
+        }
+        return { name: `CONTROL ${this.codeLabel(char)}`, category: 'control', replacement: '' };
+    }
+
+    static codeLabel(char) {
+        return 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Characters that do real work: ZWJ inside emoji sequences (woman + ZWJ + laptop), ZWJ/ZWNJ between
+     * letters of scripts that use them for shaping (Persian, Hindi…), and the tag letters of
+     * subdivision flags (black flag + "gbeng" in tags + CANCEL TAG is England's flag).
+     */
+    static isIntended(text, at, char) {
+        if (char >= '\u{E0000}' && char <= '\u{E007F}') {
+            const tag = c => c >= '\u{E0020}' && c <= '\u{E007E}';
+            let start = at;
+            while (tag(String.fromCodePoint(text.codePointAt(start - 2) || 0))) start -= 2;
+            let end = at;
+            while (tag(String.fromCodePoint(text.codePointAt(end) || 0))) end += 2;
+            return end > start && text.startsWith('\u{1F3F4}', start - 2) && text.startsWith('\u{E007F}', end);
+        }
+        if (char !== '\u200C' && char !== '\u200D') return false;
+        const prev = [...text.slice(Math.max(0, at - 2), at)].pop() || ' ';
+        const next = [...text.slice(at + 1, at + 3)][0] || ' ';
+        if (char === '\u200D' && /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F]/u.test(prev) &&
+            /\p{Extended_Pictographic}/u.test(next)) return true;
+        const shaped = c => /[\p{L}\p{M}]/u.test(c) && !/\p{Script=Latin}/u.test(c);
+        return shaped(prev) && shaped(next);
+    }
+
+    /**
+     * Flags look-alike letters in words that mix them with Latin ("pаypal" with a Cyrillic а),
+     * and in words made only of look-alikes when the text is mostly Latin ("рау").
+     */
+    static scanConfusables(text, add) {
+        if (!/[\u0370-\u03FF\u0400-\u052F]/.test(text)) return;
+        const latin  = (text.match(/\p{Script=Latin}/gu) || []).length;
+        const others = (text.match(/[\p{Script=Cyrillic}\p{Script=Greek}]/gu) || []).length;
+
+        for (const m of text.matchAll(/[\p{L}\p{M}]+/gu)) {
+            const word = m[0];
+            if (!/[\u0370-\u03FF\u0400-\u052F]/.test(word)) continue;
+            const letters  = [...word];
+            const mixed    = letters.some(c => /\p{Script=Latin}/u.test(c));
+            const disguise = latin > others && letters.every(c => this.CONFUSABLES[c] || /\p{Script=Latin}/u.test(c));
+            if (!mixed && !disguise) continue;
+
+            let at = m.index;
+            letters.forEach(c => {
+                const look = this.CONFUSABLES[c];
+                if (look) add(c, at, { name: `${look[1]} (looks like ${look[0]})`, category: 'confusable', replacement: look[0] });
+                at += c.length;
+            });
+        }
+    }
+
+    /**
+     * Replaces what scan() finds with each item's suggested replacement (nothing for
+     * invisible and bidi characters, a plain space, the Latin letter), or removes it all.
+     * `chars` limits the change to those characters.
+     */
+    static clean(text, { chars = null, remove = false } = {}) {
+        if (!text) return '';
+        const edits = [];
+        this.scan(text).items
+            .filter(item => !chars || chars.includes(item.char))
+            .forEach(item => item.positions.forEach(at =>
+                edits.push([at, item.char.length, remove ? '' : item.replacement])));
+        if (!edits.length) return text;
+
+        edits.sort((a, b) => a[0] - b[0]);
+        let out = '';
+        let pos = 0;
+        edits.forEach(([at, len, replacement]) => {
+            out += text.slice(pos, at) + replacement;
+            pos = at + len;
+        });
+        return out + text.slice(pos);
+    }
+}
+
+// === TEXT FORMATTING ===
+class TextFormatter {
+    static stripFormatting(text) {
+        if (!text) return '';
+
+        if (!text.includes('<')) {
+            return text.replace(/[ \t]+/g, ' ')
+                       .replace(/[ \t]*\n[ \t]*/g, '\n')
+                       .trim();
+        }
+
+        text = text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+            .replace(/<li[^>]*>/gi, '\n• ')
+            .replace(/<\/li>/gi, '')
+            .replace(/<\/div>/gi, '\n')
+            .replace(/<\/h[1-6]>/gi, '\n');
+
+        return this.htmlToText(text)
+            .replace(/[ \t]+/g, ' ')
+            .replace(/[ \t]*\n[ \t]*/g, '\n')
+            .replace(/\n{4,}/g, '\n\n\n')
+            .trim();
+    }
+
+    /**
+     * Extracts text content from HTML. Uses DOMParser in the browser and a
+     * tag-stripping fallback with entity decoding where there is no DOM (Node).
+     */
+    static htmlToText(html) {
+        if (typeof DOMParser !== 'undefined') {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            return doc.body.textContent || doc.body.innerText || '';
+        }
+
+        return this.decodeEntities(
+            html
+                .replace(/<!--[\s\S]*?-->/g, '')
+                .replace(/<(script|style|head|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+                .replace(/<\/?[a-z!][^>]*>/gi, '')
+        );
+    }
+
+    static HTML_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0',
+        ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', bull: '\u2022', middot: '\u00B7',
+        lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201C', rdquo: '\u201D',
+        laquo: '\u00AB', raquo: '\u00BB', copy: '\u00A9', reg: '\u00AE', trade: '\u2122',
+        deg: '\u00B0', times: '\u00D7', divide: '\u00F7', euro: '\u20AC', pound: '\u00A3',
+        shy: '\u00AD', zwj: '\u200D', zwnj: '\u200C', thinsp: '\u2009', ensp: '\u2002', emsp: '\u2003',
+    };
+
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+            if (code[0] === '#') {
+                const cp = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return cp > 0 && cp <= 0x10FFFF ? String.fromCodePoint(cp) : match;
+            }
+            return this.HTML_ENTITIES[code.toLowerCase()] ?? match;
+        });
+    }
+
+    // ─── TYPOGRAPHY ──────────────────────────────────────────
+
+    // [open double, close double, open single, close single] per language
+    static QUOTE_STYLES = {
+        en: ['“', '”', '‘', '’'],
+        de: ['„', '“', '‚', '‘'],
+        fr: ['«\u202F', '\u202F»', '‹\u202F', '\u202F›'],   // U+202F narrow no-break space inside
+        es: ['«', '»', '“', '”'],
+        it: ['«', '»', '“', '”'],
+        nl: ['“', '”', '‘', '’'],
+        pt: ['“', '”', '‘', '’'],
+        ru: ['«', '»', '„', '“'],
+        pl: ['„', '”', '«', '»'],
+        cs: ['„', '“', '‚', '‘'],
+        sv: ['”', '”', '’', '’'],
+        ja: ['「', '」', '『', '』'],
+        zh: ['“', '”', '‘', '’'],
+    };
+
+    static NORMALIZE_FORMS = ['NFC', 'NFKC', 'none'];
+
+    /**
+     * Cleans up pasted punctuation. Two opposite modes:
+     *   smart — curly quotes and apostrophes in the style of `locale`, primes for feet and inches
+     *           (5'10" → 5′10″), "--" → "–" (10--20 → 10–20, a -- b → a – b) and "---" → "—" between
+     *           words or spaces, " - " → " – ", "..." → "…"; French also gets a narrow no-break space
+     *           before ; : ! ?  Markdown code, HTML comments and rule or table lines are left alone.
+     *   plain — straight quotes, "-"/"--", "...", and ordinary spaces for no-break and thin ones
+     * Any existing quotes are straightened first, so mixed styles come out consistent.
+     * Soft hyphens are removed in both. `normalize` runs first: NFC recomposes accents split
+     * by some Mac and PDF sources, NFKC also folds compatibility forms (ﬁ → fi, ² → 2).
+     */
+    static typography(text, { mode = 'smart', locale = 'en', normalize = 'NFC' } = {}) {
+        if (!text) return '';
+        if (normalize !== 'none') text = text.normalize(normalize);
+        text = text.replace(/\u00AD/g, '');
+        return mode === 'plain' ? this.plainPunctuation(text) : this.smartPunctuation(text, locale);
+    }
+
+    /** Checks options from storage or a recipe file; unknown values fall back to the defaults. */
+    static typographyOptions(raw = {}) {
+        return {
+            mode:      raw.mode === 'plain' ? 'plain' : 'smart',
+            locale:    raw.locale in this.QUOTE_STYLES ? raw.locale : 'en',
+            normalize: this.NORMALIZE_FORMS.includes(raw.normalize) ? raw.normalize : 'NFC',
+        };
+    }
+
+    static plainPunctuation(text) {
+        return text
+            .replace(/[«‹][ \u00A0\u202F]*/g, m => m[0] === '«' ? '"' : "'")
+            .replace(/[ \u00A0\u202F]*[»›]/g, m => m.endsWith('»') ? '"' : "'")
+            .replace(/[“”„‟〝〞″＂]/g, '"')
+            .replace(/[‘’‚‛′＇]/g, "'")
+            .replace(/[—―]/g, '--')
+            .replace(/[–‒−‐‑]/g, '-')
+            .replace(/…/g, '...')
+            .replace(/[\u00A0\u2000-\u200A\u202F\u205F]/g, ' ');
+    }
+
+    static smartPunctuation(text, locale) {
+        const [open2, close2, open1, close1] = this.QUOTE_STYLES[locale] || this.QUOTE_STYLES.en;
+        const french = locale === 'fr';
+
+        const segments = this.typographySegments(text).map(seg => seg.code ? seg : {
+            code: false,
+            text: seg.text
+                .replace(/[«»“”„‟〝〞]/g, '"')
+                .replace(/[‹›‘’‚‛]/g, "'")
+                .replace(/(?<=[\p{L}\p{N}])-{2,3}(?=[\p{L}\p{N}])|(?<=\s)-{2,3}(?=\s)/gu, m => m.length === 3 ? '—' : '–')
+                .replace(/ - /g, ' – ')
+                .replace(/\.\.\.|\. \. \./g, '…'),
+        });
+        text = segments.map(seg => seg.text).join('');
+
+        // A quote opens at the start or after a space, bracket or dash, and closes after anything
+        // else. Next to another quote mark it depends on whether its own kind is already open:
+        // "'Hi,' she said" opens both, "it's 'fine'" closes both.
+        // One with space on both sides (French typing: " bonjour ") closes an open quote.
+        const opening = (prev) => !prev || /[\s([{<–—/]/.test(prev);
+        const opens   = (prev, isOpen) => opening(prev) || (/["']/.test(prev) && !isOpen);
+        let inDouble = false;
+        let inSingle = false;
+        let at = 0;
+        const quote = (i) => {
+            const ch   = text[i];
+            const prev = text[i - 1] || '';
+            const next = text[i + 1] || '';
+            // After a digit and with no quote of that kind open, it is a measurement: 5'10", a 12" pipe
+            if (/\d/.test(prev) && !/\p{L}/u.test(next) && !(ch === '"' ? inDouble : inSingle)) return ch === '"' ? '″' : '′';
+            if (ch === '"') {
+                const spaced = /\s/.test(prev) && /^(?:\s|[.,;:!?)]|$)/.test(next);
+                inDouble = spaced ? !inDouble : opens(prev, inDouble);
+                return inDouble ? open2 : close2;
+            }
+            if (/[\p{L}\p{N}]/u.test(prev) && /[\p{L}]/u.test(next)) return '’';   // it's, rock'n'roll
+            if (opening(prev) && /\d/.test(next)) return '’';                       // '90s
+            if (/\s/.test(prev) && /^'n'(?:\s|$)/.test(text.slice(i, i + 4))) return '’'; // rock 'n' roll
+            if (text.slice(i - 2, i) === "'n" && /\s/.test(text[i - 3] || '')) return '’';
+            inSingle = opens(prev, inSingle);
+            return inSingle ? open1 : close1;
+        };
+
+        return segments.map(seg => {
+            const start = at;
+            at += seg.text.length;
+            if (seg.code) return seg.text;
+            const out = seg.text.replace(/["']/g, (m, offset) => quote(start + offset));
+            if (!french) return out;
+            return out
+                .replace(/([«‹])\u202F[ \u00A0]+/g, '$1\u202F')
+                .replace(/[ \u00A0]+\u202F([»›])/g, '\u202F$1')
+                .replace(/([\p{L}\p{N}»)])[ \u00A0]?([;:!?])(?=\s|$)/gu, '$1\u202F$2');
+        }).join('');
+    }
+
+    /**
+     * Splits text into prose and the parts typography leaves alone — fenced and inline code,
+     * HTML comments, and lines of nothing but dashes (front matter, rules, table separators).
+     * Returns [{ text, code }] that join back into the original.
+     */
+    static typographySegments(text) {
+        const segments = [];
+        const push = (str, code) => {
+            const last = segments[segments.length - 1];
+            if (last && last.code === code) last.text += str;
+            else if (str) segments.push({ text: str, code });
+        };
+
+        let fence   = null;
+        let comment = false;
+        text.split(/(?<=\n)/).forEach(line => {
+            if (fence) {
+                push(line, true);
+                if (line.trimStart().startsWith(fence)) fence = null;
+                return;
+            }
+            const marker = !comment && /^[ \t]*(```|~~~)/.exec(line);
+            if (marker) { fence = marker[1]; push(line, true); return; }
+            if (!comment && /^[\s|:]*(?:-[\s|:]*){2,}$/.test(line)) { push(line, true); return; }
+
+            let rest = line;
+            while (rest) {
+                if (comment) {
+                    const end = rest.indexOf('-->');
+                    const cut = end < 0 ? rest.length : end + 3;
+                    push(rest.slice(0, cut), true);
+                    rest    = rest.slice(cut);
+                    comment = end < 0;
+                    continue;
+                }
+                const open = /`+|<!--/.exec(rest);
+                if (!open) { push(rest, false); break; }
+                push(rest.slice(0, open.index), false);
+                rest = rest.slice(open.index);
+                if (open[0] === '<!--') { comment = true; continue; }
+
+                // Inline code runs to the next backtick run of the same length
+                const close = new RegExp(`(?<!\`)${open[0]}(?!\`)`, 'g');
+                close.lastIndex = open[0].length;
+                const end = close.exec(rest);
+                const cut = end ? end.index + open[0].length : open[0].length;
+                push(rest.slice(0, cut), !!end);
+                rest = rest.slice(cut);
+            }
+        });
+        return segments;
+    }
+
+    // ─── DUPLICATES ──────────────────────────────────────────
+
+    static DEDUPE_DEFAULTS = {
+        ignoreCase: false, whitespace: 'exact', ignorePunctuation: false,
+        keep: 'first', keepBlank: true, similarity: 1, metric: 'levenshtein', only: false,
+    };
+
+    static DEDUPE_WHITESPACE = ['exact', 'trim', 'collapse', 'ignore'];
+    static DEDUPE_METRICS    = ['levenshtein', 'jaccard'];
+
+    // Near-duplicate search compares each distinct line with earlier groups; past this it is skipped
+    static FUZZY_LIMIT = 500;
+    static NEAR_MATCHES_SKIPPED = `too many lines for near matches (over ${this.FUZZY_LIMIT}), exact duplicates only`;
+
+    /**
+     * Removes duplicate lines. Options (see DEDUPE_DEFAULTS):
+     *   ignoreCase, ignorePunctuation
+     *   whitespace — exact, trim (surrounding), collapse (also runs inside the line), ignore (all)
+     *   keep       — 'first' or 'last' occurrence stays
+     *   keepBlank  — blank lines are never treated as duplicates, so paragraph spacing survives
+     *   similarity — below 1, lines at least this similar count as duplicates (0.5–0.99)
+     *   metric     — levenshtein (characters) or jaccard (shared words)
+     *   only       — output just one copy of each line that was duplicated
+     * With no options, comparison is exact.
+     */
+    static removeDuplicateLines(text, options = {}) {
+        if (!text) return '';
+        const opts  = { ...this.DEDUPE_DEFAULTS, ...options };
+        const lines = text.split('\n');
+        const { groups } = this.duplicateGroups(lines, opts);
+
+        const kept = new Set();
+        const drop = new Set();
+        groups.forEach(group => {
+            const keep = opts.keep === 'last' ? group[group.length - 1] : group[0];
+            if (group.length > 1) kept.add(keep);
+            group.forEach(i => { if (i !== keep) drop.add(i); });
+        });
+        return lines
+            .filter((line, i) => opts.only ? kept.has(i) : !drop.has(i))
+            .join('\n');
+    }
+
+    /**
+     * Lists what removeDuplicateLines would remove, without changing anything.
+     * Returns { groups: [{ text, count, lines, kept, variants }], removed, fuzzySkipped };
+     * line numbers are 1-based, `variants` holds the distinct spellings in the group.
+     */
+    static findDuplicates(text, options = {}) {
+        const opts  = { ...this.DEDUPE_DEFAULTS, ...options };
+        const lines = (text || '').split('\n');
+        const { groups, fuzzySkipped } = this.duplicateGroups(lines, opts);
+
+        const report = groups
+            .filter(group => group.length > 1)
+            .map(group => {
+                const kept = opts.keep === 'last' ? group[group.length - 1] : group[0];
+                return {
+                    text:     lines[kept],
+                    count:    group.length,
+                    lines:    group.map(i => i + 1),
+                    kept:     kept + 1,
+                    variants: [...new Set(group.map(i => lines[i]))],
+                };
+            });
+        return {
+            groups:  report,
+            removed: report.reduce((sum, g) => sum + g.count - 1, 0),
+            fuzzySkipped,
+        };
+    }
+
+    /** True when removeDuplicateLines would fall back to exact matches because there are too many distinct lines. */
+    static nearMatchesSkipped(text, options = {}) {
+        const opts = { ...this.DEDUPE_DEFAULTS, ...options };
+        if (!text || !(opts.similarity < 1)) return false;
+        const keys = new Set();
+        text.split('\n').forEach((line) => {
+            if (!opts.keepBlank || line.trim()) keys.add(this.dedupeKey(line, opts));
+        });
+        return keys.size > this.FUZZY_LIMIT;
+    }
+
+    /** Groups line indexes (ascending) that count as the same line; singletons included. */
+    static duplicateGroups(lines, opts) {
+        const byKey = new Map();
+        lines.forEach((line, i) => {
+            if (opts.keepBlank && !line.trim()) return;
+            const key = this.dedupeKey(line, opts);
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(i);
+        });
+
+        const fuzzy = opts.similarity < 1;
+        if (!fuzzy) return { groups: [...byKey.values()], fuzzySkipped: false };
+        if (byKey.size > this.FUZZY_LIMIT) return { groups: [...byKey.values()], fuzzySkipped: true };
+
+        // Each distinct line joins the first group whose leading line is similar enough.
+        // Only groups that could reach the threshold are compared: for jaccard those sharing
+        // a word, for levenshtein those with enough character pairs in common — one edit
+        // changes at most two pairs, so a line k edits away still shares length − 1 − 2k.
+        const jaccard  = opts.metric === 'jaccard';
+        const clusters = [];
+        const index    = new Map();     // word or character pair → cluster numbers, ascending
+        byKey.forEach((indexes, key) => {
+            const words  = jaccard ? this.wordSet(lines[indexes[0]], opts) : null;
+            const grams  = jaccard ? null : this.bigrams(key);
+            const shared = new Map();   // cluster number → words or pairs in common
+            (jaccard ? [...words].map(w => [w, 1]) : [...grams]).forEach(([gram, count]) => {
+                index.get(gram)?.forEach(n => {
+                    const theirs = jaccard ? 1 : clusters[n].grams.get(gram);
+                    shared.set(n, (shared.get(n) || 0) + Math.min(count, theirs));
+                });
+            });
+
+            const fits = c => {
+                if (jaccard) return this.jaccard(words, c.words) >= opts.similarity;
+                const longer = Math.max(key.length, c.key.length);
+                const budget = Math.floor(longer * (1 - opts.similarity) + 1e-9);
+                return Math.abs(key.length - c.key.length) <= budget
+                    && (shared.get(c.n) || 0) >= longer - 1 - 2 * budget
+                    && this.similarity(key, c.key, opts.similarity);
+            };
+            // Short lines can be similar without sharing anything; those are checked against every group
+            const any   = jaccard
+                ? !words.size
+                : key.length - 1 - 2 * Math.floor(key.length * (1 - opts.similarity) + 1e-9) <= 0;
+            const pool  = any ? clusters : [...shared.keys()].sort((a, b) => a - b).map(n => clusters[n]);
+            const match = pool.find(fits);
+            if (match) { match.indexes.push(...indexes); return; }
+
+            const n = clusters.push({ n: clusters.length, key, words, grams, indexes: [...indexes] }) - 1;
+            (jaccard ? words : grams).forEach((_, gram) => {
+                if (!index.has(gram)) index.set(gram, []);
+                index.get(gram).push(n);
+            });
+        });
+        return {
+            groups: clusters.map(c => c.indexes.sort((a, b) => a - b)),
+            fuzzySkipped: false,
+        };
+    }
+
+    static dedupeKey(line, opts) {
+        let key = line;
+        if (opts.ignorePunctuation) key = key.replace(/[\p{P}\p{S}]/gu, '');
+        if (opts.ignoreCase)        key = key.toLowerCase();
+        switch (opts.whitespace) {
+            case 'trim':     return key.trim();
+            case 'collapse': return key.trim().replace(/\s+/g, ' ');
+            case 'ignore':   return key.replace(/\s+/g, '');
+            default:         return key;
+        }
+    }
+
+    /** Counts of each two-character sequence in s. */
+    static bigrams(s) {
+        const grams = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const gram = s.slice(i, i + 2);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    }
+
+    static wordSet(line, opts) {
+        return new Set(this.dedupeKey(line, { ...opts, whitespace: 'collapse' }).split(' ').filter(Boolean));
+    }
+
+    static jaccard(a, b) {
+        if (!a.size && !b.size) return 1;
+        let shared = 0;
+        a.forEach(word => { if (b.has(word)) shared++; });
+        return shared / (a.size + b.size - shared);
+    }
+
+    /** True if 1 − editDistance / longerLength ≥ threshold; gives up as soon as it cannot be. */
+    static similarity(a, b, threshold) {
+        const longer = Math.max(a.length, b.length);
+        if (!longer) return true;
+        const budget = Math.floor(longer * (1 - threshold) + 1e-9);
+        if (Math.abs(a.length - b.length) > budget) return false;
+
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (row[j] < best) best = row[j];
+            }
+            if (best > budget) return false;
+            prev = row;
+        }
+        return prev[b.length] <= budget;
+    }
+
+    /** Checks options from storage or a recipe file; anything unknown falls back to the default. */
+    static dedupeOptions(raw = {}) {
+        const d = this.DEDUPE_DEFAULTS;
+        const similarity = typeof raw.similarity === 'number' && raw.similarity >= 0.5 && raw.similarity < 1
+            ? Math.round(raw.similarity * 100) / 100
+            : 1;
+        return {
+            ignoreCase:        !!raw.ignoreCase,
+            whitespace:        this.DEDUPE_WHITESPACE.includes(raw.whitespace) ? raw.whitespace : d.whitespace,
+            ignorePunctuation: !!raw.ignorePunctuation,
+            keep:              raw.keep === 'last' ? 'last' : 'first',
+            keepBlank:         raw.keepBlank !== false,
+            similarity,
+            metric:            this.DEDUPE_METRICS.includes(raw.metric) ? raw.metric : d.metric,
+            only:              !!raw.only,
+        };
+    }
+
+    /** e.g. "Remove Duplicates (ignore case, 90% similar)". */
+    static describeDedupe(opts) {
+        const notes = [];
+        if (opts.ignoreCase)              notes.push('ignore case');
+        if (opts.whitespace !== 'exact')  notes.push(`${opts.whitespace} spaces`);
+        if (opts.ignorePunctuation)       notes.push('ignore punctuation');
+        if (opts.similarity < 1)          notes.push(`${Math.round(opts.similarity * 100)}% similar`);
+        if (opts.keep === 'last')         notes.push('keep last');
+        if (!opts.keepBlank)              notes.push('blank lines too');
+        const name = opts.only ? 'Keep Duplicates Only' : 'Remove Duplicates';
+        return notes.length ? `${name} (${notes.join(', ')})` : name;
+    }
+
+    // ─── LINE OPERATIONS ─────────────────────────────────────
+
+    /**
+     * Puts each sentence on its own line.
+     * Paragraph breaks (double newlines) are preserved.
+     * Great for proofreading and reviewing one idea at a time.
+     */
+    static sentencesPerLine(text) {
+        if (!text) return '';
+        return text
+            .split(/\n{2,}/)
+            .map(para =>
+                para
+                    // Break after sentence terminators (. ! ? : ;) followed by space & Capital/Quote
+                    .replace(/([.!?:\;])\s+(?=[A-Z"'\u2018\u201C])/g, '$1\n')
+                    // Break BEFORE inline list items (-, •, *, 1.)
+                    .replace(/\s+([-•*]|\d+\.)\s+/g, '\n$1 ')
+                    .trim()
+            )
+            .join('\n\n');
+    }
+
+    /**
+     * Joins hard-wrapped lines into natural paragraphs.
+     * Single newlines become spaces; double newlines are preserved.
+     * Fixes copy-paste from PDFs and ebooks.
+     */
+    static joinLines(text) {
+        if (!text) return '';
+        return text
+            .split(/\n{2,}/)
+            .map(para =>
+                para
+                    .split('\n')
+                    .map(l => l.trim())
+                    .filter(Boolean)
+                    .join(' ')
+            )
+            .join('\n\n');
+    }
+
+    /**
+     * Trims leading and trailing whitespace from every line.
+     */
+    static trimLines(text) {
+        if (!text) return '';
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Sorts all lines alphabetically (A → Z), case-insensitive.
+     * Blank lines go to the end.
+     */
+    static sortLinesAZ(text) {
+        return this.sortLines(text);
+    }
+
+    /**
+     * Removes all blank (empty or whitespace-only) lines from the text.
+     */
+    static removeBlankLines(text) {
+        if (!text) return '';
+        return text
+            .split('\n')
+            .filter(line => line.trim().length > 0)
+            .join('\n');
+    }
+
+    // ─── REFLOW ──────────────────────────────────────────────
+
+    // Line = outer indent + quote/comment markers ("> > ", "// ", "# ", "-- ", "; ") + inner indent + text
+    static REFLOW_LINE = /^([ \t]*)((?:>[ \t]?)+|(?:\/\/+|#+|--|;+)(?:[ \t]|$))?([ \t]*)(.*)$/;
+    static REFLOW_ITEM = /^(?:[•◦▪‣●○■□*+-]|\d+[.)]|[a-zA-Z][.)])[ \t]+/;
+
+    /**
+     * Hard-wraps paragraphs at `width` columns, breaking only between words (a word longer
+     * than the line stays whole). Quote and comment markers are repeated on every line,
+     * list items get a hanging indent, and fenced ``` code and Markdown "# Heading" lines
+     * are left alone (an indented "# " still reads as a comment).
+     * `justify` pads every line but a paragraph's last to the full width.
+     */
+    static reflow(text, { width = 72, justify = false } = {}) {
+        if (!text) return '';
+        return this.reflowParagraphs(text, (para) => {
+            const room  = Math.max(1, width - [...para.rest].length);
+            const lines = [];
+            let line = [];
+            let used = 0;
+            para.words.forEach(word => {
+                const len = [...word].length;
+                if (line.length && used + 1 + len > room) {
+                    lines.push(line);
+                    line = [];
+                    used = 0;
+                }
+                used += (line.length ? 1 : 0) + len;
+                line.push(word);
+            });
+            lines.push(line);
+
+            return lines.map((words, i) => {
+                const lead = i === 0 ? para.first : para.rest;
+                const last = i === lines.length - 1;
+                const room = Math.max(1, width - [...lead].length);
+                return lead + (justify && !last ? this.justifyLine(words, room) : words.join(' '));
+            });
+        });
+    }
+
+    /**
+     * Joins each paragraph back onto one line, keeping its quote/comment markers and indent,
+     * so a reflowed reply can be unwrapped and wrapped again at another width.
+     */
+    static unwrap(text) {
+        if (!text) return '';
+        return this.reflowParagraphs(text, para => [para.first + para.words.join(' ')]);
+    }
+
+    /** Spreads extra spaces between words from the left until the line is `room` wide. */
+    static justifyLine(words, room) {
+        if (words.length < 2) return words.join(' ');
+        const gaps  = words.length - 1;
+        const extra = room - words.reduce((sum, w) => sum + [...w].length, 0);
+        if (extra < gaps) return words.join(' ');
+        const base = Math.floor(extra / gaps);
+        const more = extra % gaps;
+        return words.reduce((out, word, i) =>
+            i === 0 ? word : out + ' '.repeat(base + (i <= more ? 1 : 0)) + word, '');
+    }
+
+    /**
+     * Groups lines into paragraphs and hands each to `render(para)`, which returns output lines.
+     * para = { first, rest, words }: the prefix of the first line, the prefix of later lines
+     * (markers plus hanging indent), and the words. Blank lines, lines whose prefix changes,
+     * new list items, headings and code fences all end a paragraph; they and fenced code pass through.
+     */
+    static reflowParagraphs(text, render) {
+        const out = [];
+        let para  = null;
+        let fence = false;
+        const flush = () => {
+            if (para) out.push(...render(para));
+            para = null;
+        };
+
+        text.split('\n').forEach(raw => {
+            if (/^[ \t]*(?:```|~~~)/.test(raw)) {
+                flush();
+                fence = !fence;
+                out.push(raw);
+                return;
+            }
+            if (fence || /^#{1,6}[ \t]/.test(raw)) { flush(); out.push(raw); return; }
+
+            let [, outer, marks = '', inner, body] = raw.match(this.REFLOW_LINE);
+            if (!body.trim()) { flush(); out.push(raw); return; }
+            // Without markers all leading space is indent, which list continuations compare against
+            if (!marks) [outer, inner] = ['', outer + inner];
+
+            const markKey = outer + marks.replace(/[ \t]/g, '');
+            const item    = body.match(this.REFLOW_ITEM);
+            const words   = (item ? body.slice(item[0].length) : body).trim().split(/\s+/);
+
+            // A continuation: same markers, not a new item, indented as the paragraph expects
+            if (para && !item && markKey === para.markKey &&
+                (para.item ? inner.length >= para.hanging : inner.length === para.inner)) {
+                para.words.push(...words);
+                return;
+            }
+
+            flush();
+            const marker = item ? item[0] : '';
+            para = {
+                markKey,
+                words,
+                item:    !!item,
+                inner:   inner.length,
+                hanging: inner.length + [...marker].length,
+                first:   outer + marks + inner + marker,
+                rest:    outer + marks + inner + ' '.repeat([...marker].length),
+            };
+        });
+        flush();
+        return out.join('\n');
+    }
+
+    // ─── SORTING ─────────────────────────────────────────────
+
+    static SORT_MODES = {
+        alpha:   'A → Z',
+        natural: 'Natural',
+        numeric: 'Numeric',
+        length:  'Length',
+        reverse: 'Reverse order',
+        shuffle: 'Shuffle',
+    };
+
+    static SORT_DELIMITERS = { auto: null, tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: /\s+/ };
+
+    static SORT_DEFAULTS = {
+        mode: 'alpha', descending: false, caseSensitive: false, locale: '',
+        column: 0, delimiter: 'auto', header: false, blocks: false, unique: false,
+    };
+
+    /**
+     * Sorts lines. Options (see SORT_DEFAULTS):
+     *   mode          — alpha, natural ("item2" before "item10"), numeric (first number
+     *                   in the line; lines without one go last), length, reverse, shuffle
+     *   descending    — Z → A, largest or longest first
+     *   caseSensitive — "Apple" before "apple"; otherwise they tie and keep their order
+     *   locale        — collation language, e.g. 'sv' puts "å" after "z"
+     *   column        — sort by the Nth field (1-based) instead of the whole line
+     *   delimiter     — field separator: tab, comma (quote-aware), semicolon, pipe, space,
+     *                   or auto (tab if the text has tabs, else comma)
+     *   header        — keep the first line where it is
+     *   blocks        — sort each blank-line-separated block on its own
+     *   unique        — drop repeated lines (compared with the same case rule)
+     * The sort is stable. Outside block mode, blank lines go to the end, except for reverse
+     * and shuffle, which leave them where they are so paragraph breaks survive.
+     * `random` is injectable so shuffles can be reproduced.
+     */
+    static sortLines(text, options = {}, random = Math.random) {
+        if (!text) return '';
+        const opts  = { ...this.SORT_DEFAULTS, ...options };
+        const lines = text.split('\n');
+        const head  = opts.header ? lines.splice(0, 1) : [];
+
+        let delimiter = this.SORT_DELIMITERS[opts.delimiter] ?? null;
+        if (opts.column > 0 && !delimiter) delimiter = text.includes('\t') ? '\t' : ',';
+        const sortRun = run => this.sortRun(run, opts, delimiter, random);
+
+        if (!opts.blocks && (opts.mode === 'reverse' || opts.mode === 'shuffle')) {
+            // Reordered lines fill the non-blank slots; slots freed by `unique` are dropped
+            const moved = sortRun(lines.filter(line => line.trim()));
+            let next = 0;
+            const out = lines.flatMap(line => !line.trim() ? [line] : next < moved.length ? [moved[next++]] : []);
+            return [...head, ...out].join('\n');
+        }
+        if (!opts.blocks) {
+            const blank = lines.filter(line => !line.trim());
+            return [...head, ...sortRun(lines.filter(line => line.trim())), ...blank].join('\n');
+        }
+
+        // Blank lines stay where they are and separate the runs that are sorted
+        const out = [...head];
+        let run = [];
+        lines.forEach(line => {
+            if (line.trim()) { run.push(line); return; }
+            out.push(...sortRun(run), line);
+            run = [];
+        });
+        out.push(...sortRun(run));
+        return out.join('\n');
+    }
+
+    static sortRun(lines, opts, delimiter, random) {
+        if (opts.unique) {
+            const seen = new Set();
+            lines = lines.filter(line => {
+                const key = opts.caseSensitive ? line : line.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        if (opts.mode === 'reverse') return [...lines].reverse();
+        if (opts.mode === 'shuffle') {
+            const out = [...lines];
+            for (let i = out.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [out[i], out[j]] = [out[j], out[i]];
+            }
+            return out;
+        }
+
+        const keyOf = line => opts.column > 0 ? this.field(line, opts.column, delimiter) : line;
+        const compare = this.sortComparator(opts);
+        const dir = opts.descending ? -1 : 1;
+        return lines
+            .map(line => ({ line, key: this.sortKey(keyOf(line), opts) }))
+            .sort((a, b) => this.compareKeys(a.key, b.key, compare, dir))
+            .map(item => item.line);
+    }
+
+    /** Checks options from storage or a recipe file; unknown or missing values fall back to defaults. */
+    static sortOptions(raw = {}) {
+        const d = this.SORT_DEFAULTS;
+        const column = Number.isInteger(raw.column) && raw.column > 0 ? Math.min(raw.column, 999) : 0;
+        return {
+            mode:          raw.mode in this.SORT_MODES ? raw.mode : d.mode,
+            descending:    !!raw.descending,
+            caseSensitive: !!raw.caseSensitive,
+            locale:        typeof raw.locale === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(raw.locale) ? raw.locale : d.locale,
+            column,
+            delimiter:     raw.delimiter in this.SORT_DELIMITERS ? raw.delimiter : d.delimiter,
+            header:        !!raw.header,
+            blocks:        !!raw.blocks,
+            unique:        !!raw.unique,
+        };
+    }
+
+    /** Short description for toasts and recipe steps, e.g. "Sort natural Z → A (column 2)". */
+    static describeSort(opts) {
+        if (opts.mode === 'reverse') return 'Reverse Lines';
+        if (opts.mode === 'shuffle') return 'Shuffle Lines';
+        const dir = {
+            alpha:   opts.descending ? 'Z → A' : 'A → Z',
+            natural: `natural ${opts.descending ? 'Z → A' : 'A → Z'}`,
+            numeric: opts.descending ? '9 → 1' : '1 → 9',
+            length:  opts.descending ? 'longest first' : 'shortest first',
+        }[opts.mode];
+        return `Sort ${dir}` + (opts.column > 0 ? ` (column ${opts.column})` : '');
+    }
+
+    /** Precomputed sort key: a number for numeric/length (null when missing), else the text. */
+    static sortKey(value, opts) {
+        if (opts.mode === 'length') return [...value].length;
+        if (opts.mode === 'numeric') {
+            const m = value.match(/[-+]?(?:\d[\d,]*(?:\.\d+)?|\.\d+)(?:e[-+]?\d+)?/i);
+            return m ? parseFloat(m[0].replace(/,/g, '')) : null;
+        }
+        return value;
+    }
+
+    static compareKeys(a, b, compare, dir) {
+        // Lines without a number sort last in either direction
+        if (a === null || b === null) return a === b ? 0 : a === null ? 1 : -1;
+        return dir * compare(a, b);
+    }
+
+    static sortComparator({ mode, caseSensitive, locale }) {
+        if (mode === 'numeric' || mode === 'length') return (a, b) => a - b;
+        let collator;
+        const options = { numeric: mode === 'natural', sensitivity: caseSensitive ? 'variant' : 'accent' };
+        try {
+            collator = new Intl.Collator(locale || undefined, options);
+        } catch {
+            collator = new Intl.Collator(undefined, options);   // invalid locale tag
+        }
+        // Collators put "a" before "A"; case-sensitive sorts want capitals first, as in ASCII
+        return caseSensitive
+            ? (a, b) => collator.compare(a.toLowerCase(), b.toLowerCase()) || (a < b ? -1 : a > b ? 1 : 0)
+            : collator.compare;
+    }
+
+    /** The Nth (1-based) field of a line; comma fields may be "quoted, like this". */
+    static field(line, n, delimiter) {
+        if (delimiter === ',') {
+            const fields = line.match(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g) || [];
+            const value  = (fields[n - 1] || '').replace(/,$/, '').trim();
+            return /^".*"$/.test(value) ? value.slice(1, -1).replace(/""/g, '"') : value;
+        }
+        return (line.split(delimiter)[n - 1] || '').trim();
+    }
+
+    // ─── LINE DECORATION ─────────────────────────────────────
+    // Each method leaves blank lines alone, so paragraphs and list groups keep their spacing.
+
+    static NUMBER_PADDING = ['none', 'zero', 'space'];
+
+    /**
+     * Numbers every non-blank line: "1. First", "2. Second".
+     * `padding` lines numbers up to the widest one with zeros ("07") or spaces (" 7").
+     */
+    static numberLines(text, { start = 1, padding = 'none', separator = '. ' } = {}) {
+        if (!text) return '';
+        const lines = text.split('\n');
+        const count = lines.filter(line => line.trim()).length;
+        const width = String(start + count - 1).length;
+        let n = start;
+        return lines
+            .map(line => {
+                if (!line.trim()) return line;
+                let num = String(n++);
+                if (padding === 'zero')  num = num.padStart(width, '0');
+                if (padding === 'space') num = num.padStart(width, ' ');
+                return num + separator + line;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Strips leading line numbers such as "1. ", "02) ", "3: ", "4 - " or "5<tab>".
+     * A bare number followed by a space is kept, so "2024 was a good year" survives, and
+     * the separator needs a space after it: "3.5 million people" and "10:30 meeting" are data.
+     */
+    static removeLineNumbers(text) {
+        if (!text) return '';
+        return text.replace(/^([ \t]*)\d+(?:[.):\]](?:[ \t]+|$)|\t[ \t]*| +[-–—|:] *)/gm, '$1');
+    }
+
+    static BULLET_STYLES = {
+        '•':  '• Bullet',
+        '-':  '- Dash',
+        '*':  '* Asterisk',
+        '1.': '1. Numbers',
+        '1)': '1) Numbers',
+        'a)': 'a) Letters',
+        'a.': 'a. Letters',
+        '':   'No bullets',
+    };
+
+    // An existing list marker: symbol bullets, "12." / "12)", or a single letter "b)" / "b."
+    static LIST_MARKER = /^([ \t]*)(?:[•◦▪‣●○■□–—*+-]|\d+[.)]|[a-zA-Z][.)])[ \t]+/;
+
+    /**
+     * Converts list markers to one style, adding a marker to unmarked lines.
+     * Numbered and lettered styles count separately at each indent level,
+     * restarting a nested list after it returns to a shallower level. '' removes markers.
+     */
+    static setBullets(text, style) {
+        if (!text) return '';
+        const counters = [];   // [{ indent, n }], shallowest first
+        return text
+            .split('\n')
+            .map(line => {
+                if (!line.trim()) return line;
+                const match  = line.match(this.LIST_MARKER);
+                const indent = match ? match[1] : line.match(/^[ \t]*/)[0];
+                const body   = line.slice(match ? match[0].length : indent.length);
+                if (!style) return indent + body;
+
+                while (counters.length && counters[counters.length - 1].indent.length > indent.length) counters.pop();
+                let level = counters[counters.length - 1];
+                if (!level || level.indent.length < indent.length) {
+                    level = { indent, n: 0 };
+                    counters.push(level);
+                }
+                level.n++;
+
+                const kind = style[0];
+                const mark = kind === '1' ? level.n + style[1]
+                           : kind === 'a' ? this.letterIndex(level.n) + style[1]
+                           : style;
+                return `${indent}${mark} ${body}`;
+            })
+            .join('\n');
+    }
+
+    /** 1 → "a", 26 → "z", 27 → "aa", like spreadsheet columns. */
+    static letterIndex(n) {
+        let out = '';
+        for (; n > 0; n = Math.floor((n - 1) / 26)) out = String.fromCharCode(97 + (n - 1) % 26) + out;
+        return out;
+    }
+
+    /** Adds `prefix` at the start and `suffix` at the end (before trailing spaces) of each non-blank line. */
+    static affixLines(text, prefix = '', suffix = '') {
+        if (!text) return '';
+        return text
+            .split('\n')
+            .map(line => line.trim() ? prefix + line.replace(/\s*$/, end => suffix + end) : line)
+            .join('\n');
+    }
+
+    static WRAP_PAIRS = {
+        '"':  ['"', '"'],
+        "'":  ["'", "'"],
+        '`':  ['`', '`'],
+        '“”': ['“', '”'],
+        '«»': ['«', '»'],
+        '()': ['(', ')'],
+        '[]': ['[', ']'],
+        '{}': ['{', '}'],
+    };
+
+    /**
+     * Wraps the content of each non-blank line (indentation stays outside) in `open` … `close`.
+     * `escape` handles the closing mark inside the line: 'double' (SQL: O''Brien),
+     * 'backslash' (O\'Brien) or 'none'.
+     */
+    static wrapLines(text, open, close = open, escape = 'none') {
+        if (!text) return '';
+        const quote = close && escape !== 'none'
+            ? value => value.split(close).join(escape === 'double' ? close + close : '\\' + close)
+            : value => value;
+        return text
+            .split('\n')
+            .map(line => {
+                const m = line.match(/^(\s*)(.*?)(\s*)$/);
+                return m[2] ? `${m[1]}${open}${quote(m[2])}${close}${m[3]}` : line;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Joins non-blank lines into one line with `delimiter`, trimming each:
+     * "a\nb\nc" → "a, b, c". For paragraph-aware joining see joinLines.
+     */
+    static joinWith(text, delimiter = ', ') {
+        if (!text) return '';
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join(delimiter);
+    }
+}
+
+// === CASE CONVERSION ===
+class CaseConverter {
+    // caseType → how it is shown in toasts, history and recipes
+    static TYPES = {
+        upper:       'UPPERCASE',
+        lower:       'lowercase',
+        title:       'Title Case',
+        sentence:    'Sentence case',
+        camel:       'camelCase',
+        pascal:      'PascalCase',
+        snake:       'snake_case',
+        kebab:       'kebab-case',
+        constant:    'CONSTANT_CASE',
+        dot:         'dot.case',
+        path:        'path/case',
+        train:       'Train-Case',
+        alternating: 'aLtErNaTiNg case',
+        inverse:     'iNVERSE cASE',
+        slug:        'url-slug',
+    };
+
+    // ─── TITLE CASE ───
+    // Per style: which minor words stay lowercase, up to what length, and whether
+    // the last word is always capitalised
+    static TITLE_STYLES = {
+        ap:        { label: 'AP',        conjunctions: 'and but for nor or so yet', maxLength: 3,        lastWord: true },
+        apa:       { label: 'APA',       conjunctions: 'and but for nor or so yet', maxLength: 3,        lastWord: false },
+        chicago:   { label: 'Chicago',   conjunctions: 'and but for nor or',        maxLength: Infinity, lastWord: true },
+        mla:       { label: 'MLA',       conjunctions: 'and but for nor or so yet', maxLength: Infinity, lastWord: true },
+        wikipedia: { label: 'Wikipedia', conjunctions: 'and but for nor or so yet', maxLength: 4,        lastWord: true },
+    };
+
+    static DEFAULT_TITLE_STYLE = 'chicago';
+
+    static ARTICLES = 'a an the';
+
+    static PREPOSITIONS = `aboard about above across after against along amid among around as at atop before
+        behind below beneath beside besides between beyond by despite down during except for from in inside
+        into like near of off on onto opposite out outside over past per plus round since than through
+        throughout till to toward towards under underneath unlike until up upon versus via vs with within without`;
+
+    // Spellings kept whatever case they are typed in: acronyms and mixed-case names.
+    // Acronyms that are also words ("IT", "US", "WHO") are only kept when typed in capitals.
+    static KNOWN_WORDS = `2D 3D AI API BBC CEO CFO CIA CNN COVID CPU CSS CSV DIY DNA EU FAQ FBI GDP GPS GPU HIV HR HTML
+        HTTP HTTPS IBM IoT IRS JSON LGBTQ MBA NASA NATO NBA NFL NGO NHS NYC PC PDF PhD RAM
+        SaaS SEO SMS SQL SUV TV UFO UK UNESCO URL USA USB UX UI VIP VR WiFi XML
+        eBay eBook iCloud iMac iOS iPad iPhone iPod iTunes macOS GitHub GitLab JavaScript TypeScript LinkedIn
+        YouTube PayPal PlayStation PowerPoint WordPress WhatsApp TikTok OpenAI DeviantArt McDonald's`;
+
+    static titleWords = new Map();    // style → Set of lowercase minor words
+    static knownWords = null;         // lowercase → canonical spelling
+
+    // Letters that don't decompose into a base letter plus accent
+    static TRANSLITERATIONS = {
+        ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D',
+        ð: 'd', Ð: 'D', ł: 'l', Ł: 'L', þ: 'th', Þ: 'TH', ı: 'i', ħ: 'h', Ħ: 'H',
+    };
+
+    /**
+     * `style` picks the title-case style guide (see TITLE_STYLES). Sentence case keeps
+     * `properNouns` as written, and with `learn` also words capitalised mid-sentence.
+     */
+    static convert(text, caseType, { style, properNouns, learn } = {}) {
+        if (!text) return '';
+
+        switch (caseType) {
+            case 'upper':
+                return text.toUpperCase();
+            case 'lower':
+                return text.toLowerCase();
+            case 'title':
+                return this.perLine(text, line => this.titleCase(line, style));
+            case 'sentence':
+                return this.sentenceCase(text, { properNouns, learn });
+            case 'camel':
+                return this.perLine(text, line => this.words(line)
+                    .map((w, i) => i ? this.capitalize(w) : w.toLowerCase()).join(''));
+            case 'pascal':
+                return this.perLine(text, line => this.words(line).map(w => this.capitalize(w)).join(''));
+            case 'snake':
+                return this.perLine(text, line => this.words(line).join('_').toLowerCase());
+            case 'kebab':
+                return this.perLine(text, line => this.words(line).join('-').toLowerCase());
+            case 'constant':
+                return this.perLine(text, line => this.words(line).join('_').toUpperCase());
+            case 'dot':
+                return this.perLine(text, line => this.words(line).join('.').toLowerCase());
+            case 'path':
+                return this.perLine(text, line => this.words(line).join('/').toLowerCase());
+            case 'train':
+                return this.perLine(text, line => this.words(line).map(w => this.capitalize(w)).join('-'));
+            case 'alternating':
+                return this.perLine(text, line => {
+                    let n = 0;
+                    return line.replace(/\p{L}/gu, ch => n++ % 2 ? ch.toUpperCase() : ch.toLowerCase());
+                });
+            case 'inverse':
+                return text.replace(/\p{L}/gu, ch => {
+                    const upper = ch.toUpperCase();
+                    return ch === upper ? ch.toLowerCase() : upper;
+                });
+            case 'slug':
+                return this.perLine(text, line => this.slugify(line));
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Splits an identifier or phrase into words: on spaces and punctuation, at
+     * camel humps ("parseHttp"), after acronyms ("HTTPResponse" → HTTP, Response)
+     * and after digits followed by a capital ("utf8Encoder" → utf8, Encoder).
+     */
+    static words(text) {
+        return text
+            .replace(/['’]/g, '')
+            .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+            .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+            .split(/[^\p{L}\p{M}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    static capitalize(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    }
+
+    /** Converts each line on its own, keeping indentation, so a list of identifiers converts at once. */
+    static perLine(text, convert) {
+        return text.split('\n').map(line => {
+            const [, indent, body, trailing] = line.match(/^(\s*)(.*?)(\s*)$/);
+            return body ? indent + convert(body) + trailing : line;
+        }).join('\n');
+    }
+
+    static minorWords(style) {
+        if (!this.titleWords.has(style)) {
+            const { conjunctions, maxLength } = this.TITLE_STYLES[style];
+            const words = `${this.ARTICLES} ${conjunctions} ${this.PREPOSITIONS}`.trim().split(/\s+/);
+            this.titleWords.set(style, new Set(words.filter(w => w.length <= maxLength)));
+        }
+        return this.titleWords.get(style);
+    }
+
+    /** Canonical spelling of a known acronym or brand ("nasa" → "NASA"), or undefined. */
+    static knownWord(word) {
+        if (!this.knownWords) {
+            this.knownWords = new Map(this.KNOWN_WORDS.trim().split(/\s+/).map(w => [w.toLowerCase(), w]));
+        }
+        return this.knownWords.get(word.toLowerCase());
+    }
+
+    /**
+     * One line as a title. The first word, the first word after a colon or the end
+     * of a sentence and (in most styles) the last word are always capitalised; minor
+     * words stay lowercase elsewhere. Acronyms, mixed-case names ("iPhone"), URLs and
+     * email addresses are left as typed — unless the whole line is in capitals, when
+     * only known acronyms are kept.
+     */
+    static titleCase(line, style = this.DEFAULT_TITLE_STYLE) {
+        if (!this.TITLE_STYLES[style]) style = this.DEFAULT_TITLE_STYLE;
+        const minor   = this.minorWords(style);
+        const shouted = !/\p{Ll}/u.test(line);
+        const parts   = line.split(/(\s+)/);
+        const wordIndexes = parts.flatMap((part, i) => /[\p{L}\p{N}]/u.test(part) ? [i] : []);
+        const words = new Set(wordIndexes);
+        const last  = wordIndexes[wordIndexes.length - 1];
+
+        let startsPhrase = true;
+        return parts.map((part, i) => {
+            if (!words.has(i)) return part;
+            const [, before, core, after] = part.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+            const force = startsPhrase || (i === last && this.TITLE_STYLES[style].lastWord);
+            startsPhrase = /[:?!.]$/.test(after);
+            return before + this.titleWord(core, { force, minor, shouted }) + after;
+        }).join('');
+    }
+
+    static titleWord(word, { force, minor, shouted }) {
+        const known = this.knownWord(word);
+        if (known) return known;
+        // URLs, email addresses, file paths and domain names
+        if (/[@/\\]|^www\.|\.\p{L}{2,}$/u.test(word)) return word;
+        if (!shouted) {
+            if (/\p{Lu}/u.test(word) && !/\p{Ll}/u.test(word) && word.length > 1) return word;   // NASA
+            if (/\p{Ll}.*\p{Lu}/u.test(word)) return word;                                        // iPhone
+        }
+
+        // Hyphenated compounds: the first part is capitalised, later ones follow the minor-word rule ("Up-to-Date")
+        const parts = word.split('-');
+        return parts.map((part, i) => {
+            const lower = part.toLowerCase();
+            if (i > 0 && /^\p{Lu}/u.test(part) && !shouted) return part;
+            const first = i === 0 && (force || parts.length > 1);
+            if (!first && minor.has(lower)) return lower;
+            return lower.replace(/^\p{L}/u, ch => ch.toUpperCase());
+        }).join('-');
+    }
+
+    // ─── SENTENCE CASE ───
+    static WORD = /[\p{L}\p{M}\p{N}]+(?:['’.-][\p{L}\p{M}\p{N}]+)*/gu;
+
+    // A full stop after these doesn't end the sentence unless the next word was capitalised
+    static ABBREVIATIONS = new Set(['e.g', 'i.e', 'etc', 'vs', 'cf', 'approx', 'mr', 'mrs', 'ms', 'dr', 'prof',
+        'st', 'jr', 'sr', 'no', 'fig', 'vol']);
+
+    /**
+     * Word tokens with whether each starts a sentence. A sentence starts at the
+     * beginning of the text or of a line (so list items and headings count), and
+     * after . ! or ? followed by a space — closing brackets may sit between. After
+     * an ellipsis, an abbreviation ("e.g.", "U.S.") or a closing quote ('"Why?" she
+     * asked') the original capital decides.
+     */
+    static sentenceTokens(text) {
+        const tokens = [];
+        let prevEnd = 0, prevWord = null;
+        for (const m of text.matchAll(this.WORD)) {
+            const gap = text.slice(prevEnd, m.index);
+            const abbreviation = prevWord !== null &&
+                (prevWord.includes('.') || this.ABBREVIATIONS.has(prevWord.toLowerCase()));
+            let start;
+            if (prevWord === null || gap.includes('\n')) {
+                start = true;
+            } else if (/(?:\.\.\.|…)[)\]"'”’»]*\s+\S*$/.test(gap) ||
+                       /[.!?][)\]]*["'”’»]\s/.test(gap) ||
+                       (/^\.[)\]]*\s/.test(gap) && abbreviation)) {
+                start = /^\p{Lu}/u.test(m[0]);
+            } else {
+                start = /[.!?][)\]]*\s/.test(gap);
+            }
+            tokens.push({ word: m[0], index: m.index, start });
+            prevEnd  = m.index + m[0].length;
+            prevWord = m[0];
+        }
+        return tokens;
+    }
+
+    /**
+     * Words capitalised mid-sentence and never written in lowercase — likely names
+     * and places ("Paris", "Ada Lovelace"). Acronyms are left to the acronym rule.
+     */
+    static learnProperNouns(text) {
+        const capitalised = new Map(), lowercase = new Set();
+        this.sentenceTokens(text).forEach(({ word, start }) => {
+            if (/^\p{Ll}/u.test(word)) lowercase.add(word.toLowerCase());
+            else if (!start && /^\p{Lu}\p{Ll}/u.test(word) && !/^I(?:['’].*)?$/.test(word)) {
+                capitalised.set(word.toLowerCase(), word);
+            }
+        });
+        return [...capitalised].filter(([lower]) => !lowercase.has(lower)).map(([, word]) => word);
+    }
+
+    /**
+     * Sentence case that leaves "I", acronyms, mixed-case names ("iPhone"), known
+     * words and `properNouns` alone. Entries may be phrases ("New York").
+     */
+    static sentenceCase(text, { properNouns = [], learn = false } = {}) {
+        const dictionary = new Map();
+        const phrases    = [];
+        [...properNouns, ...(learn ? this.learnProperNouns(text) : [])].forEach(term => {
+            term = term.trim();
+            if (!term) return;
+            if (/\s/.test(term)) phrases.push(term);
+            else dictionary.set(term.toLowerCase(), term);
+        });
+        // In all-caps text every word looks like an acronym, so only listed ones are kept
+        const shouted = !/\p{Ll}/u.test(text);
+
+        const tokens = this.sentenceTokens(text);
+        const isCaps = ({ word }) => /\p{Lu}/u.test(word) && !/\p{Ll}/u.test(word) && /\p{L}.*\p{L}/u.test(word);
+        const caps   = tokens.map(isCaps);
+
+        let out = '', pos = 0;
+        tokens.forEach(({ word, index, start }, i) => {
+            out += text.slice(pos, index);
+            pos  = index + word.length;
+
+            const known = dictionary.get(word.toLowerCase()) || this.knownWord(word);
+            // Neighbouring capitalised words are shouting rather than acronyms
+            const acronym = caps[i] && !caps[i - 1] && !caps[i + 1];
+            let result;
+            if (known) {
+                result = known;
+            } else if (!shouted && acronym) {
+                result = word;                                          // NASA, U.S
+            } else if (!shouted && /\p{Ll}\p{Lu}/u.test(word)) {
+                result = word;                                          // iPhone, McDonald
+            } else if (/^i(?:['’](?:m|ve|d|ll))?$/i.test(word)) {
+                result = 'I' + word.slice(1).toLowerCase();             // I, I'm, I've
+            } else {
+                result = word.toLowerCase();
+            }
+            out += start ? result.replace(/^\p{Ll}/u, ch => ch.toUpperCase()) : result;
+        });
+        out += text.slice(pos);
+
+        phrases.forEach(phrase => {
+            const body = phrase.split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+            out = out.replace(new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu'), match =>
+                // Keep the original spacing, take the dictionary's capitals
+                match.split(/(\s+)/).map((part, i) => i % 2 ? part : phrase.split(/\s+/)[i / 2]).join(''));
+        });
+        return out;
+    }
+
+    /**
+     * "Crème Brûlée à la Straße!" → "creme-brulee-a-la-strasse". Non-Latin letters are kept.
+     * Camel humps and letter/digit boundaries are word breaks too: "myFileName" →
+     * "my-file-name", "HTTPResponse" → "http-response", "v2release" → "v-2-release".
+     */
+    static slugify(text) {
+        return text
+            .replace(/[^\x00-\x7F]/g, ch => this.TRANSLITERATIONS[ch] || ch)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .normalize('NFC')
+            .replace(/(\p{Ll})(\p{Lu})/gu, '$1-$2')
+            .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1-$2')
+            .replace(/(?<=\p{L})(?=\p{N})|(?<=\p{N})(?=\p{L})/gu, '-')
+            .toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+}
+
+// === FORMATTING EXTRACTION ===
+class FormattingExtractor {
+    static extractFormatting(html) {
+        if (!html || !html.includes('<')) return null;
+
+        try {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+
+            const formatting = {
+                fonts: new Set(), sizes: new Set(), weights: new Set(),
+                colors: new Set(), styles: new Set(), elements: new Set()
+            };
+
+            doc.body.querySelectorAll('*').forEach(el => {
+                formatting.elements.add(el.tagName.toLowerCase());
+                if (el.style.fontFamily) formatting.fonts.add(el.style.fontFamily.replace(/['"]/g, ''));
+                if (el.style.fontSize)   formatting.sizes.add(el.style.fontSize);
+                if (el.style.fontWeight) formatting.weights.add(el.style.fontWeight);
+                if (el.style.color)      formatting.colors.add(el.style.color);
+
+                const tag = el.tagName.toLowerCase();
+                if (['b', 'strong'].includes(tag))  formatting.styles.add('Bold');
+                if (['i', 'em'].includes(tag))       formatting.styles.add('Italic');
+                if (tag === 'u')                      formatting.styles.add('Underline');
+                if (tag === 'strike' || tag === 's') formatting.styles.add('Strikethrough');
+                if (/^h[1-6]$/.test(tag))            formatting.styles.add('Heading');
+
+                if (el.hasAttribute('face'))  formatting.fonts.add(el.getAttribute('face'));
+                if (el.hasAttribute('size'))  formatting.sizes.add(el.getAttribute('size'));
+                if (el.hasAttribute('color')) formatting.colors.add(el.getAttribute('color'));
+            });
+
+            return {
+                fonts:    Array.from(formatting.fonts).filter(Boolean).slice(0, 5),
+                sizes:    Array.from(formatting.sizes).filter(Boolean).slice(0, 5),
+                weights:  Array.from(formatting.weights).filter(w => w && w !== '400').slice(0, 5),
+                colors:   Array.from(formatting.colors).filter(Boolean).slice(0, 8),
+                styles:   Array.from(formatting.styles).filter(Boolean),
+                elements: Array.from(formatting.elements)
+                              .filter(e => !['div', 'span', 'font'].includes(e)).slice(0, 8),
+                hasFormatting: formatting.fonts.size > 0 || formatting.sizes.size > 0 ||
+                               formatting.styles.size > 0 || formatting.colors.size > 0
+            };
+        } catch (err) {
+            console.error('Error extracting formatting:', err);
+            return null;
+        }
+    }
+
+    static formatForDisplay(formatting) {
         if (!formatting || !formatting.hasFormatting) return null;
 
-        const display = [];
-        if (formatting.fonts.length)    display.push({ label: 'Fonts',    values: formatting.fonts });
-        if (formatting.sizes.length)    display.push({ label: 'Sizes',    values: formatting.sizes });
-        if (formatting.weights.length)  display.push({ label: 'Weights',  values: formatting.weights });
-        if (formatting.colors.length)   display.push({ label: 'Colors',   values: formatting.colors });
-        if (formatting.styles.length)   display.push({ label: 'Styles',   values: formatting.styles });
-        if (formatting.elements.length) display.push({ label: 'Elements', values: formatting.elements });
+        const display = [];
+        if (formatting.fonts.length)    display.push({ label: 'Fonts',    values: formatting.fonts });
+        if (formatting.sizes.length)    display.push({ label: 'Sizes',    values: formatting.sizes });
+        if (formatting.weights.length)  display.push({ label: 'Weights',  values: formatting.weights });
+        if (formatting.colors.length)   display.push({ label: 'Colors',   values: formatting.colors });
+        if (formatting.styles.length)   display.push({ label: 'Styles',   values: formatting.styles });
+        if (formatting.elements.length) display.push({ label: 'Elements', values: formatting.elements });
+
+        return display;
+    }
+}
+
+// === DOCUMENT STRUCTURE ===
+/**
+ * Detects headings, lists and paragraphs in plain text so exporters can map
+ * them to real structure. A document is a list of blocks:
+ *   { kind: 'h1' | 'h2' | 'h3' | 'p' | 'ul' | 'ol', lines: [{ text, indent, ordered }] }
+ * List lines have their markers removed; `indent` is the nesting level and
+ * `ordered` the line's own marker style (nested lists may differ from the block).
+ */
+class DocumentStructure {
+    static KINDS = ['h1', 'h2', 'h3', 'p', 'ul', 'ol'];
+
+    static LIST_LINE = /^([ \t]*)([•·▪◦‣∙*–-]|\d{1,3}[.)]|[a-zA-Z][.)])[ \t]+(\S.*)$/;
+
+    static parse(text) {
+        if (!text || !text.trim()) return [];
+
+        const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/);
+        const blocks = [];
+
+        paragraphs.forEach((para, i) => {
+            const lines = para.split('\n').filter(l => l.trim());
+            if (!lines.length) return;
+
+            const isLast = paragraphs.slice(i + 1).every(p => !p.trim());
+            if (lines.length === 1 && !isLast && this.looksLikeHeading(lines[0])) {
+                blocks.push({ kind: blocks.length === 0 ? 'h1' : 'h2', lines: [{ text: lines[0].trim(), indent: 0 }] });
+                return;
+            }
+
+            // Split into runs of list lines and plain lines ("Intro:\n- a\n- b")
+            let run = null;
+            lines.forEach(line => {
+                const m    = line.match(this.LIST_LINE);
+                const kind = m ? (/^[\d]|^[a-zA-Z][.)]/.test(m[2]) ? 'ol' : 'ul') : 'p';
+                const entry = m
+                    ? { text: m[3].trim(), indent: this.indentLevel(m[1]), ordered: kind === 'ol' }
+                    : { text: line.trim(), indent: 0 };
+
+                // Nested items may switch marker style without starting a new list
+                const continues = run && (run.kind === kind || (run.kind !== 'p' && kind !== 'p' && entry.indent > 0));
+                if (continues) {
+                    run.lines.push(entry);
+                } else {
+                    run = { kind, lines: [entry] };
+                    blocks.push(run);
+                }
+            });
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Short single line, no sentence-ending punctuation, not a list item.
+     */
+    static looksLikeHeading(line) {
+        const text = line.trim();
+        return text.length > 0 &&
+               text.length <= 80 &&
+               text.split(/\s+/).length <= 10 &&
+               !/[.,;:!?…)"”'’]$/.test(text) &&
+               !this.LIST_LINE.test(line);
+    }
+
+    static indentLevel(whitespace) {
+        const width = whitespace.replace(/\t/g, '    ').length;
+        return Math.floor(width / 2);
+    }
+
+    /**
+     * Changes a block's kind, keeping its text.
+     */
+    static convert(block, kind) {
+        if (!this.KINDS.includes(kind)) return block;
+        if (kind[0] === 'h') {
+            return { kind, lines: [{ text: block.lines.map(l => l.text).join(' '), indent: 0 }] };
+        }
+        if (kind === 'p') {
+            return { kind, lines: block.lines.map(l => ({ text: l.text, indent: 0 })) };
+        }
+        return {
+            kind,
+            lines: block.lines.map(l => ({
+                text:    l.text,
+                indent:  l.indent,
+                ordered: l.indent > 0 && l.ordered !== undefined ? l.ordered : kind === 'ol',
+            })),
+        };
+    }
+
+    // First heading, or the start of the first line
+    static title(blocks) {
+        const heading = blocks.find(b => b.kind[0] === 'h');
+        const text    = (heading || blocks[0])?.lines[0]?.text || '';
+        return text.length > 60 ? text.slice(0, 57).trimEnd() + '…' : text;
+    }
+}
+
+// === MARKDOWN CONVERSION ===
+/**
+ * Converts rich clipboard HTML (Google Docs, Word, web pages) to CommonMark,
+ * with GFM tables and strikethrough. Parsing uses DOMParser; without a DOM
+ * (Node) it falls back to plain stripping.
+ * Also writes Markdown from plain text via DocumentStructure blocks.
+ */
+class MarkdownConverter {
+    static BLOCK_TAGS = new Set([
+        'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'table', 'hr',
+        'dl', 'dt', 'dd', 'address', 'figcaption'
+    ]);
+
+    static NOISE_SELECTOR = 'script, style, meta, link, title, template, xml, head, o\\:p';
+
+    static fromHtml(html) {
+        if (!html) return '';
+        if (typeof DOMParser === 'undefined' || !html.includes('<')) return TextFormatter.stripFormatting(html);
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        this.removeNoise(doc);
+
+        return this.blocks(doc.body)
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // ─── FROM PLAIN TEXT ──────────────────────────────────────
+
+    /**
+     * Renders DocumentStructure blocks as Markdown, escaping anything in the
+     * text that would otherwise turn into Markdown syntax.
+     */
+    static fromBlocks(blocks) {
+        return blocks.map(block => {
+            const { kind, lines } = block;
+
+            if (kind[0] === 'h') {
+                return `${'#'.repeat(parseInt(kind[1]))} ${this.escapeText(lines.map(l => l.text).join(' '))}`;
+            }
+
+            if (kind === 'ul' || kind === 'ol') {
+                const counters = [];
+                const widths   = [];
+                return lines.map(({ text, indent, ordered = kind === 'ol' }) => {
+                    counters.length = indent + 1;
+                    counters[indent] = (counters[indent] || 0) + 1;
+                    const marker = ordered ? `${counters[indent]}.` : '-';
+                    widths[indent] = marker.length + 1;
+                    const pad = widths.slice(0, indent).reduce((sum, w) => sum + (w || 2), 0);
+                    return `${' '.repeat(pad)}${marker} ${this.escapeText(text)}`;
+                }).join('\n');
+            }
+
+            return lines.map(l => this.escapeLineStart(this.escapeText(l.text))).join('\n');
+        }).join('\n\n');
+    }
+
+    /**
+     * YAML front matter block. Values are written as JSON scalars, which are valid YAML.
+     */
+    static frontMatter(fields) {
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${key}: ${typeof value === 'number' ? value : JSON.stringify(String(value))}`);
+        return `---\n${lines.join('\n')}\n---\n\n`;
+    }
+
+    // ─── CLEAN-UP ─────────────────────────────────────────────
+
+    /**
+     * Removes Office/Docs artefacts: <o:p>, conditional comments, Google's
+     * <b id="docs-internal-guid-…"> wrapper and Word's fake list bullets.
+     */
+    static removeNoise(doc) {
+        doc.querySelectorAll(this.NOISE_SELECTOR).forEach(el => el.remove());
+
+        const walker = doc.createTreeWalker(doc.body, 128 /* NodeFilter.SHOW_COMMENT */);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        comments.forEach(c => c.remove());
+
+        // Google Docs wraps the whole clipboard in a non-bold <b>
+        doc.querySelectorAll('b[id^="docs-internal-guid"]').forEach(el => el.replaceWith(...el.childNodes));
+
+        this.rebuildWordLists(doc);
+    }
+
+    /**
+     * Word exports lists as <p class="MsoListParagraph…" style="mso-list:l0 level2 lfo1">
+     * with the bullet as text in a mso-list:Ignore span. Turns runs of those into real lists.
+     */
+    static rebuildWordLists(doc) {
+        const isListPara = el => el?.nodeType === 1 && el.tagName === 'P' &&
+            /mso-list:\s*l\d/i.test(el.getAttribute('style') || '');
+
+        Array.from(doc.querySelectorAll('p')).forEach(first => {
+            if (!first.isConnected || !isListPara(first) || isListPara(this.prevElement(first))) return;
+
+            const root  = { children: [], level: 0 };
+            const stack = [root];
+            let node = first;
+
+            while (isListPara(node)) {
+                const next   = this.nextElement(node);
+                const level  = parseInt((node.getAttribute('style').match(/level(\d+)/i) || [])[1] || '1');
+                const marker = Array.from(node.querySelectorAll('span'))
+                    .find(s => /mso-list:\s*ignore/i.test(s.getAttribute('style') || ''));
+                const ordered = marker ? /^\s*[\w]+[.)]/.test(marker.textContent) : false;
+                marker?.remove();
+
+                while (stack.length > 1 && stack[stack.length - 1].level >= level) stack.pop();
+                const parent = stack[stack.length - 1];
+                const item   = { node, ordered, level, children: [] };
+                parent.children.push(item);
+                stack.push(item);
+                node = next;
+            }
+
+            const build = (items) => {
+                const list = doc.createElement(items[0].ordered ? 'ol' : 'ul');
+                items.forEach(item => {
+                    const li = doc.createElement('li');
+                    li.append(...item.node.childNodes);
+                    if (item.children.length) li.appendChild(build(item.children));
+                    list.appendChild(li);
+                });
+                return list;
+            };
+
+            const list = build(root.children);
+            first.before(list);
+            const remove = items => items.forEach(i => { i.node.remove(); remove(i.children); });
+            remove(root.children);
+        });
+    }
+
+    static prevElement(el) {
+        let n = el.previousSibling;
+        while (n && n.nodeType === 3 && !n.textContent.trim()) n = n.previousSibling;
+        return n;
+    }
+
+    static nextElement(el) {
+        let n = el.nextSibling;
+        while (n && n.nodeType === 3 && !n.textContent.trim()) n = n.nextSibling;
+        return n;
+    }
+
+    // ─── BLOCKS ───────────────────────────────────────────────
+
+    /**
+     * Converts the children of `parent` to Markdown blocks separated by blank lines.
+     */
+    static blocks(parent) {
+        const out = [];
+        let inline = '';
+
+        const flush = () => {
+            const text = inline.replace(/[ \t]+/g, ' ').trim();
+            if (text) out.push(this.escapeLineStart(text));
+            inline = '';
+        };
+
+        parent.childNodes.forEach(node => {
+            if (node.nodeType === 1 && this.BLOCK_TAGS.has(node.tagName.toLowerCase())) {
+                flush();
+                const block = this.block(node);
+                if (block.trim()) out.push(block);
+            } else {
+                inline += this.inline(node);
+            }
+        });
+        flush();
+
+        return out.join('\n\n');
+    }
+
+    static block(el) {
+        const tag = el.tagName.toLowerCase();
+
+        if (/^h[1-6]$/.test(tag)) {
+            const text = this.inlineChildren(el).replace(/\s+/g, ' ').trim();
+            return text ? `${'#'.repeat(parseInt(tag[1]))} ${text}` : '';
+        }
+
+        switch (tag) {
+            case 'ul':
+            case 'ol':
+                return this.list(el);
+            case 'blockquote':
+                return this.blocks(el).split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+            case 'pre':
+                return this.codeBlock(el);
+            case 'table':
+                return this.table(el);
+            case 'hr':
+                return '---';
+            case 'li':
+                return `- ${this.listItem(el)}`;
+            default:
+                return this.blocks(el);
+        }
+    }
+
+    static list(el) {
+        const ordered = el.tagName.toLowerCase() === 'ol';
+        let n = parseInt(el.getAttribute('start')) || 1;
+
+        return Array.from(el.children)
+            .filter(child => child.tagName.toLowerCase() === 'li')
+            .map(li => {
+                const marker = ordered ? `${n++}.` : '-';
+                const indent = ' '.repeat(marker.length + 1);
+                const lines  = this.listItem(li).split('\n');
+                return `${marker} ${lines[0]}` + lines.slice(1).map(l => l ? `\n${indent}${l}` : '\n').join('');
+            })
+            .join('\n');
+    }
+
+    // List item content: inline text and <p>s stay tight; nested lists follow on the next line
+    static listItem(li) {
+        const parts = [];
+        let inline = '';
+        const flush = () => {
+            const text = inline.replace(/[ \t]+/g, ' ').trim();
+            if (text) parts.push(text);
+            inline = '';
+        };
+
+        li.childNodes.forEach(node => {
+            const tag = node.nodeType === 1 ? node.tagName.toLowerCase() : '';
+            if (tag === 'ul' || tag === 'ol') {
+                flush();
+                parts.push(this.list(node));
+            } else if (tag === 'p' || tag === 'div') {
+                flush();
+                const text = this.blocks(node);
+                if (text) parts.push(text);
+            } else if (tag && this.BLOCK_TAGS.has(tag)) {
+                flush();
+                const text = this.block(node);
+                if (text) parts.push(text);
+            } else {
+                inline += this.inline(node);
+            }
+        });
+        flush();
+
+        return parts.join('\n');
+    }
+
+    static codeBlock(el) {
+        const code  = el.querySelector('code') || el;
+        const text  = code.textContent.replace(/\n$/, '');
+        const lang  = ((code.getAttribute('class') || '').match(/(?:lang|language)-([\w+#-]+)/) || [])[1] || '';
+        const ticks = Math.max(3, ...Array.from(text.matchAll(/`+/g), m => m[0].length + 1));
+        const fence = '`'.repeat(ticks);
+        return `${fence}${lang}\n${text}\n${fence}`;
+    }
+
+    static table(el) {
+        const rows = Array.from(el.querySelectorAll('tr'))
+            .filter(tr => tr.closest('table') === el)
+            .map(tr => Array.from(tr.children)
+                .filter(c => /^t[hd]$/i.test(c.tagName))
+                .map(cell => ({
+                    text:  this.inlineChildren(cell).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|'),
+                    align: (cell.getAttribute('align') || cell.style?.textAlign || '').toLowerCase(),
+                })));
+
+        if (!rows.length) return '';
+
+        const width = Math.max(...rows.map(r => r.length));
+        const pad   = row => Array.from({ length: width }, (_, i) => row[i] || { text: '', align: '' });
+        const line  = row => `| ${pad(row).map(c => c.text).join(' | ')} |`;
+        const rule  = pad(rows[0]).map(c =>
+            c.align === 'center' ? ':---:' : c.align === 'right' ? '---:' : c.align === 'left' ? ':---' : '---'
+        );
+
+        return [line(rows[0]), `| ${rule.join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+    }
+
+    // ─── INLINE ───────────────────────────────────────────────
+
+    static inlineChildren(el) {
+        return Array.from(el.childNodes).map(n => this.inline(n)).join('');
+    }
+
+    static inline(node) {
+        if (node.nodeType === 3) return this.escapeText(node.textContent.replace(/\s+/g, ' '));
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.tagName.toLowerCase();
+        const inner = () => this.inlineChildren(node);
+
+        switch (tag) {
+            case 'br':
+                return '\\\n';
+            case 'strong':
+            case 'b':
+                return /^(normal|[1-5]00)$/.test(node.style?.fontWeight || '') ? inner() : this.wrap(inner(), '**');
+            case 'em':
+            case 'i':
+            case 'cite':
+                return /normal/.test(node.style?.fontStyle || '') ? inner() : this.wrap(inner(), '*');
+            case 's':
+            case 'strike':
+            case 'del':
+                return this.wrap(inner(), '~~');
+            case 'code':
+            case 'kbd':
+            case 'samp':
+                return this.inlineCode(node.textContent);
+            case 'a':
+                return this.link(node, inner());
+            case 'img': {
+                const src = node.getAttribute('src') || '';
+                return src && !src.startsWith('data:') ? `![${this.escapeText(node.getAttribute('alt') || '')}](${this.escapeUrl(src)})` : '';
+            }
+            case 'span':
+            case 'font':
+                return this.styledSpan(node, inner());
+            default:
+                return this.BLOCK_TAGS.has(tag) ? ` ${inner()} ` : inner();
+        }
+    }
+
+    // Google Docs and Word express bold/italic/strike as inline styles, not tags
+    static styledSpan(el, text) {
+        const style  = el.style || {};
+        const weight = style.fontWeight || '';
+        if (weight === 'bold' || weight === 'bolder' || parseInt(weight) >= 600) text = this.wrap(text, '**');
+        if (style.fontStyle === 'italic')                                        text = this.wrap(text, '*');
+        if (/line-through/.test(style.textDecoration || style.textDecorationLine || '')) text = this.wrap(text, '~~');
+        return text;
+    }
+
+    // Keeps surrounding whitespace outside the delimiters so "** bold**" never happens
+    static wrap(text, mark) {
+        const m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return m[2] ? `${m[1]}${mark}${m[2]}${mark}${m[3]}` : text;
+    }
+
+    static link(el, text) {
+        const href  = (el.getAttribute('href') || '').trim();
+        const label = text.trim();
+        if (!href || /^(javascript|data):/i.test(href) || href.startsWith('#')) return text;
+        if (!label) return '';
+        if (label === this.escapeText(href) || label === this.escapeText(href.replace(/^mailto:/, ''))) return `<${href}>`;
+
+        const title = el.getAttribute('title');
+        return `[${label}](${this.escapeUrl(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+    }
+
+    static inlineCode(text) {
+        const ticks = '`'.repeat(Math.max(1, ...Array.from(text.matchAll(/`+/g), m => m[0].length + 1)));
+        const pad   = /^`|`$/.test(text) ? ' ' : '';
+        return `${ticks}${pad}${text}${pad}${ticks}`;
+    }
+
+    static escapeUrl(url) {
+        // encodeURIComponent leaves parentheses alone, but they would end the link early
+        return url.replace(/[()\s]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+    }
+
+    // Escapes characters that Markdown would treat as syntax inside running text
+    // Intraword underscores (snake_case) are left alone, as CommonMark ignores them;
+    // "&" only needs it where it would start an entity such as &amp; or &#38;
+    static escapeText(text) {
+        return text
+            .replace(/([\\`*[\]<])/g, '\\$1')
+            .replace(/&(?=[A-Za-z][A-Za-z\d]*;|#\d+;|#[xX][\da-fA-F]+;)/g, '\\&')
+            .replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_');
+    }
+
+    // Escapes a paragraph start that would otherwise read as a heading, quote or list item
+    static escapeLineStart(text) {
+        if (/^(#{1,6}(\s|$)|>|[-+]\s)/.test(text)) return `\\${text}`;
+        return text.replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+    }
+}
+
+// === DOCUMENT EXPORT ===
+/**
+ * Writes DocumentStructure blocks as HTML, RTF and DOCX.
+ * DOCX is built in memory as an Office Open XML zip — no server involved.
+ */
+class DocumentExporter {
+    static escapeXml(text) {
+        return text
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Groups list lines into a tree by indent: [{ text, ordered, children: [...] }].
+     */
+    static listTree(block) {
+        const root  = { children: [] };
+        const stack = [{ node: root, indent: -1 }];
+
+        block.lines.forEach(({ text, indent, ordered = block.kind === 'ol' }) => {
+            while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+            const item = { text, ordered, children: [] };
+            stack[stack.length - 1].node.children.push(item);
+            stack.push({ node: item, indent });
+        });
+
+        return root.children;
+    }
+
+    // ─── HTML ─────────────────────────────────────────────────
+
+    static toHtml(blocks, { title = 'Texty export', lang = 'en' } = {}) {
+        const esc  = t => this.escapeXml(t);
+        const list = items => {
+            const tag = items[0].ordered ? 'ol' : 'ul';
+            return `<${tag}>\n` + items.map(item =>
+                `<li>${esc(item.text)}${item.children.length ? '\n' + list(item.children) : ''}</li>\n`
+            ).join('') + `</${tag}>`;
+        };
+
+        const body = blocks.map(block => {
+            if (block.kind[0] === 'h') return `<${block.kind}>${esc(block.lines.map(l => l.text).join(' '))}</${block.kind}>`;
+            if (block.kind === 'p')    return `<p>${block.lines.map(l => esc(l.text)).join('<br>\n')}</p>`;
+            return list(this.listTree(block));
+        }).join('\n\n');
+
+        return `<!DOCTYPE html>
+<html lang="${esc(lang)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="TEXTY">
+<title>${esc(title)}</title>
+<style>
+body { max-width: 42rem; margin: 2rem auto; padding: 0 1rem; font: 1rem/1.6 Georgia, 'Times New Roman', serif; color: #111; }
+h1, h2, h3 { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; line-height: 1.25; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    // ─── DIFF REPORT ──────────────────────────────────────────
+
+    /**
+     * A self-contained HTML page showing TextDiff ops inline, with a summary table.
+     * @param {Array<{type, text, move?}>} ops
+     * @param {{ title?: string, summary?: Array<[string, string]> }} [options]
+     */
+    static diffReport(ops, { title = 'Texty comparison', summary = [] } = {}) {
+        const esc  = t => this.escapeXml(t);
+        const rows = summary.map(([label, value]) => `<tr><th>${esc(label)}</th><td>${esc(value)}</td></tr>`).join('\n');
+        const body = ops.map((op) => {
+            if (op.type === 'equal') return esc(op.text);
+            const tag  = op.type === 'insert' ? 'ins' : 'del';
+            const move = op.move ? ` class="moved" title="Moved (${op.move})"` : '';
+            return `<${tag}${move}>${esc(op.text)}</${tag}>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="TEXTY">
+<title>${esc(title)}</title>
+<style>
+body { max-width: 48rem; margin: 2rem auto; padding: 0 1rem; font: 1rem/1.6 -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { padding: .25rem .75rem; border-bottom: 1px solid #e5e7eb; text-align: left; }
+.diff { white-space: pre-wrap; word-break: break-word; font-family: Georgia, 'Times New Roman', serif; }
+ins { background: #dcfce7; text-decoration: none; }
+del { background: #fee2e2; }
+.moved { background: #dbeafe; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<table>
+${rows}
+</table>
+<div class="diff">${body}</div>
+</body>
+</html>
+`;
+    }
+
+    // ─── RTF ──────────────────────────────────────────────────
+
+    static escapeRtf(text) {
+        let out = '';
+        for (const ch of text.replace(/[\\{}]/g, '\\$&')) {
+            const code = ch.codePointAt(0);
+            if (code < 0x80) {
+                out += ch === '\t' ? '\\tab ' : ch;
+            } else {
+                // \uN takes signed 16-bit units; astral characters are written as a surrogate pair
+                for (let i = 0; i < ch.length; i++) {
+                    const unit = ch.charCodeAt(i);
+                    out += `\\u${unit > 32767 ? unit - 65536 : unit}?`;
+                }
+            }
+        }
+        return out;
+    }
+
+    static toRtf(blocks) {
+        const sizes = { h1: 36, h2: 30, h3: 26 };
+        const parts = [];
+
+        blocks.forEach(block => {
+            if (block.kind[0] === 'h') {
+                const level = parseInt(block.kind[1]);
+                parts.push(`{\\pard\\s${level}\\outlinelevel${level - 1}\\keepn\\sb240\\sa120\\b\\fs${sizes[block.kind]} ` +
+                    `${this.escapeRtf(block.lines.map(l => l.text).join(' '))}\\par}`);
+            } else if (block.kind === 'p') {
+                parts.push(`{\\pard\\s0\\sa160 ${block.lines.map(l => this.escapeRtf(l.text)).join('\\line ')}\\par}`);
+            } else {
+                // Word 6 paragraph numbering (\pn) — read as real lists by Word and LibreOffice
+                const counters = [];
+                block.lines.forEach(({ text, indent, ordered = block.kind === 'ol' }) => {
+                    counters.length  = indent + 1;
+                    counters[indent] = (counters[indent] || 0) + 1;
+                    const left  = 720 * (indent + 1);
+                    const label = ordered ? `${counters[indent]}.` : '\\bullet';
+                    const pn    = ordered
+                        ? `{\\*\\pn\\pnlvlbody\\pndec\\pnstart${counters[indent]}\\pnindent360{\\pntxta.}}`
+                        : `{\\*\\pn\\pnlvlblt\\pnindent360{\\pntxtb\\bullet}}`;
+                    parts.push(`{\\pard\\s0\\li${left}\\fi-360\\sa60{\\pntext ${label}\\tab}${pn} ${this.escapeRtf(text)}\\par}`);
+                });
+            }
+        });
+
+        return '{\\rtf1\\ansi\\ansicpg1252\\deff0\\uc1\n' +
+            '{\\fonttbl{\\f0\\fswiss Calibri;}}\n' +
+            '{\\stylesheet{\\s0 Normal;}{\\s1\\b\\fs36 heading 1;}{\\s2\\b\\fs30 heading 2;}{\\s3\\b\\fs26 heading 3;}}\n' +
+            '\\f0\\fs22\n' +
+            parts.join('\n') +
+            '\n}';
+    }
+
+    // ─── DOCX ─────────────────────────────────────────────────
+
+    static DOCX_BULLETS = ['•', '◦', '▪'];
+
+    /**
+     * Returns the .docx file as a Uint8Array.
+     */
+    static toDocx(blocks, { title = 'Texty export' } = {}) {
+        const esc    = t => this.escapeXml(t);
+        const run    = text => `<w:r><w:t xml:space="preserve">${esc(text)}</w:t></w:r>`;
+        const nums   = [];   // one numbering instance per ordered list so each restarts at 1
+        const body   = [];
+
+        blocks.forEach(block => {
+            if (block.kind[0] === 'h') {
+                body.push(`<w:p><w:pPr><w:pStyle w:val="Heading${block.kind[1]}"/></w:pPr>${run(block.lines.map(l => l.text).join(' '))}</w:p>`);
+            } else if (block.kind === 'p') {
+                body.push(`<w:p>${block.lines.map(l => run(l.text)).join('<w:r><w:br/></w:r>')}</w:p>`);
+            } else {
+                const orderedId = nums.length + 2;   // numId 1 is the shared bullet list
+                let usesOrdered = false;
+                block.lines.forEach(({ text, indent, ordered = block.kind === 'ol' }) => {
+                    const ilvl = Math.min(indent, 8);
+                    usesOrdered = usesOrdered || ordered;
+                    body.push('<w:p><w:pPr><w:pStyle w:val="ListParagraph"/>' +
+                        `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${ordered ? orderedId : 1}"/></w:numPr>` +
+                        `</w:pPr>${run(text)}</w:p>`);
+                });
+                if (usesOrdered) nums.push(orderedId);
+            }
+        });
+
+        const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+        const levels = (fmt) => Array.from({ length: 9 }, (_, i) => {
+            const text = fmt === 'bullet' ? this.DOCX_BULLETS[i % 3] : `%${i + 1}.`;
+            return `<w:lvl w:ilvl="${i}"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/>` +
+                `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${720 * (i + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+                '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>' +
+                '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+                '</Relationships>',
+            'docProps/core.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+                'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+                'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+                `<dc:title>${esc(title)}</dc:title><dc:creator>TEXTY</dc:creator>` +
+                `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().slice(0, 19)}Z</dcterms:created>` +
+                '</cp:coreProperties>',
+            'word/_rels/document.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>' +
+                '</Relationships>',
+            'word/document.xml':
+                `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${W}><w:body>` +
+                (body.join('') || '<w:p/>') +
+                '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+                '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/>' +
+                '</w:sectPr></w:body></w:document>',
+            'word/styles.xml':
+                `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:styles ${W}>` +
+                '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+                '<w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault>' +
+                '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="259" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+                '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+                [[1, 32], [2, 26], [3, 24]].map(([n, size]) =>
+                    `<w:style w:type="paragraph" w:styleId="Heading${n}"><w:name w:val="heading ${n}"/>` +
+                    '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+                    `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${n - 1}"/></w:pPr>` +
+                    `<w:rPr><w:b/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`
+                ).join('') +
+                '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/>' +
+                '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:contextualSpacing/></w:pPr></w:style>' +
+                '</w:styles>',
+            'word/numbering.xml':
+                `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:numbering ${W}>` +
+                `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>` +
+                `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>` +
+                '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>' +
+                nums.map(id =>
+                    `<w:num w:numId="${id}"><w:abstractNumId w:val="1"/>` +
+                    Array.from({ length: 9 }, (_, i) =>
+                        `<w:lvlOverride w:ilvl="${i}"><w:startOverride w:val="1"/></w:lvlOverride>`).join('') +
+                    '</w:num>'
+                ).join('') +
+                '</w:numbering>',
+        };
+
+        return ZipArchive.create(files);
+    }
+}
+
+// === ZIP ARCHIVES ===
+/**
+ * Minimal ZIP support for Office Open XML: writes stored (uncompressed) entries
+ * and reads stored or deflated ones (via DecompressionStream).
+ */
+class ZipArchive {
+    static crcTable = null;
+
+    static crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * @param {Object<string, string|Uint8Array>} files — path → contents (strings are UTF-8 encoded)
+     * @returns {Uint8Array}
+     */
+    static create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const locals  = [];
+        const central = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([path, contents]) => {
+            const name = encoder.encode(path);
+            const data = typeof contents === 'string' ? encoder.encode(contents) : contents;
+            const crc  = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);   // local file header signature
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 names
+            local.setUint16(8, 0, true);            // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            locals.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);   // central directory signature
+            entry.setUint16(4, 20, true);           // version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);      // local header offset
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // end of central directory signature
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...locals, ...central, new Uint8Array(end.buffer)];
+        const out   = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let pos = 0;
+        parts.forEach(p => { out.set(p, pos); pos += p.length; });
+        return out;
+    }
+
+    /**
+     * Extracts the named entries (all entries when `names` is omitted).
+     * @returns {Promise<Map<string, Uint8Array>>}
+     */
+    static async read(bytes, names = null) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder('utf-8');
+
+        // End of central directory: last 22+ bytes, may be followed by a comment
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+        }
+        if (eocd === -1) throw new Error('Not a zip archive');
+
+        const count = view.getUint16(eocd + 10, true);
+        let ptr     = view.getUint32(eocd + 16, true);
+        const out   = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(ptr, true) !== 0x02014B50) throw new Error('Corrupt zip directory');
+            const method     = view.getUint16(ptr + 10, true);
+            const size       = view.getUint32(ptr + 20, true);
+            const nameLen    = view.getUint16(ptr + 28, true);
+            const extraLen   = view.getUint16(ptr + 30, true);
+            const commentLen = view.getUint16(ptr + 32, true);
+            const local      = view.getUint32(ptr + 42, true);
+            const name       = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+            ptr += 46 + nameLen + extraLen + commentLen;
+
+            if (names && !names.includes(name)) continue;
+
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            const data  = bytes.subarray(start, start + size);
+
+            if (method === 0)      out.set(name, data);
+            else if (method === 8) out.set(name, await this.inflate(data));
+            else                   throw new Error(`Unsupported zip compression (method ${method})`);
+        }
+
+        return out;
+    }
+
+    static async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress zip files');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// === FILE IMPORT ===
+/**
+ * Turns dropped or picked files into text. Returns { text, html, encoding }:
+ * `html` is set for rich sources (HTML, DOCX) so formatting can be inspected
+ * the same way as a rich paste.
+ */
+class FileImporter {
+    static KINDS = {
+        txt: 'text', text: 'text', md: 'text', markdown: 'text', csv: 'text', tsv: 'text', log: 'text',
+        html: 'html', htm: 'html', xhtml: 'html',
+        docx: 'docx',
+        srt: 'srt', vtt: 'srt',
+    };
+
+    static kindOf(name = '', type = '') {
+        const ext = (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+        if (ext && this.KINDS[ext]) return this.KINDS[ext];
+        if (type === 'text/html') return 'html';
+        if (type.startsWith('text/')) return 'text';
+        return null;
+    }
+
+    /**
+     * @param {string}     name  — file name (used for the type)
+     * @param {Uint8Array} bytes — raw contents
+     * @param {string}     type  — MIME type, if known
+     */
+    static async import(name, bytes, type = '') {
+        const kind = this.kindOf(name, type);
+        if (!kind) throw new Error(`Unsupported file type: ${name}`);
+
+        if (kind === 'docx') {
+            const entries = await ZipArchive.read(bytes, ['word/document.xml', 'word/numbering.xml']);
+            const xml = entries.get('word/document.xml');
+            if (!xml) throw new Error('Not a Word document (word/document.xml missing)');
+            const utf8      = new TextDecoder('utf-8');
+            const numbering = entries.has('word/numbering.xml')
+                ? this.docxNumbering(utf8.decode(entries.get('word/numbering.xml')))
+                : new Map();
+            const paragraphs = this.docxParagraphs(utf8.decode(xml), numbering);
+            return {
+                text:     this.joinParagraphs(paragraphs),
+                html:     paragraphs.map(p => `<${p.tag}>${p.html}</${p.tag}>`).join(''),
+                encoding: 'utf-8',
+            };
+        }
 
-        return display;
+        const { text, encoding } = this.decode(bytes);
+
+        if (kind === 'html') return { text: TextFormatter.stripFormatting(text), html: text, encoding };
+        if (kind === 'srt')  return { text: this.subtitlesToText(text), html: null, encoding };
+        return { text: text.replace(/\r\n?/g, '\n'), html: null, encoding };
+    }
+
+    /**
+     * Detects the encoding from a BOM, then tries strict UTF-8, then falls back
+     * to Windows-1252 (what "ANSI" files from Windows editors usually are).
+     */
+    static decode(bytes) {
+        const b = bytes;
+        if (b[0] === 0xEF && b[1] === 0xBB && b[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(b.subarray(3)), encoding: 'utf-8' };
+        }
+        if (b[0] === 0xFF && b[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(b.subarray(2)), encoding: 'utf-16le' };
+        }
+        if (b[0] === 0xFE && b[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(b.subarray(2)), encoding: 'utf-16be' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(b), encoding: 'utf-8' };
+        } catch {
+            return { text: new TextDecoder('windows-1252').decode(b), encoding: 'windows-1252' };
+        }
+    }
+
+    /**
+     * Drops cue numbers, timestamps and WebVTT headers from .srt/.vtt subtitles,
+     * keeping one blank line between cues. Only a cue's first line can be its number,
+     * so a subtitle that reads "1984" stays.
+     */
+    static subtitlesToText(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .split(/\n{2,}/)
+            .map(cue => cue
+                .split('\n')
+                .filter((line, i) => i > 0 || !/^\s*\d+\s*$/.test(line))
+                .filter(line => !/-->/.test(line))
+                .filter(line => !/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(line))
+                .map(line => line.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim())
+                .filter(Boolean)
+                .join('\n'))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    // Blank line between paragraphs; list items stay on consecutive lines
+    static joinParagraphs(paragraphs) {
+        return paragraphs
+            .filter(p => p.text.trim())
+            .map((p, i, all) => {
+                const text = p.tag === 'li' ? `${'  '.repeat(p.depth)}${p.marker || '\u2022'} ${p.text}` : p.text;
+                const next = all[i + 1];
+                return !next ? text : text + (p.tag === 'li' && next.tag === 'li' ? '\n' : '\n\n');
+            })
+            .join('');
+    }
+
+    /**
+     * Reads numbering.xml into numId → levels [{ format, start, text }] indexed by ilvl,
+     * following each w:num to its w:abstractNum and applying start overrides.
+     */
+    static docxNumbering(xml) {
+        const val = (src, tag) => (src.match(new RegExp(`<w:${tag} [^>]*w:val="([^"]*)"`)) || [])[1];
+
+        const abstracts = new Map();
+        for (const [, id, inner] of xml.matchAll(/<w:abstractNum [^>]*w:abstractNumId="(\d+)"[^>]*>([\s\S]*?)<\/w:abstractNum>/g)) {
+            const levels = [];
+            for (const [, ilvl, lvl] of inner.matchAll(/<w:lvl [^>]*w:ilvl="(\d+)"[^>]*>([\s\S]*?)<\/w:lvl>/g)) {
+                levels[ilvl] = {
+                    format: val(lvl, 'numFmt') || 'decimal',
+                    start:  parseInt(val(lvl, 'start') || '1'),
+                    text:   val(lvl, 'lvlText') ?? null,
+                };
+            }
+            abstracts.set(id, levels);
+        }
+
+        const nums = new Map();
+        for (const [, id, inner] of xml.matchAll(/<w:num [^>]*w:numId="(\d+)"[^>]*>([\s\S]*?)<\/w:num>/g)) {
+            const levels = (abstracts.get(val(inner, 'abstractNumId')) || []).map(lvl => lvl && { ...lvl });
+            for (const [, ilvl, override] of inner.matchAll(/<w:lvlOverride [^>]*w:ilvl="(\d+)"[^>]*>([\s\S]*?)<\/w:lvlOverride>/g)) {
+                const start = val(override, 'startOverride');
+                if (start && levels[ilvl]) levels[ilvl].start = parseInt(start);
+            }
+            nums.set(id, levels);
+        }
+        return nums;
+    }
+
+    /**
+     * Splits WordprocessingML body XML into paragraphs: [{ tag, depth, marker, text, html }].
+     * `tag` is h1–h6, li (numbered/bulleted) or p; `depth` is the list level; `marker` is the
+     * item's number ("1.", "2.3.", "b)") when `numbering` (from docxNumbering) says the list is
+     * numbered, otherwise null; `html` keeps each run's bold/italic/underline/strike/font/size/colour
+     * for formatting inspection.
+     */
+    static docxParagraphs(xml, numbering = new Map()) {
+        const attr = (tag, name) => (tag.match(new RegExp(`w:${name}="([^"]*)"`)) || [])[1];
+        const body = (xml.match(/<w:body>([\s\S]*)<\/w:body>/) || [, xml])[1];
+        const counters = new Map();   // numId → current number at each level
+
+        // "%1.%2." with the counts of those levels, each in its level's format
+        const number = (levels, counts, depth) => (levels[depth].text ?? `%${depth + 1}.`)
+            .replace(/%([1-9])/g, (_, n) => {
+                const lvl   = levels[n - 1] || {};
+                const count = counts[n - 1] ?? lvl.start ?? 1;
+                if (lvl.format === 'lowerLetter') return TextFormatter.letterIndex(count);
+                if (lvl.format === 'upperLetter') return TextFormatter.letterIndex(count).toUpperCase();
+                return lvl.format === 'decimalZero' ? String(count).padStart(2, '0') : String(count);
+            });
+
+        return (body.match(/<w:p[ >][\s\S]*?<\/w:p>|<w:p\/>/g) || []).map(p => {
+            const pPr   = (p.match(/<w:pPr>[\s\S]*?<\/w:pPr>/) || [''])[0];
+            const style = attr((pPr.match(/<w:pStyle [^>]*>/) || [''])[0], 'val') || '';
+            const level = (style.match(/^Heading([1-6])$/i) || [])[1];
+            const numId = attr((pPr.match(/<w:numId [^>]*>/) || [''])[0], 'val');
+            const tag   = level ? `h${level}` : /<w:numPr>/.test(pPr) && numId !== '0' ? 'li' : 'p';
+            const depth = parseInt(attr((pPr.match(/<w:ilvl [^>]*>/) || [''])[0], 'val') || '0');
+
+            let marker = null;
+            const levels = tag === 'li' && numbering.get(numId);
+            if (levels?.[depth]) {
+                const counts = counters.get(numId) || [];
+                counters.set(numId, counts);
+                counts.length = depth + 1;   // a new item restarts the levels below it
+                if (!['bullet', 'none'].includes(levels[depth].format)) {
+                    counts[depth] = counts[depth] === undefined ? levels[depth].start : counts[depth] + 1;
+                    marker = number(levels, counts, depth);
+                }
+            }
+
+            let text = '';
+            const runs = (p.match(/<w:r[ >][\s\S]*?<\/w:r>/g) || []).map(r => {
+                const rPr  = (r.match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [''])[0];
+                const pieces = (r.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>/g) || [])
+                    .map(piece => piece === '<w:tab/>' ? '\t'
+                        : piece === '<w:br/>' || piece === '<w:cr/>' ? '\n'
+                        : piece.replace(/<[^>]+>/g, ''));
+                if (!pieces.length) return '';
+
+                // <w:t> content is XML-escaped already, so it is valid HTML as is
+                const raw = pieces.join('');
+                text += TextFormatter.decodeEntities(raw);
+
+                const css  = [];
+                const font = attr((rPr.match(/<w:rFonts [^>]*>/) || [''])[0], 'ascii');
+                const size = attr((rPr.match(/<w:sz [^>]*>/) || [''])[0], 'val');
+                const color = attr((rPr.match(/<w:color [^>]*>/) || [''])[0], 'val');
+                if (font)                           css.push(`font-family:${font}`);
+                if (size)                           css.push(`font-size:${parseInt(size) / 2}pt`);
+                if (color && color !== 'auto')      css.push(`color:#${color}`);
+
+                const inner = raw.replace(/\n/g, '<br>');
+                let html = css.length ? `<span style="${css.join(';')}">${inner}</span>` : inner;
+                const on = name => new RegExp(`<w:${name}(?: w:val="(?:1|true|on)")?\\/>`).test(rPr);
+                if (on('b'))      html = `<b>${html}</b>`;
+                if (on('i'))      html = `<i>${html}</i>`;
+                if (/<w:u w:val="(?!none)/.test(rPr)) html = `<u>${html}</u>`;
+                if (on('strike')) html = `<s>${html}</s>`;
+                return html;
+            }).join('');
+
+            return { tag, depth, marker, text, html: runs };
+        });
+    }
+}
+
+// === TEXT DIFF ===
+class TextDiff {
+    // Past this many edits Myers gives way to a line-level pass, so memory stays bounded
+    static MAX_EDITS = 2000;
+
+    // Whitespace runs, words (with inner apostrophes) and single symbols are separate tokens
+    static WORD_TOKEN = /\s+|[\p{L}\p{N}_]+(?:['’][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu;
+
+    static tokenize(text, granularity = 'word') {
+        if (!text) return [];
+        if (granularity === 'line') return text.match(/[^\n]*\n|[^\n]+/g);
+        if (granularity === 'char') return Array.from(text);
+        return text.match(this.WORD_TOKEN);
+    }
+
+    /**
+     * Tokens as { key, text }: tokens are compared by key, shown by text.
+     * Word and character tokens whose key is empty under the ignore options
+     * (spaces, punctuation) ride along with the token before them.
+     */
+    static units(text, granularity, { ignoreCase = false, ignoreWhitespace = false, ignorePunctuation = false } = {}) {
+        const key = (token) => {
+            let k = ignoreCase ? token.toLowerCase() : token;
+            if (ignorePunctuation) k = k.replace(/[\p{P}\p{S}]/gu, '');
+            if (ignoreWhitespace)  k = k.replace(/\s+/g, ' ').trim();
+            return k;
+        };
+
+        const units = [];
+        for (const token of this.tokenize(text, granularity)) {
+            const k = key(token);
+            if (!k && token && granularity !== 'line' && (ignoreWhitespace || ignorePunctuation) && units.length) {
+                units[units.length - 1].text += token;
+            } else {
+                units.push({ key: k, text: token });
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Diffs `a` → `b` into [{ type: 'equal' | 'delete' | 'insert', text }].
+     * Within each changed run the deletion comes before the insertion.
+     * With ignore options, unchanged runs show `b`'s text.
+     *
+     * @param {object} [options]
+     * @param {'char'|'word'|'line'} [options.granularity='word']
+     * @param {boolean} [options.ignoreCase]
+     * @param {boolean} [options.ignoreWhitespace]
+     * @param {boolean} [options.ignorePunctuation]
+     */
+    static diff(a, b, options = {}) {
+        const { granularity = 'word' } = options;
+
+        // A final newline on one side only is a change of its own, not a rewrite of the last line
+        if (granularity === 'line' && a.endsWith('\n') !== b.endsWith('\n')) {
+            const eol = { type: a.endsWith('\n') ? 'delete' : 'insert', text: '\n' };
+            return this.merge([...this.diff(a.replace(/\n$/, ''), b.replace(/\n$/, ''), options), eol]);
+        }
+
+        const join    = units => units.map(u => u.text).join('');
+        const replace = (x, y) => this.replacement(join(x), join(y));
+
+        const fallback = granularity === 'line' ? replace : (x, y) => {
+            // Too many edits to diff token by token: align lines first, then refine each changed run
+            const lines = this.merge(this.diffUnits(
+                this.units(join(x), 'line', options), this.units(join(y), 'line', options), replace));
+            const ops = [];
+            for (let i = 0; i < lines.length; i++) {
+                const op = lines[i];
+                if (op.type === 'delete' && lines[i + 1]?.type === 'insert') {
+                    ops.push(...this.diffUnits(
+                        this.units(op.text, granularity, options), this.units(lines[++i].text, granularity, options), replace));
+                } else {
+                    ops.push(op);
+                }
+            }
+            return ops;
+        };
+
+        return this.merge(this.diffUnits(this.units(a, granularity, options), this.units(b, granularity, options), fallback));
+    }
+
+    static diffUnits(a, b, fallback) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start].key === b[start].key) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1].key === b[endB - 1].key) { endA--; endB--; }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        return [
+            ...b.slice(0, start).map(u => ({ type: 'equal', text: u.text })),
+            ...(this.myers(midA, midB) || fallback(midA, midB)),
+            ...b.slice(endB).map(u => ({ type: 'equal', text: u.text })),
+        ];
+    }
+
+    static replacement(removed, inserted) {
+        return [{ type: 'delete', text: removed }, { type: 'insert', text: inserted }];
+    }
+
+    /**
+     * Myers' O(ND) shortest edit script over unit arrays.
+     * Returns null when more than MAX_EDITS edits would be needed.
+     */
+    static myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const join = units => units.map(u => u.text).join('');
+        if (!n || !m) return this.replacement(join(a), join(b));
+
+        const max    = Math.min(n + m, this.MAX_EDITS);
+        const offset = max + 1;
+        const v      = new Int32Array(2 * max + 3);
+        const trace  = [];
+
+        for (let d = 0; d <= max; d++) {
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x].key === b[y].key) { x++; y++; }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    trace.push(v.slice(offset - d, offset + d + 1));
+                    return this.backtrack(trace, a, b);
+                }
+            }
+            trace.push(v.slice(offset - d, offset + d + 1));
+        }
+        return null;
+    }
+
+    static backtrack(trace, a, b) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d > 0; d--) {
+            const prev = trace[d - 1];
+            const at   = k => prev[k + d - 1];
+            const k    = x - y;
+            const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+            const prevK = down ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) { x--; ops.push({ type: 'equal', text: b[--y].text }); }
+            if (down) ops.push({ type: 'insert', text: b[--y].text });
+            else      ops.push({ type: 'delete', text: a[--x].text });
+        }
+        while (x > 0 && y > 0) { x--; ops.push({ type: 'equal', text: b[--y].text }); }
+
+        return ops.reverse();
+    }
+
+    // Joins neighbouring ops of a kind; each changed run becomes one delete then one insert
+    static merge(ops) {
+        const out = [];
+        let removed  = '';
+        let inserted = '';
+        const flush = () => {
+            if (removed)  out.push({ type: 'delete', text: removed });
+            if (inserted) out.push({ type: 'insert', text: inserted });
+            removed = inserted = '';
+        };
+
+        for (const op of ops) {
+            if (!op.text) continue;
+            if (op.type === 'delete')      removed  += op.text;
+            else if (op.type === 'insert') inserted += op.text;
+            else {
+                flush();
+                const last = out[out.length - 1];
+                if (last?.type === 'equal') last.text += op.text;
+                else out.push({ type: 'equal', text: op.text });
+            }
+        }
+        flush();
+        return out;
+    }
+
+    /**
+     * Marks a deleted and an inserted line or sentence with the same text (ignoring
+     * whitespace and punctuation at either end) as one move: both get the same `move`
+     * number. Changed runs are split around the moved pieces, so a line moved within a
+     * larger rewrite is still found. Pieces shorter than `minWords` words are left
+     * alone — short phrases recur too often to be moves.
+     */
+    static detectMoves(ops, minWords = 3) {
+        const norm   = text => text.replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '').replace(/\s+/g, ' ');
+        const pieces = op => (op.type === 'equal' ? [op] : op.text
+            .split(/(?<=\n)|(?<=[.!?]['"’”)\]]*[^\S\n]+)(?=\S)/u)
+            .map(text => ({ type: op.type, text })));
+
+        const split   = ops.flatMap(pieces);
+        const deletes = new Map();
+        let moves = 0;
+
+        split.forEach((piece) => {
+            if (piece.type !== 'delete') return;
+            const key = norm(piece.text);
+            if (key.split(' ').length < minWords) return;
+            if (!deletes.has(key)) deletes.set(key, []);
+            deletes.get(key).push(piece);
+        });
+
+        split.forEach((piece) => {
+            if (piece.type !== 'insert') return;
+            const match = deletes.get(norm(piece.text))?.shift();
+            if (match) match.move = piece.move = ++moves;
+        });
+
+        // Rejoin the pieces that didn't move
+        const out = [];
+        split.forEach((piece) => {
+            const last = out[out.length - 1];
+            if (last && last.type === piece.type && !last.move && !piece.move) last.text += piece.text;
+            else out.push(piece);
+        });
+        return out;
+    }
+
+    /**
+     * A unified diff (as `diff -u` / `git diff` print it) of `a` → `b`, compared
+     * line by line under the same ignore options as `diff`. Empty when nothing changed.
+     */
+    static unified(a, b, { fromLabel = 'original', toLabel = 'changed', context = 3, ...options } = {}) {
+        const replace = (x, y) => this.replacement(x.map(u => u.text).join(''), y.map(u => u.text).join(''));
+        const ops     = this.diffUnits(this.units(a, 'line', options), this.units(b, 'line', options), replace);
+
+        // One entry per line, numbered on both sides
+        const lines = [];
+        let oldNo = 0;
+        let newNo = 0;
+        ops.forEach(op => this.tokenize(op.text, 'line').forEach((text) => {
+            lines.push({ type: op.type, text, oldNo, newNo });
+            if (op.type !== 'insert') oldNo++;
+            if (op.type !== 'delete') newNo++;
+        }));
+
+        const changed = lines.reduce((idx, l, i) => (l.type !== 'equal' && idx.push(i), idx), []);
+        if (!changed.length) return '';
+
+        // Changes closer than two contexts share a hunk
+        const ranges = [];
+        changed.forEach((i) => {
+            const last = ranges[ranges.length - 1];
+            if (last && i - last[1] <= 2 * context + 1) last[1] = i;
+            else ranges.push([i, i]);
+        });
+
+        const span = (start, count) => count === 1 ? `${start + 1}` : `${count ? start + 1 : start},${count}`;
+        const out  = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+        ranges.forEach(([first, last]) => {
+            const slice    = lines.slice(Math.max(0, first - context), Math.min(lines.length, last + context + 1));
+            const oldCount = slice.filter(l => l.type !== 'insert').length;
+            const newCount = slice.filter(l => l.type !== 'delete').length;
+            out.push(`@@ -${span(slice[0].oldNo, oldCount)} +${span(slice[0].newNo, newCount)} @@`);
+
+            slice.forEach((l) => {
+                const prefix = { equal: ' ', delete: '-', insert: '+' }[l.type];
+                out.push(prefix + l.text.replace(/\n$/, ''));
+                if (!l.text.endsWith('\n')) out.push('\\ No newline at end of file');
+            });
+        });
+
+        return out.join('\n') + '\n';
+    }
+
+    /**
+     * Splits diff ops into unchanged context and hunks of nearby changes.
+     * Changes separated by fewer than `joinWithin` unchanged characters (and no
+     * line break) share a hunk.
+     * @returns {Array<{ type: 'context', text } | { type: 'hunk', ops, oldText, newText }>}
+     */
+    static hunks(ops, joinWithin = 12) {
+        const out = [];
+        let hunk  = null;
+
+        ops.forEach((op, i) => {
+            if (op.type !== 'equal') {
+                if (!hunk) out.push(hunk = { type: 'hunk', ops: [], oldText: '', newText: '' });
+                hunk.ops.push(op);
+                if (op.type === 'delete') hunk.oldText += op.text;
+                else                      hunk.newText += op.text;
+                return;
+            }
+
+            const bridges = hunk && i < ops.length - 1 && op.text.length < joinWithin && !op.text.includes('\n');
+            if (bridges) {
+                hunk.ops.push(op);
+                hunk.oldText += op.text;
+                hunk.newText += op.text;
+            } else {
+                hunk = null;
+                out.push({ type: 'context', text: op.text });
+            }
+        });
+
+        return out;
+    }
+
+    static stats(ops) {
+        const count = text => (text.match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu) || []).length;
+        return ops.reduce((acc, op) => {
+            if (op.type === 'insert') acc.wordsAdded   += count(op.text);
+            if (op.type === 'delete') acc.wordsRemoved += count(op.text);
+            return acc;
+        }, { wordsAdded: 0, wordsRemoved: 0 });
+    }
+}
+
+// === TRANSFORM RECIPES ===
+/**
+ * Named chains of toolbar operations. A recipe is plain JSON:
+ *   { name: 'Clean paste', steps: [{ op: 'stripFormatting' }, { op: 'case', caseType: 'sentence' }, ...] }
+ * so it can be stored in localStorage and shared as a file.
+ */
+class TransformRecipe {
+    static OPERATIONS = {
+        stripFormatting:      { label: () => 'Strip Formatting',   run: t => TextFormatter.stripFormatting(t) },
+        removeDuplicateLines: { label: step => step.options ? TextFormatter.describeDedupe(step.options) : 'Remove Duplicates',
+                                run:   (t, step, context) => {
+                                    if (TextFormatter.nearMatchesSkipped(t, step.options)) {
+                                        context.warnings?.push(TextFormatter.NEAR_MATCHES_SKIPPED);
+                                    }
+                                    return TextFormatter.removeDuplicateLines(t, step.options);
+                                } },
+        sentencesPerLine:     { label: () => 'Sentences → Lines',  run: t => TextFormatter.sentencesPerLine(t), spacing: true },
+        joinLines:            { label: () => 'Join Lines',         run: t => TextFormatter.joinLines(t), spacing: true },
+        trimLines:            { label: () => 'Trim Lines',         run: t => TextFormatter.trimLines(t) },
+        sortLinesAZ:          { label: () => 'Sort A → Z',         run: t => TextFormatter.sortLinesAZ(t) },
+        sortLines:            { label: step => TextFormatter.describeSort(step.options),
+                                run:   (t, step) => TextFormatter.sortLines(t, step.options) },
+        removeBlankLines:     { label: () => 'Remove Blank Lines', run: t => TextFormatter.removeBlankLines(t) },
+        removeLineNumbers:    { label: () => 'Remove Line Numbers', run: t => TextFormatter.removeLineNumbers(t) },
+        numberLines: {
+            label: step => `Number Lines from ${step.start}`,
+            run:   (t, step) => TextFormatter.numberLines(t, step),
+        },
+        setBullets: {
+            label: step => step.style ? `Bullets: ${step.style}` : 'Remove Bullets',
+            run:   (t, step) => TextFormatter.setBullets(t, step.style),
+        },
+        affixLines: {
+            label: step => `Add "${step.prefix}" … "${step.suffix}" to Lines`,
+            run:   (t, step) => TextFormatter.affixLines(t, step.prefix, step.suffix),
+        },
+        wrapLines: {
+            label: step => `Wrap Lines in ${step.open}…${step.close}`,
+            run:   (t, step) => TextFormatter.wrapLines(t, step.open, step.close, step.escape),
+        },
+        reflow: {
+            label: step => `Wrap at ${step.width} Columns${step.justify ? ', Justified' : ''}`,
+            run:   (t, step) => TextFormatter.reflow(t, step),
+        },
+        unwrap:               { label: () => 'Unwrap Paragraphs',  run: t => TextFormatter.unwrap(t) },
+        cleanCharacters:      { label: () => 'Fix Invisible Characters', run: t => CharacterInspector.clean(t) },
+        typography: {
+            label: step => (step.mode === 'plain' ? 'Plain ASCII Punctuation' : `Smart Punctuation (${step.locale})`)
+                + (step.normalize !== 'none' ? `, ${step.normalize}` : ''),
+            run:   (t, step) => TextFormatter.typography(t, step),
+        },
+        joinWith: {
+            label: step => `Join Lines with "${step.delimiter}"`,
+            run:   (t, step) => TextFormatter.joinWith(t, step.delimiter),
+        },
+        case: {
+            label: step => step.style
+                ? `${CaseConverter.TYPES[step.caseType]} (${CaseConverter.TITLE_STYLES[step.style].label})`
+                : CaseConverter.TYPES[step.caseType],
+            run:   (t, step, { properNouns } = {}) =>
+                CaseConverter.convert(t, step.caseType, { style: step.style, learn: step.learn, properNouns }),
+        },
+        replace: {
+            label: step => `Replace "${step.find}" → "${step.replace}"`,
+            run:   (t, step) => {
+                const regex = TextUtils.buildSearchRegex(step.find, step, 'g');
+                if (!regex) return t;
+                return step.regex ? t.replace(regex, step.replace) : t.replace(regex, () => step.replace);
+            },
+        },
+    };
+
+    static describe(step) {
+        const op = this.OPERATIONS[step.op];
+        return op ? op.label(step) : step.op;
+    }
+
+    /**
+     * Runs every step in order over `text`. `context` carries user settings steps
+     * don't store, e.g. { properNouns } for sentence case; steps that fall short of
+     * what they describe add a note to `context.warnings` if it is an array.
+     */
+    static run(text, steps, context = {}) {
+        return steps.reduce((acc, step) => {
+            const op = this.OPERATIONS[step.op];
+            return op ? op.run(acc, step, context) : acc;
+        }, text);
+    }
+
+    // True if any step rearranges paragraphs (selection should be padded with blank lines)
+    static isSpacing(steps) {
+        return steps.some(step => this.OPERATIONS[step.op]?.spacing);
+    }
+
+    /**
+     * Checks and normalises a single step from untrusted JSON.
+     * Returns the clean step, or null if it is not a known operation.
+     */
+    static normalizeStep(step) {
+        if (!step || typeof step !== 'object' || !this.OPERATIONS[step.op]) return null;
+        const str = (value, fallback = '') => typeof value === 'string' ? value.slice(0, 200) : fallback;
+
+        if (step.op === 'case') {
+            if (!Object.keys(CaseConverter.TYPES).includes(step.caseType)) return null;
+            // Title-case steps remember their style; older recipes without one use the default
+            if (step.caseType === 'title' && Object.keys(CaseConverter.TITLE_STYLES).includes(step.style)) {
+                return { op: 'case', caseType: 'title', style: step.style };
+            }
+            if (step.caseType === 'sentence' && step.learn === true) {
+                return { op: 'case', caseType: 'sentence', learn: true };
+            }
+            return { op: 'case', caseType: step.caseType };
+        }
+        if (step.op === 'removeDuplicateLines' && step.options) {
+            return { op: 'removeDuplicateLines', options: TextFormatter.dedupeOptions(step.options) };
+        }
+        if (step.op === 'numberLines') {
+            return {
+                op:        'numberLines',
+                start:     Number.isInteger(step.start) ? step.start : 1,
+                padding:   TextFormatter.NUMBER_PADDING.includes(step.padding) ? step.padding : 'none',
+                separator: str(step.separator, '. '),
+            };
+        }
+        if (step.op === 'setBullets') {
+            if (!(step.style in TextFormatter.BULLET_STYLES)) return null;
+            return { op: 'setBullets', style: step.style };
+        }
+        if (step.op === 'affixLines') {
+            return { op: 'affixLines', prefix: str(step.prefix), suffix: str(step.suffix) };
+        }
+        if (step.op === 'wrapLines') {
+            return {
+                op:     'wrapLines',
+                open:   str(step.open),
+                close:  str(step.close),
+                escape: ['double', 'backslash'].includes(step.escape) ? step.escape : 'none',
+            };
+        }
+        if (step.op === 'reflow') {
+            const width = Number.isInteger(step.width) && step.width >= 10 && step.width <= 1000 ? step.width : 72;
+            return { op: 'reflow', width, justify: !!step.justify };
+        }
+        if (step.op === 'typography') {
+            return { op: 'typography', ...TextFormatter.typographyOptions(step) };
+        }
+        if (step.op === 'joinWith') {
+            return { op: 'joinWith', delimiter: str(step.delimiter, ', ') };
+        }
+        if (step.op === 'sortLines') {
+            return { op: 'sortLines', options: TextFormatter.sortOptions(step.options || {}) };
+        }
+        if (step.op === 'replace') {
+            if (typeof step.find !== 'string' || !step.find) return null;
+            return {
+                op:        'replace',
+                find:      step.find,
+                replace:   typeof step.replace === 'string' ? step.replace : '',
+                matchCase: !!step.matchCase,
+                wholeWord: !!step.wholeWord,
+                regex:     !!step.regex,
+            };
+        }
+        return { op: step.op };
+    }
+
+    /**
+     * Parses an exported recipe file (a single recipe or an array of them).
+     * Throws if the JSON is malformed or contains no usable recipe.
+     */
+    static parse(json) {
+        const data = JSON.parse(json);
+        const list = Array.isArray(data) ? data : Array.isArray(data?.recipes) ? data.recipes : [data];
+
+        const recipes = list
+            .filter(r => r && typeof r.name === 'string' && r.name.trim() && Array.isArray(r.steps))
+            .map(r => ({
+                name:  r.name.trim().slice(0, 60),
+                steps: r.steps.map(s => this.normalizeStep(s)).filter(Boolean),
+            }))
+            .filter(r => r.steps.length > 0);
+
+        if (!recipes.length) throw new Error('No valid recipes found');
+        return recipes;
+    }
+
+    static serialize(recipes) {
+        return JSON.stringify({
+            texty:   'recipes',
+            version: 1,
+            recipes: recipes.map(({ name, steps }) => ({ name, steps })),
+        }, null, 2);
+    }
+}
+
+// === EDIT HISTORY ===
+/**
+ * Multi-level undo/redo stack.
+ * Each entry stores only the changed span (common prefix/suffix trimmed), so a
+ * one-line edit in a long document costs a few bytes instead of a full copy.
+ * Total stored characters are capped; the oldest entries are dropped first.
+ */
+class EditHistory {
+    constructor({ maxEntries = 100, maxChars = 2_000_000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxChars   = maxChars;
+        this.clear();
+    }
+
+    clear(text = null) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current   = text;   // text as of the last recorded step
+        this.size      = 0;      // chars held across both stacks
+    }
+
+    get canUndo() { return this.undoStack.length > 0; }
+    get canRedo() { return this.redoStack.length > 0; }
+
+    static diff(before, after) {
+        const max = Math.min(before.length, after.length);
+        let start = 0;
+        while (start < max && before.charCodeAt(start) === after.charCodeAt(start)) start++;
+
+        let endB = before.length;
+        let endA = after.length;
+        while (endB > start && endA > start && before.charCodeAt(endB - 1) === after.charCodeAt(endA - 1)) {
+            endB--; endA--;
+        }
+
+        return { start, removed: before.slice(start, endB), inserted: after.slice(start, endA) };
+    }
+
+    static entrySize(entry) {
+        return entry.removed.length + entry.inserted.length;
+    }
+
+    /**
+     * Records a change from `before` to `after`.
+     * If the text drifted since the last recorded step (the user typed), that drift
+     * is recorded first as a "Typing" step so undo never silently discards it.
+     */
+    record(before, after, label, selection = null) {
+        if (before === after) return false;
+
+        this.syncTo(before);
+        this.push(this.undoStack, { ...EditHistory.diff(before, after), label, selection, time: Date.now() });
+        this.redoStack.forEach(e => { this.size -= EditHistory.entrySize(e); });
+        this.redoStack = [];
+        this.current   = after;
+        this.trim();
+        return true;
+    }
+
+    // Records any untracked edits between the last step and `text`
+    syncTo(text) {
+        if (this.current === null || this.current === text) {
+            this.current = text;
+            return;
+        }
+        this.push(this.undoStack, { ...EditHistory.diff(this.current, text), label: 'Typing', selection: null, time: Date.now() });
+        this.redoStack.forEach(e => { this.size -= EditHistory.entrySize(e); });
+        this.redoStack = [];
+        this.current   = text;
+        this.trim();
+    }
+
+    /**
+     * Steps back once. Returns { text, label, selection } or null.
+     */
+    undo(text) {
+        this.syncTo(text);
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        const restored = text.slice(0, entry.start) + entry.removed + text.slice(entry.start + entry.inserted.length);
+        this.redoStack.push(entry);
+        this.current = restored;
+        return {
+            text:      restored,
+            label:     entry.label,
+            selection: { start: entry.start, end: entry.start + entry.removed.length },
+        };
+    }
+
+    /**
+     * Steps forward once. Returns { text, label, selection } or null.
+     */
+    redo(text) {
+        if (text !== this.current) {
+            this.syncTo(text); // edited since undo — the redo branch is stale
+            return null;
+        }
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        const restored = text.slice(0, entry.start) + entry.inserted + text.slice(entry.start + entry.removed.length);
+        this.undoStack.push(entry);
+        this.current = restored;
+        return {
+            text:      restored,
+            label:     entry.label,
+            selection: entry.selection || { start: entry.start, end: entry.start + entry.inserted.length },
+        };
+    }
+
+    /**
+     * Moves `steps` entries back (positive) or forward (negative).
+     * Returns the last step result, or null if nothing moved.
+     */
+    jump(text, steps) {
+        let result = null;
+        for (let i = 0; i < Math.abs(steps); i++) {
+            const next = steps > 0 ? this.undo(result ? result.text : text)
+                                   : this.redo(result ? result.text : text);
+            if (!next) break;
+            result = next;
+        }
+        return result;
+    }
+
+    /**
+     * Timeline for display: redo entries (newest first), then undo entries (newest first).
+     * `offset` is the jump() argument that lands on that entry's state.
+     */
+    entries() {
+        const redo = this.redoStack.map((e, i) => ({
+            label: e.label, time: e.time, offset: -(this.redoStack.length - i)
+        }));
+        const undo = this.undoStack.map((e, i) => ({
+            label: e.label, time: e.time, offset: this.undoStack.length - 1 - i
+        })).reverse();
+        return [...redo, ...undo];
+    }
+
+    push(stack, entry) {
+        stack.push(entry);
+        this.size += EditHistory.entrySize(entry);
+    }
+
+    trim() {
+        while (this.undoStack.length &&
+               (this.undoStack.length + this.redoStack.length > this.maxEntries || this.size > this.maxChars)) {
+            this.size -= EditHistory.entrySize(this.undoStack.shift());
+        }
     }
 }
 
@@ -379,4 +4535,45 @@ class TextUtils {
     static formatNumber(num) {
         return num.toLocaleString();
     }
+
+    /**
+     * "just now", "5 minutes ago", "yesterday"… — falls back to a date after a week.
+     */
+    static formatRelativeTime(time, now = Date.now()) {
+        const seconds = Math.round((now - time) / 1000);
+        if (seconds < 45) return 'just now';
+
+        const rtf   = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+        const units = [['day', 86400], ['hour', 3600], ['minute', 60]];
+        if (seconds < 7 * 86400) {
+            const [unit, size] = units.find(([, s]) => seconds >= s) || units[2];
+            return rtf.format(-Math.round(seconds / size), unit);
+        }
+        return new Date(time).toLocaleDateString();
+    }
+
+    /**
+     * Builds a search RegExp from Find & Replace style options.
+     * Returns null for an empty or invalid pattern.
+     */
+    static buildSearchRegex(findText, { matchCase = false, wholeWord = false, regex = false } = {}, flags = 'g') {
+        if (!findText) return null;
+        try {
+            let pattern = regex ? findText : findText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (wholeWord) pattern = `\\b${pattern}\\b`;
+            return new RegExp(pattern, flags + (matchCase ? '' : 'i'));
+        } catch {
+            return null;
+        }
+    }
+}
+
+// === EXPORTS ===
+// Browser: the classes above are globals. Node: require('texty') / the `texty` CLI.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TextAnalyzer, Languages, WritingIssues, KeywordAnalyzer, CharacterInspector, TextFormatter, CaseConverter,
+        FormattingExtractor, DocumentStructure, MarkdownConverter, DocumentExporter, ZipArchive, FileImporter, TextDiff,
+        TransformRecipe, EditHistory, TextUtils,
+    };
 }